@@ -0,0 +1,47 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'edu_aid.db');
+
+/**
+ * Open the database file and bring its schema up to date
+ * @param {string} dbPath - Path to the SQLite file (':memory:' for tests)
+ * @returns {Database} Open better-sqlite3 connection
+ */
+function openDatabase(dbPath = process.env.DATABASE_PATH || DEFAULT_DB_PATH) {
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    migrate(db);
+    return db;
+}
+
+/**
+ * Apply every migration newer than the database's user_version
+ */
+function migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+
+    migrations
+        .filter(migration => migration.version > current)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            db.transaction(() => {
+                db.exec(migration.up);
+                db.pragma(`user_version = ${migration.version}`);
+            })();
+            console.log(`🗄️  Applied migration ${migration.version} (${migration.name})`);
+        });
+}
+
+// Shared connection used by the stores
+const db = openDatabase();
+
+module.exports = { db, openDatabase, migrate };
@@ -0,0 +1,171 @@
+// Schema migrations for the EDU_AID SQLite database.
+// Each entry runs once, in order; the applied version is tracked in PRAGMA user_version.
+// Never edit a migration that has shipped – append a new one instead.
+module.exports = [
+    {
+        version: 1,
+        name: 'create_users',
+        up: `
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL COLLATE NOCASE,
+                name TEXT NOT NULL,
+                password_hash TEXT NOT NULL,
+                school TEXT,
+                role TEXT NOT NULL DEFAULT 'teacher',
+                phone TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX idx_users_email ON users (email);
+        `
+    },
+    {
+        version: 2,
+        name: 'create_analysis_sessions',
+        up: `
+            CREATE TABLE analysis_sessions (
+                session_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                last_accessed_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_analysis_sessions_expires ON analysis_sessions (expires_at);
+            CREATE INDEX idx_analysis_sessions_accessed ON analysis_sessions (last_accessed_at);
+        `
+    },
+    {
+        version: 3,
+        name: 'add_analysis_session_owner',
+        up: `
+            ALTER TABLE analysis_sessions ADD COLUMN owner_id INTEGER REFERENCES users (id) ON DELETE CASCADE;
+            CREATE INDEX idx_analysis_sessions_owner ON analysis_sessions (owner_id);
+        `
+    },
+    {
+        version: 4,
+        name: 'add_user_subjects',
+        up: `
+            ALTER TABLE users ADD COLUMN subjects TEXT NOT NULL DEFAULT '[]';
+            CREATE INDEX idx_users_school ON users (school);
+        `
+    },
+    {
+        version: 5,
+        name: 'create_auth_sessions',
+        up: `
+            CREATE TABLE auth_sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                refresh_token_hash TEXT NOT NULL,
+                user_agent TEXT,
+                ip_address TEXT,
+                created_at TEXT NOT NULL,
+                last_used_at TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                revoked_at TEXT
+            );
+            CREATE INDEX idx_auth_sessions_user ON auth_sessions (user_id);
+        `
+    },
+    {
+        version: 6,
+        name: 'create_account_tokens',
+        up: `
+            ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+            CREATE TABLE account_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                purpose TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                used_at TEXT
+            );
+            CREATE UNIQUE INDEX idx_account_tokens_hash ON account_tokens (token_hash);
+            CREATE INDEX idx_account_tokens_user ON account_tokens (user_id, purpose);
+        `
+    },
+    {
+        version: 7,
+        name: 'create_schools',
+        up: `
+            CREATE TABLE schools (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL COLLATE NOCASE,
+                created_at TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX idx_schools_name ON schools (name);
+
+            ALTER TABLE users ADD COLUMN school_id INTEGER REFERENCES schools (id);
+            CREATE INDEX idx_users_school_id ON users (school_id);
+
+            ALTER TABLE analysis_sessions ADD COLUMN school_id INTEGER REFERENCES schools (id) ON DELETE CASCADE;
+            CREATE INDEX idx_analysis_sessions_school ON analysis_sessions (school_id);
+
+            CREATE TABLE school_invitations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                school_id INTEGER NOT NULL REFERENCES schools (id) ON DELETE CASCADE,
+                email TEXT NOT NULL COLLATE NOCASE,
+                role TEXT NOT NULL,
+                subjects TEXT NOT NULL DEFAULT '[]',
+                token_hash TEXT NOT NULL,
+                invited_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                accepted_at TEXT,
+                revoked_at TEXT
+            );
+            CREATE UNIQUE INDEX idx_school_invitations_token ON school_invitations (token_hash);
+            CREATE INDEX idx_school_invitations_school ON school_invitations (school_id);
+
+            -- Existing free-text school names become schools
+            INSERT INTO schools (name, created_at)
+                SELECT MIN(trim(school)), strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM users
+                WHERE school IS NOT NULL AND trim(school) <> ''
+                GROUP BY trim(school) COLLATE NOCASE;
+            UPDATE users SET school_id = (SELECT id FROM schools WHERE schools.name = trim(users.school));
+            UPDATE analysis_sessions SET school_id = (SELECT school_id FROM users WHERE users.id = analysis_sessions.owner_id);
+        `
+    },
+    {
+        version: 8,
+        name: 'create_column_mapping_profiles',
+        up: `
+            CREATE TABLE column_mapping_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                school_id INTEGER REFERENCES schools (id) ON DELETE CASCADE,
+                name TEXT NOT NULL COLLATE NOCASE,
+                mapping TEXT NOT NULL,
+                created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX idx_column_mapping_profiles_name ON column_mapping_profiles (school_id, name);
+        `
+    },
+    {
+        version: 9,
+        name: 'add_school_assessment_scheme',
+        up: `
+            ALTER TABLE schools ADD COLUMN assessment_scheme TEXT;
+        `
+    },
+    {
+        // SQLite treats NULLs as distinct, so the (school_id, name) index let profiles of users
+        // without a school share a name. Older duplicates keep the name; later ones get their id added.
+        version: 10,
+        name: 'unique_schoolless_mapping_profile_names',
+        up: `
+            UPDATE column_mapping_profiles
+                SET name = name || ' (' || id || ')'
+                WHERE school_id IS NULL
+                  AND EXISTS (
+                      SELECT 1 FROM column_mapping_profiles AS earlier
+                      WHERE earlier.school_id IS NULL AND earlier.name = column_mapping_profiles.name AND earlier.id < column_mapping_profiles.id
+                  );
+            CREATE UNIQUE INDEX idx_column_mapping_profiles_schoolless_name ON column_mapping_profiles (name) WHERE school_id IS NULL;
+        `
+    }
+];
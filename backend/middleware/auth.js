@@ -1,4 +1,10 @@
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+
+// Staff roles, from narrowest to widest view of the data
+const ROLES = ['teacher', 'form_master', 'counselor', 'principal', 'school_admin', 'admin'];
+
+// Roles a school admin may grant within their own school; 'admin' is the platform operator
+const SCHOOL_ROLES = ['teacher', 'form_master', 'counselor', 'principal', 'school_admin'];
 
 const auth = (req, res, next) => {
     try {
@@ -11,15 +17,36 @@ const auth = (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-        req.user = decoded;
+        req.user = tokenService.verifyAccessToken(token);
         next();
     } catch (error) {
         res.status(401).json({
             success: false,
-            error: 'Invalid token'
+            error: error.code === 'INVALID_TOKEN' ? error.message : 'Invalid token'
+        });
+    }
+};
+
+/**
+ * Restrict a route to the given roles (use after auth)
+ * @param {...string} roles - Allowed roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Access denied. No token provided.'
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions for this action'
         });
     }
+
+    next();
 };
 
-module.exports = { auth };
\ No newline at end of file
+module.exports = { auth, requireRole, ROLES, SCHOOL_ROLES };
\ No newline at end of file
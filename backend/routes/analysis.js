@@ -8,6 +8,14 @@ const fs = require('fs');
 const crypto = require('crypto');
 const analyzer = require('../services/ai_analyzer');      // ← Use AI analyzer
 const analysisCache = require('../utils/analysisCache');
+const analysisJobs = require('../utils/analysisJobs');
+const mappingProfileStore = require('../services/mappingProfileStore');
+const schoolStore = require('../services/schoolStore');
+const { suggestMapping, mappingMatchesHeaders, validateMapping } = require('../utils/columnMapping');
+const { DEFAULT_SCHEME, findBuiltInScheme, validateScheme } = require('../utils/assessment');
+const { auth, requireRole } = require('../middleware/auth');
+const { ROLLUP_ROLES, subjectScope, viewAnalysisForUser } = require('../utils/accessPolicy');
+const { termLabel } = require('../utils/trajectory');
 
 // ---------- Multer config (unchanged) ----------
 const upload = multer({
@@ -21,107 +29,391 @@ const upload = multer({
   },
 });
 
-// ---------- MAIN ANALYSIS ENDPOINT ----------
-router.post('/analyze', upload.single('file'), async (req, res) => {
-  let tempFilePath = null;
+// Roles that may edit or delete mapping profiles other staff created
+const PROFILE_MANAGER_ROLES = ['principal', 'school_admin', 'admin'];
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded. Please upload an Excel (.xlsx, .xls) or CSV file.',
-      });
+function invalidMapping(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MAPPING';
+  return error;
+}
+
+/**
+ * Column mapping chosen at upload: a saved profile (mappingProfileId), a one-off
+ * mapping (JSON in the "mapping" field), or undefined to auto-detect
+ */
+function mappingFromRequest(req) {
+  if (req.body.mappingProfileId) {
+    const profile = mappingProfileStore.findForSchool(Number(req.body.mappingProfileId), req.user.schoolId);
+    if (!profile) throw invalidMapping('Column mapping profile not found');
+    return JSON.parse(profile.mapping);
+  }
+
+  if (req.body.mapping) {
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        throw invalidMapping('Mapping must be valid JSON');
+      }
     }
+    return validateMapping(mapping);
+  }
+
+  return undefined;
+}
+
+/**
+ * Assessment scheme for an upload: "assessmentScheme" (a built-in id or a scheme as JSON),
+ * else the school's scheme, else the default (CA1 10, CA2 10, Test 20, Exam 60)
+ */
+function schemeFromRequest(req) {
+  const requested = req.body.assessmentScheme;
+  if (requested) {
+    if (typeof requested === 'object') return validateScheme(requested);
+    if (!String(requested).trim().startsWith('{')) {
+      const builtIn = findBuiltInScheme(String(requested));
+      if (builtIn) return builtIn;
+      const error = new Error(`Unknown assessment scheme "${requested}"`);
+      error.code = 'INVALID_SCHEME';
+      throw error;
+    }
+    try {
+      return validateScheme(JSON.parse(requested));
+    } catch (error) {
+      if (error.code) throw error;
+      const invalid = new Error('Assessment scheme must be valid JSON');
+      invalid.code = 'INVALID_SCHEME';
+      throw invalid;
+    }
+  }
 
-    tempFilePath = req.file.path;
-    console.log(`Analyzing file: ${req.file.originalname}`);
-    console.log(`File path: ${tempFilePath}`);
+  return (req.user.schoolId && schoolStore.getAssessmentScheme(req.user.schoolId)) || DEFAULT_SCHEME;
+}
 
+// Log each stage of an analysis, and parsing every 25%
+function progressLogger(fileName) {
+  let logged = null;
+  return ({ stage, sheet, rowsRead, percent }) => {
+    const step = `${stage}:${stage === 'parsing' ? Math.floor((percent || 0) / 25) : 0}`;
+    if (step === logged) return;
+    logged = step;
+    console.log(`Analysis of ${fileName}: ${stage}${sheet ? ` ${sheet}` : ''} ${percent || 0}%${rowsRead ? ` (${rowsRead} rows)` : ''}`);
+  };
+}
+
+// Upload errors the caller can fix → HTTP status
+const UPLOAD_ERROR_STATUS = { INVALID_MAPPING: 400, INVALID_SCHEME: 400, FILE_TOO_LARGE: 413 };
+
+const ANALYSIS_HINT =
+  'Make sure your file contains valid student data with columns like: Full Name, Subject, SS1_1st, SS1_2nd, … ' +
+  'POST the file to /api/analysis/validate for a row-by-row report.';
+
+// Body of a finished analysis: the data the caller's role may see
+function analysisResponse(analysis, { user, file, sessionId }) {
+  const view = viewAnalysisForUser(analysis, user);
+  const aiPowered = view.analysisResults?.aiPowered !== false;
+
+  return {
+    success: true,
+    sessionId,
+    fileName: file.originalname,
+    fileSize: file.size,
+    totalStudents: view.totalStudents,
+    totalSubjects: view.totalSubjects,
+    sheets: view.sheets,                    // Per-sheet breakdown (class arms or terms)
+    components: view.components,            // CA vs exam percentages (files with component columns)
+    subjectStatistics: view.subjectStatistics, // Mean, spread and pass rates per subject
+    analysisResults: view.analysisResults,  // Complete AI analysis
+    overallAssessment: view.analysisResults?.overallAssessment,
+    individualInsights: view.analysisResults?.individualInsights,
+    patterns: view.analysisResults?.patterns,
+    recommendations: view.analysisResults?.recommendations,
+    insights: view.analysisResults?.insights,
+    confidence: view.analysisResults?.confidence,
+    waecForecast: view.analysisResults?.waecForecast, // Students predicted below C6 in English or Mathematics
+    aiPowered: aiPowered,
+    analysisType: aiPowered ? `AI-Powered (${view.analysisResults?.aiModel?.model || 'AI'})` : 'Rule-Based (Fallback)',
+    message: aiPowered 
+      ? 'File analyzed successfully with AI! You can now ask questions about this analysis or download a PDF report.'
+      : 'File analyzed with rule-based system. Configure an AI provider (LLM_PROVIDER) for AI-powered insights. You can still download a PDF report.',
+    timestamp: view.timestamp || new Date().toISOString(),
+    downloadUrl: `/api/analysis/download-pdf/${sessionId}`
+  };
+}
+
+// Run an analysis job in the background; the upload is removed however it ends
+async function runAnalysisJob(job, { file, user, options }) {
+  const log = progressLogger(file.originalname);
+
+  try {
     // -------------------------------------------------
     // 1. Run the analyzer → gets totalStudents, etc.
     // -------------------------------------------------
-    const analysis = await analyzer.analyzeFile(
-      tempFilePath,
-      req.file.originalname
-    );
+    const analysis = await analyzer.analyzeFile(file.path, file.originalname, {
+      ...options,
+      onProgress: ({ stage, percent, ...details }) => {
+        log({ stage, percent, ...details });
+        analysisJobs.progress(job.id, stage, percent, Object.keys(details).length ? details : null);
+      }
+    });
 
-    console.log('Analysis result structure:', JSON.stringify(analysis, null, 2));
+    // A summary only: whole results of large uploads would flood the log
+    console.log('Analysis complete:', {
+      jobId: job.id,
+      students: analysis.totalStudents,
+      subjects: analysis.totalSubjects,
+      sheets: analysis.sheets?.length || 0,
+      aiPowered: analysis.analysisResults?.aiPowered
+    });
 
     // -------------------------------------------------
-    // 2. Session + cache
+    // 2. Session + cache (owned by the uploading user)
     // -------------------------------------------------
     const sessionId = crypto.randomUUID();
-    analysisCache.set(sessionId, analysis); // cache the whole object
+    analysisCache.set(sessionId, analysis, { ownerId: user.id, schoolId: user.schoolId }); // cache the whole object
 
-    // -------------------------------------------------
-    // 3. Clean up uploaded file
-    // -------------------------------------------------
-    if (fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
+    analysisJobs.complete(job.id, analysisResponse(analysis, { user, file, sessionId }));
+  } catch (error) {
+    console.error('Analysis error:', error);
+    analysisJobs.fail(job.id, error, UPLOAD_ERROR_STATUS[error.code] ? null : ANALYSIS_HINT);
+  } finally {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
     }
+  }
+}
 
-    // -------------------------------------------------
-    // 4. SEND RESPONSE (complete analysis data)
-    // -------------------------------------------------
-    const aiPowered = analysis.analysisResults?.aiPowered !== false;
-    
-    res.json({
-      success: true,
-      sessionId,
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      totalStudents: analysis.totalStudents,
-      totalSubjects: analysis.totalSubjects,
-      analysisResults: analysis.analysisResults,  // Complete AI analysis
-      overallAssessment: analysis.analysisResults?.overallAssessment,
-      individualInsights: analysis.analysisResults?.individualInsights,
-      patterns: analysis.analysisResults?.patterns,
-      recommendations: analysis.analysisResults?.recommendations,
-      insights: analysis.analysisResults?.insights,
-      confidence: analysis.analysisResults?.confidence,
-      aiPowered: aiPowered,
-      analysisType: aiPowered ? 'AI-Powered (Gemini 2.5)' : 'Rule-Based (Fallback)',
-      message: aiPowered 
-        ? 'File analyzed successfully with AI! You can now ask questions about this analysis or download a PDF report.'
-        : 'File analyzed with rule-based system. Configure GEMINI_API_KEY for AI-powered insights. You can still download a PDF report.',
-      timestamp: analysis.timestamp || new Date().toISOString(),
-      downloadUrl: `/api/analysis/download-pdf/${sessionId}`
+// ---------- MAIN ANALYSIS ENDPOINT ----------
+// Starts an analysis job and answers straight away (202) with its ID; follow it at
+// GET /jobs/:jobId (polling) or GET /jobs/:jobId/events (server-sent events)
+router.post('/analyze', auth, upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded. Please upload an Excel (.xlsx, .xls) or CSV file.',
     });
+  }
+
+  // A bad mapping or scheme is reported now, before a job is started
+  let options;
+  try {
+    options = { subjects: subjectScope(req.user), mapping: mappingFromRequest(req), scheme: schemeFromRequest(req) };
   } catch (error) {
+    if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return res.status(UPLOAD_ERROR_STATUS[error.code]).json({ success: false, error: error.message });
+    }
     console.error('Analysis error:', error);
+    return res.status(500).json({ success: false, error: error.message, hint: ANALYSIS_HINT });
+  }
+
+  const job = analysisJobs.create({ ownerId: req.user.id, schoolId: req.user.schoolId, fileName: req.file.originalname });
+  runAnalysisJob(job, { file: req.file, user: req.user, options });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    fileName: req.file.originalname,
+    statusUrl: `/api/analysis/jobs/${job.id}`,
+    eventsUrl: `/api/analysis/jobs/${job.id}/events`,
+    message: 'Analysis started. Follow its progress at statusUrl or eventsUrl.'
+  });
+});
+
+// ---------- ANALYSIS JOBS ----------
+// Status of an analysis job (the uploader's own); has the full result once status is 'completed'
+router.get('/jobs/:jobId', auth, (req, res) => {
+  const job = analysisJobs.getOwned(req.params.jobId, req.user.id, req.user.schoolId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Analysis job not found or expired' });
+  }
+  res.json({ success: true, ...analysisJobs.toPublic(job) });
+});
+
+// The same status as server-sent events: 'progress' on every change, then 'complete' or 'failed'
+router.get('/jobs/:jobId/events', auth, (req, res) => {
+  const job = analysisJobs.getOwned(req.params.jobId, req.user.id, req.user.schoolId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Analysis job not found or expired' });
+  }
 
-    // Clean up on error
-    if (tempFilePath && fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop proxies from holding events back
+  });
+  res.flushHeaders();
+
+  const eventName = view => (view.status === 'completed' ? 'complete' : view.status === 'failed' ? 'failed' : 'progress');
+  const send = view => res.write(`event: ${eventName(view)}\ndata: ${JSON.stringify(view)}\n\n`);
+
+  send(analysisJobs.toPublic(job));
+  if (job.finishedAt) return res.end();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const unsubscribe = analysisJobs.subscribe(job.id, view => {
+    send(view);
+    if (view.status === 'completed' || view.status === 'failed') {
+      stop();
+      res.end();
     }
+  });
 
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      hint:
-        'Make sure your file contains valid student data with columns like: Full Name, Subject, SS1_1st, SS1_2nd, …',
+  req.on('close', stop);
+});
+
+// ---------- DRY-RUN VALIDATION ----------
+// Parse the upload exactly as /analyze would and report problems row by row, without analysing
+router.post('/validate', auth, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded. Please upload an Excel (.xlsx, .xls) or CSV file.',
+      });
+    }
+
+    const report = await analyzer.validateFile(req.file.path, { mapping: mappingFromRequest(req), scheme: schemeFromRequest(req) });
+    res.json({ success: true, fileName: req.file.originalname, ...report });
+  } catch (err) {
+    if (UPLOAD_ERROR_STATUS[err.code]) {
+      return res.status(UPLOAD_ERROR_STATUS[err.code]).json({ success: false, error: err.message });
+    }
+    console.error('Validation error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  }
+});
+
+// ---------- COLUMN MAPPING ----------
+// Suggest a mapping from a file's header row (upload "file") or from { headers: [...] }
+router.post('/suggest-mapping', auth, upload.single('file'), async (req, res) => {
+  try {
+    let headers = req.body.headers;
+    let broadsheet = null;
+    const scheme = schemeFromRequest(req);
+    if (req.file) {
+      // Read in the parse worker, under the same memory and time limits as an analysis
+      ({ headers, broadsheet } = await analyzer.previewFile(req.file.path, { scheme }));
+    }
+    if (typeof headers === 'string') headers = headers.split(',');
+
+    if (!Array.isArray(headers) || headers.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload a file or send its header row as "headers"' });
+    }
+
+    const suggestion = suggestMapping(headers, { scheme });
+    const matchingProfiles = mappingProfileStore.listForSchool(req.user.schoolId)
+      .filter(profile => mappingMatchesHeaders(profile.mapping, headers));
+
+    // broadsheet: one column per subject – read without a mapping, so no profile is needed
+    res.json({ success: true, headers, ...suggestion, matchingProfiles, broadsheet });
+  } catch (err) {
+    if (UPLOAD_ERROR_STATUS[err.code]) {
+      return res.status(UPLOAD_ERROR_STATUS[err.code]).json({ success: false, error: err.message });
+    }
+    console.error('Mapping suggestion error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  }
+});
+
+// Saved mapping profiles for the caller's school
+router.get('/mapping-profiles', auth, (req, res) => {
+  res.json({ success: true, profiles: mappingProfileStore.listForSchool(req.user.schoolId) });
+});
+
+router.post('/mapping-profiles', auth, (req, res) => {
+  try {
+    const { name, mapping } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Profile name is required' });
+    }
+
+    const profile = mappingProfileStore.create({
+      schoolId: req.user.schoolId,
+      name,
+      mapping,
+      createdBy: req.user.id
     });
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    if (err.code === 'INVALID_MAPPING' || err.code === 'PROFILE_EXISTS') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Mapping profile error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
+/**
+ * Load a profile of the caller's school that they may change (their own, or any for managers)
+ */
+function editableProfile(req, res) {
+  const profile = mappingProfileStore.findForSchool(Number(req.params.id), req.user.schoolId);
+  if (!profile) {
+    res.status(404).json({ success: false, error: 'Column mapping profile not found' });
+    return null;
+  }
+  if (profile.created_by !== req.user.id && !PROFILE_MANAGER_ROLES.includes(req.user.role)) {
+    res.status(403).json({ success: false, error: 'Only the creator or a school admin can change this profile' });
+    return null;
+  }
+  return profile;
+}
+
+router.put('/mapping-profiles/:id', auth, (req, res) => {
+  try {
+    const profile = editableProfile(req, res);
+    if (!profile) return;
+
+    res.json({ success: true, profile: mappingProfileStore.update(profile.id, req.body) });
+  } catch (err) {
+    if (err.code === 'INVALID_MAPPING' || err.code === 'PROFILE_EXISTS') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Mapping profile error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete('/mapping-profiles/:id', auth, (req, res) => {
+  const profile = editableProfile(req, res);
+  if (!profile) return;
+
+  mappingProfileStore.delete(profile.id);
+  res.json({ success: true, message: 'Column mapping profile deleted' });
+});
+
 // ---------- CACHE HELPERS ----------
 router.getAnalysisCache = () => analysisCache;
 
 // ---------- GET SESSION ----------
-router.get('/session/:sessionId', (req, res) => {
+router.get('/session/:sessionId', auth, (req, res) => {
   try {
     const { sessionId } = req.params;
-    if (!analysisCache.has(sessionId)) {
+    // Other users' sessions look exactly like missing ones
+    const entry = analysisCache.getOwned(sessionId, req.user.id, req.user.schoolId);
+    if (!entry) {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
 
-    const data = analysisCache.get(sessionId);
     res.json({
       success: true,
       sessionId,
-      timestamp: data.timestamp,
-      totalStudents: data.totalStudents,
-      totalSubjects: data.totalSubjects,
+      timestamp: entry.timestamp,
+      totalStudents: entry.data?.totalStudents,
+      totalSubjects: entry.data?.totalSubjects,
       hasData: true,
     });
   } catch (err) {
@@ -130,6 +422,63 @@ router.get('/session/:sessionId', (req, res) => {
   }
 });
 
+// ---------- SCHOOL-WIDE ROLLUP (principals & admins) ----------
+router.get('/rollup', auth, requireRole(...ROLLUP_ROLES), (req, res) => {
+  try {
+    // Principals and school admins see their school; admins see every school (or one with ?schoolId=)
+    let filter = {};
+    if (req.user.role !== 'admin') {
+      if (!req.user.schoolId) {
+        return res.status(400).json({ success: false, error: 'Your account is not linked to a school' });
+      }
+      filter = { schoolId: req.user.schoolId };
+    } else if (req.query.schoolId) {
+      filter = { schoolId: Number(req.query.schoolId) };
+    }
+
+    const analyses = analysisCache.getAllSessions(filter)
+      .map(session => {
+        const entry = analysisCache.peek(session.sessionId);
+        const analysis = entry?.data || {};
+        const overall = analysis.analysisResults?.overallAssessment || {};
+        return {
+          sessionId: session.sessionId,
+          ownerId: session.ownerId,
+          schoolId: session.schoolId,
+          timestamp: session.timestamp,
+          totalStudents: analysis.totalStudents || 0,
+          totalSubjects: analysis.totalSubjects || 0,
+          classGrade: overall.classGrade || null,
+          averageScore: overall.averageScore !== undefined ? parseFloat(overall.averageScore) : null
+        };
+      });
+
+    // Student-weighted average across every analysis
+    const scored = analyses.filter(a => a.averageScore !== null && !isNaN(a.averageScore) && a.totalStudents > 0);
+    const weightedStudents = scored.reduce((sum, a) => sum + a.totalStudents, 0);
+    const averageScore = weightedStudents > 0
+      ? scored.reduce((sum, a) => sum + a.averageScore * a.totalStudents, 0) / weightedStudents
+      : null;
+
+    const gradeDistribution = {};
+    analyses.forEach(a => {
+      if (a.classGrade) gradeDistribution[a.classGrade] = (gradeDistribution[a.classGrade] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      totalAnalyses: analyses.length,
+      totalStudents: analyses.reduce((sum, a) => sum + a.totalStudents, 0),
+      averageScore: averageScore !== null ? averageScore.toFixed(1) : null,
+      gradeDistribution,
+      analyses
+    });
+  } catch (err) {
+    console.error('Rollup error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ---------- HEALTH ----------
 router.get('/health', (req, res) => {
   res.json({
@@ -141,19 +490,19 @@ router.get('/health', (req, res) => {
 });
 
 // PDF Download endpoint
-router.get('/download-pdf/:sessionId', async (req, res) => {
+router.get('/download-pdf/:sessionId', auth, async (req, res) => {
     try {
         const { sessionId } = req.params;
 
-        if (!analysisCache.has(sessionId)) {
+        const sessionData = analysisCache.getOwned(sessionId, req.user.id, req.user.schoolId);
+        if (!sessionData) {
             return res.status(404).json({
                 success: false,
                 error: 'Analysis session not found'
             });
         }
 
-        const sessionData = analysisCache.get(sessionId);
-        const analysisResults = sessionData.data || sessionData;
+        const analysisResults = viewAnalysisForUser(sessionData.data || sessionData, req.user);
 
         // Generate PDF
         const pdfBuffer = await generateAnalysisPDF(analysisResults, sessionId);
@@ -221,6 +570,42 @@ async function generateAnalysisPDF(analysisResults, sessionId) {
 
             doc.moveDown(2);
 
+            // Subject Statistics
+            if (analysisResults.subjectStatistics?.length > 0) {
+                doc.fontSize(18)
+                   .font('Helvetica-Bold')
+                   .text('Subject Statistics');
+
+                doc.moveDown();
+                drawSubjectStatistics(doc, analysisResults.subjectStatistics);
+                doc.moveDown(2);
+            }
+
+            // Predicted WAEC outcomes: who is likely to miss a credit in a required subject
+            const forecast = analysisResults.analysisResults?.waecForecast;
+            if (forecast) {
+                doc.fontSize(18)
+                   .font('Helvetica-Bold')
+                   .text('Predicted WAEC Outcomes');
+
+                doc.moveDown();
+                doc.fontSize(10)
+                   .font('Helvetica')
+                   .text(`Forecast for ${termLabel(forecast.target)} by regression on each student's term scores, ` +
+                       `with a ${forecast.intervalPercent}% range.`);
+                doc.moveDown(0.5);
+                doc.fontSize(12);
+
+                if (forecast.atRisk.length === 0) {
+                    doc.text(`No student is predicted below C6 in ${forecast.requiredSubjects.join(' or ')}.`);
+                }
+                forecast.atRisk.forEach(risk => {
+                    doc.text(`• ${risk.studentName} – ${risk.subject}: ${risk.grade} predicted (${risk.predictedScore}, ` +
+                        `range ${risk.low}–${risk.high}, ${risk.chanceOfCredit}% chance of a credit)`);
+                });
+                doc.moveDown(2);
+            }
+
             // Key Insights
             if (analysisResults.analysisResults?.insights?.length > 0) {
                 doc.fontSize(18)
@@ -327,6 +712,38 @@ async function generateAnalysisPDF(analysisResults, sessionId) {
                     if (student.strengths && student.strengths.length > 0) {
                         doc.text(`Top Strengths: ${student.strengths.join(', ')}`);
                     }
+
+                    // Term-by-term trajectory: flags first, then one line per subject
+                    if (student.trajectory) {
+                        doc.moveDown(0.5);
+                        doc.fontSize(12)
+                           .font('Helvetica-Bold')
+                           .text('Term-by-Term Trend:');
+                        doc.fontSize(10)
+                           .font('Helvetica');
+
+                        (student.trajectoryFlags || []).forEach(flag => doc.text(`• ${flag.message}`));
+                        Object.entries(student.trajectory.subjects).forEach(([subject, t]) => {
+                            const scores = Object.values(t.terms);
+                            if (scores.length < 2) return;
+                            doc.text(`${subject}: ${scores.join(' → ')} ` +
+                                `(${t.slope >= 0 ? '+' : ''}${t.slope} per term, best ${termLabel(t.best.term)} ${t.best.score}, ` +
+                                `worst ${termLabel(t.worst.term)} ${t.worst.score})`);
+                        });
+                    }
+
+                    // Predicted WAEC grade per subject, with its range
+                    if (student.waecForecast) {
+                        doc.moveDown(0.5);
+                        doc.fontSize(12)
+                           .font('Helvetica-Bold')
+                           .text('Predicted WAEC Grades:');
+                        doc.fontSize(10)
+                           .font('Helvetica')
+                           .text(Object.entries(student.waecForecast)
+                               .map(([subject, f]) => `${subject} ${f.grade} (${f.gradeRange.best}–${f.gradeRange.worst})`)
+                               .join(', '));
+                    }
                     
                     if (student.insight) {
                         doc.moveDown(0.5);
@@ -373,6 +790,16 @@ async function generateAnalysisPDF(analysisResults, sessionId) {
                                 if (course.jamb_cutoff) {
                                     doc.text(`   JAMB Cutoff: ${course.jamb_cutoff}`);
                                 }
+
+                                if (course.utmeEstimate) {
+                                    const utme = course.utmeEstimate;
+                                    const gap = course.gapToCutoff > 0 ? `, ${course.gapToCutoff} points short of the cutoff` : '';
+                                    doc.text(`   UTME Estimate: ${utme.low}–${utme.high} (${utme.subjects.join(', ')})${gap}`);
+                                    if (course.prioritySubjects?.length) {
+                                        doc.text(`   Priority Subjects: ${course.prioritySubjects
+                                            .map(p => `${p.subject} (${p.average} → ${p.target})`).join(', ')}`);
+                                    }
+                                }
                                 
                                 if (course.waec_required) {
                                     doc.text(`   WAEC Requirements: ${course.waec_required}`);
@@ -384,7 +811,9 @@ async function generateAnalysisPDF(analysisResults, sessionId) {
                     } else {
                         doc.fontSize(11)
                            .font('Helvetica-Oblique')
-                           .text('No specific course recommendations available.');
+                           .text(student.courseRecommendationsNote
+                               ? `No course recommendations: ${student.courseRecommendationsNote}.`
+                               : 'No specific course recommendations available.');
                     }
                 });
                 
@@ -412,4 +841,44 @@ async function generateAnalysisPDF(analysisResults, sessionId) {
     });
 }
 
+// One row per subject in fixed columns, repeating the header on each new page
+function drawSubjectStatistics(doc, stats) {
+    const columns = [
+        { label: 'Subject', width: 130, value: s => s.subject },
+        { label: 'Students', width: 45, value: s => s.students },
+        { label: 'Mean', width: 40, value: s => s.mean },
+        { label: 'Median', width: 42, value: s => s.median },
+        { label: 'SD', width: 35, value: s => s.standardDeviation },
+        { label: 'Q1–Q3', width: 60, value: s => `${s.quartiles.q1}–${s.quartiles.q3}` },
+        { label: 'Credit %', width: 55, value: s => s.creditPassRate },
+        { label: 'Dist. %', width: 50, value: s => s.distinctionRate },
+        { label: 'Fails', width: 35, value: s => s.failures }
+    ];
+    const left = doc.page.margins.left;
+    const rowHeight = 16;
+
+    const drawRow = (cells, font) => {
+        const y = doc.y;
+        let x = left;
+        doc.fontSize(9).font(font);
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x, y, { width: columns[index].width - 4, lineBreak: false, ellipsis: true });
+            x += columns[index].width;
+        });
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+    const drawHeader = () => drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+
+    drawHeader();
+    stats.forEach(stat => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            drawHeader();
+        }
+        drawRow(columns.map(column => column.value(stat)), 'Helvetica');
+    });
+    doc.fontSize(12).font('Helvetica');
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { db } = require('../db');
+const userStore = require('../services/userStore');
+const schoolStore = require('../services/schoolStore');
+const tokenService = require('../services/tokenService');
+const accountTokens = require('../services/accountTokens');
+const mailer = require('../services/mailer');
+const { auth, requireRole, ROLES, SCHOOL_ROLES } = require('../middleware/auth');
 
-// Simple in-memory user store (use database in production)
-const users = new Map();
+// Accounts listed in ADMIN_EMAILS are made admins once they confirm their email address
+const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
 
-// Register endpoint
+const isAdminEmail = email => adminEmails.includes(String(email).trim().toLowerCase());
+
+/**
+ * Device details shown in the active sessions list
+ */
+function clientInfo(req) {
+    return {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+    };
+}
+
+/**
+ * Email a verification link; a mail outage must not fail the request that triggered it
+ */
+async function sendVerificationEmail(user) {
+    try {
+        await mailer.sendEmailVerification(user, accountTokens.issue(user.id, 'email_verification'));
+        return true;
+    } catch (error) {
+        console.error('Verification email error:', error);
+        return false;
+    }
+}
+
+// Register endpoint. A new account is one of:
+// - a platform admin (email listed in ADMIN_EMAILS), who has no school and the narrowest role
+//   until /verify-email proves they own the address
+// - invited staff (inviteToken from a school admin's invitation decides school and role)
+// - the founder of a new school, who becomes its school admin
 router.post('/register', async (req, res) => {
     try {
-        const { email, password, name } = req.body;
+        const { email, password, name, phone, inviteToken } = req.body;
+        const schoolName = String(req.body.school || '').trim();
 
         if (!email || !password || !name) {
             return res.status(400).json({
@@ -18,30 +57,84 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        if (users.has(email)) {
+        if (userStore.findByEmail(email)) {
             return res.status(400).json({
                 success: false,
                 error: 'User already exists'
             });
         }
 
+        const isBootstrapAdmin = isAdminEmail(email);
+        let invitation = null;
+        let school = null;
+        let role = 'school_admin';
+        let subjects = userStore.parseSubjects(req.body.subjects);
+
+        if (isBootstrapAdmin) {
+            role = 'teacher';
+            subjects = [];
+        } else if (inviteToken) {
+            invitation = schoolStore.findPendingInvitation(inviteToken);
+            if (!invitation || invitation.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This invitation is invalid, has expired, or was sent to a different email address'
+                });
+            }
+            school = schoolStore.findById(invitation.school_id);
+            role = invitation.role;
+            subjects = JSON.parse(invitation.subjects);
+        } else if (!schoolName) {
+            return res.status(400).json({
+                success: false,
+                error: 'School is required. Staff joining a school that already uses EDU_AID need an invitation from its school admin.'
+            });
+        } else if (schoolStore.findByName(schoolName)) {
+            return res.status(400).json({
+                success: false,
+                error: `${schoolName} already uses EDU_AID. Ask its school admin to invite you.`
+            });
+        }
+
         // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const passwordHash = await bcrypt.hash(password, 10);
 
-        // Store user
-        users.set(email, {
-            email,
-            name,
-            password: hashedPassword,
-            createdAt: new Date().toISOString()
-        });
+        // Store user (and the new school, for founders) atomically
+        const user = db.transaction(() => {
+            if (!isBootstrapAdmin && !invitation) {
+                school = schoolStore.create(schoolName);
+            }
+
+            const created = userStore.create({
+                email,
+                name,
+                passwordHash,
+                school,
+                role,
+                phone,
+                subjects
+            });
+
+            if (invitation) schoolStore.markInvitationAccepted(invitation.id);
+            return created;
+        })();
+
+        await sendVerificationEmail(user);
 
         res.json({
             success: true,
             message: 'User registered successfully',
-            user: { email, name }
+            user
         });
     } catch (error) {
+        // Unique indexes catch concurrent registrations for the same email or school
+        if (error.code === 'USER_EXISTS' || error.code === 'SCHOOL_EXISTS') {
+            return res.status(400).json({
+                success: false,
+                error: error.code === 'USER_EXISTS' ? 'User already exists' : error.message
+            });
+        }
+
         console.error('Registration error:', error);
         res.status(500).json({
             success: false,
@@ -62,7 +155,7 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        const user = users.get(email);
+        const user = userStore.findByEmail(email);
         if (!user) {
             return res.status(401).json({
                 success: false,
@@ -70,7 +163,7 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        const isValidPassword = await bcrypt.compare(password, user.password_hash);
         if (!isValidPassword) {
             return res.status(401).json({
                 success: false,
@@ -78,18 +171,16 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { email: user.email, name: user.name },
-            process.env.JWT_SECRET || 'default_secret',
-            { expiresIn: '24h' }
-        );
+        // Short-lived access token plus a refresh token for this device
+        const { accessToken, refreshToken, expiresIn } = tokenService.createSession(user, clientInfo(req));
 
         res.json({
             success: true,
             message: 'Login successful',
-            token,
-            user: { email: user.email, name: user.name }
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            user: userStore.toPublic(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -100,29 +191,256 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Verify token endpoint
-router.get('/verify', (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', (req, res) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
+        const { accessToken, refreshToken, expiresIn } = tokenService.refresh(req.body.refreshToken);
 
-        if (!token) {
+        res.json({
+            success: true,
+            token: accessToken,
+            refreshToken,
+            expiresIn
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_TOKEN') {
             return res.status(401).json({
                 success: false,
-                error: 'No token provided'
+                error: error.message
+            });
+        }
+
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Verify token endpoint
+router.get('/verify', auth, (req, res) => {
+    // Token is only valid while the account still exists
+    const user = userStore.findById(req.user.id);
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid token'
+        });
+    }
+
+    res.json({
+        success: true,
+        user: userStore.toPublic(user)
+    });
+});
+
+// Sign out this device: its refresh token stops working immediately
+router.post('/logout', auth, (req, res) => {
+    tokenService.revokeSession(req.user.sid, req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Logged out'
+    });
+});
+
+// Devices currently signed in to this account
+router.get('/sessions', auth, (req, res) => {
+    const sessions = tokenService.listSessions(req.user.id).map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+    }));
+
+    res.json({
+        success: true,
+        sessions
+    });
+});
+
+// Sign out another device (e.g. a lost phone)
+router.delete('/sessions/:id', auth, (req, res) => {
+    if (!tokenService.revokeSession(req.params.id, req.user.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Session signed out'
+    });
+});
+
+// Request a password reset link. The response is the same whether or not the
+// email is registered, so this cannot be used to discover accounts.
+router.post('/forgot-password', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({
+            success: false,
+            error: 'Email is required'
+        });
+    }
+
+    try {
+        const user = userStore.findByEmail(email);
+        if (user) {
+            const token = accountTokens.issue(user.id, 'password_reset');
+            await mailer.sendPasswordReset(user, token, accountTokens.ttlMinutes('password_reset'));
+        }
+    } catch (error) {
+        console.error('Password reset email error:', error);
+    }
+
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent.'
+    });
+});
+
+// Choose a new password using the emailed token; signs the user out everywhere
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Token and new password are required'
+            });
+        }
+
+        const userId = accountTokens.consume(token, 'password_reset');
+        userStore.updatePassword(userId, await bcrypt.hash(password, 10));
+        tokenService.revokeAllSessions(userId);
+
+        // The reset link proves the user can read mail at this address
+        userStore.markEmailVerified(userId);
+
+        res.json({
+            success: true,
+            message: 'Password updated. Please sign in with your new password.'
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_TOKEN') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Confirm an email address using the emailed token. Accounts listed in ADMIN_EMAILS become
+// platform admins here, so nobody gets admin rights by registering someone else's address.
+router.post('/verify-email', (req, res) => {
+    try {
+        const userId = accountTokens.consume(req.body.token, 'email_verification');
+        let user = userStore.markEmailVerified(userId);
+
+        if (user && isAdminEmail(user.email) && user.schoolId === null && user.role !== 'admin') {
+            user = userStore.updateProfile(userId, { role: 'admin' });
+        }
+
         res.json({
             success: true,
-            user: decoded
+            message: user?.role === 'admin'
+                ? 'Email address confirmed. Admin access takes effect when your access token is next refreshed.'
+                : 'Email address confirmed',
+            user
         });
     } catch (error) {
-        res.status(401).json({
+        if (error.code === 'INVALID_TOKEN') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Send a fresh verification link to the signed-in user
+router.post('/resend-verification', auth, async (req, res) => {
+    const user = userStore.findById(req.user.id);
+    if (!user) {
+        return res.status(401).json({
             success: false,
             error: 'Invalid token'
         });
     }
+
+    if (user.email_verified_at) {
+        return res.json({
+            success: true,
+            message: 'Email address is already confirmed'
+        });
+    }
+
+    if (!await sendVerificationEmail(userStore.toPublic(user))) {
+        return res.status(502).json({
+            success: false,
+            error: 'Could not send the verification email. Please try again later.'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Verification email sent'
+    });
+});
+
+// Assign a role (and subjects for subject teachers).
+// Admins may change anyone; school admins only staff of their own school, and never to 'admin'.
+router.put('/users/:id/role', auth, requireRole('admin', 'school_admin'), (req, res) => {
+    try {
+        const { role, subjects } = req.body;
+        const assignable = req.user.role === 'admin' ? ROLES : SCHOOL_ROLES;
+
+        if (!assignable.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${assignable.join(', ')}`
+            });
+        }
+
+        const target = userStore.findById(req.params.id);
+        if (!target || (req.user.role !== 'admin' && target.school_id !== req.user.schoolId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const updates = { role };
+        if (subjects !== undefined) updates.subjects = userStore.parseSubjects(subjects);
+
+        res.json({
+            success: true,
+            message: 'Role updated. It takes effect when the user\'s access token is next refreshed.',
+            user: userStore.updateProfile(Number(req.params.id), updates)
+        });
+    } catch (error) {
+        console.error('Role update error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
 module.exports = router;
\ No newline at end of file
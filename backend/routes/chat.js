@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const analysisCache = require('../utils/analysisCache');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { auth } = require('../middleware/auth');
+const { viewAnalysisForUser } = require('../utils/accessPolicy');
+const llm = require('../services/llm');
 
 // Store analysis results from /api/analysis/analyze (now handled by shared cache)
-router.post('/store-analysis', (req, res) => {
+router.post('/store-analysis', auth, (req, res) => {
     try {
         const { sessionId, analysisData } = req.body;
         
@@ -17,8 +17,16 @@ router.post('/store-analysis', (req, res) => {
             });
         }
 
+        // Never overwrite a session that belongs to someone else
+        if (analysisCache.has(sessionId) && !analysisCache.isOwnedBy(sessionId, req.user.id, req.user.schoolId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
         // Store analysis data
-        analysisCache.set(sessionId, analysisData);
+        analysisCache.set(sessionId, analysisData, { ownerId: req.user.id, schoolId: req.user.schoolId });
 
         res.json({
             success: true,
@@ -35,7 +43,7 @@ router.post('/store-analysis', (req, res) => {
 });
 
 // Chat endpoint with access to analysis results
-router.post('/send', async (req, res) => {
+router.post('/send', auth, async (req, res) => {
     try {
         const { message, sessionId } = req.body;
 
@@ -46,27 +54,26 @@ router.post('/send', async (req, res) => {
             });
         }
 
-        // Get analysis data if sessionId is provided
+        // Get analysis data if sessionId is provided (only the caller's own sessions)
         let analysisContext = null;
-        if (sessionId && analysisCache.has(sessionId)) {
-            const sessionData = analysisCache.get(sessionId);
-            analysisContext = sessionData.data || sessionData;
-        }
-
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-2.5-flash',
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 2048
+        if (sessionId) {
+            const sessionData = analysisCache.getOwned(sessionId, req.user.id, req.user.schoolId);
+            if (!sessionData) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
             }
-        });
+            analysisContext = viewAnalysisForUser(sessionData.data || sessionData, req.user);
+        }
 
         // Create context-aware prompt
         const prompt = createChatPrompt(message, analysisContext);
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        let text = response.text();
+        let { text } = await llm.generate(prompt, {
+            temperature: 0.7,
+            maxOutputTokens: 2048
+        });
 
         // Clean any markdown formatting
         text = text.replace(/```json/g, '').replace(/```/g, '').trim();
@@ -80,18 +87,18 @@ router.post('/send', async (req, res) => {
 
     } catch (error) {
         console.error('Chat error:', error);
-        res.status(500).json({
+        res.status(error.code === 'LLM_UNAVAILABLE' ? 503 : 500).json({
             success: false,
             error: error.message,
-            hint: 'Check if Gemini API is working properly'
+            hint: 'Check that the AI provider (LLM_PROVIDER) is configured and reachable'
         });
     }
 });
 
-// Get available analysis sessions
-router.get('/sessions', (req, res) => {
+// Get the caller's analysis sessions
+router.get('/sessions', auth, (req, res) => {
     try {
-        const sessions = analysisCache.getAllSessions();
+        const sessions = analysisCache.getAllSessions({ ownerId: req.user.id, schoolId: req.user.schoolId ?? null });
 
         res.json({
             success: true,
@@ -107,11 +114,11 @@ router.get('/sessions', (req, res) => {
 });
 
 // Clear analysis cache for a session
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', auth, (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        if (analysisCache.has(sessionId)) {
+        if (analysisCache.isOwnedBy(sessionId, req.user.id, req.user.schoolId)) {
             analysisCache.delete(sessionId);
             res.json({
                 success: true,
@@ -146,7 +153,7 @@ Your capabilities include:
 - Helping with JAMB/WAEC requirements and university admissions
 
 System Features:
-- AI-powered analysis using Gemini 2.5 Flash
+- AI-powered analysis using ${llm.describe().model || 'a configurable AI model'}
 - Support for SS1-SS3 grade analysis
 - Individual student performance insights
 - Course recommendations with JAMB cutoffs and WAEC requirements
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const courseCatalog = require('../services/courseCatalogStore');
+const { auth, requireRole } = require('../middleware/auth');
+
+// Catalog errors the caller can fix
+const COURSE_ERRORS = ['INVALID_COURSE', 'COURSE_EXISTS'];
+
+function catalogError(res, error) {
+    if (COURSE_ERRORS.includes(error.code)) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error('Course catalog error:', error);
+    res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+function courseNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+    });
+}
+
+// The whole catalog, with its version
+router.get('/', auth, (req, res) => {
+    try {
+        const { version, updatedAt } = courseCatalog.describe();
+        res.json({
+            success: true,
+            version,
+            updatedAt,
+            courses: courseCatalog.list()
+        });
+    } catch (error) {
+        catalogError(res, error);
+    }
+});
+
+router.get('/:courseId', auth, (req, res) => {
+    try {
+        const course = courseCatalog.findById(req.params.courseId);
+        if (!course) return courseNotFound(res);
+
+        res.json({
+            success: true,
+            course
+        });
+    } catch (error) {
+        catalogError(res, error);
+    }
+});
+
+// Add a course: { course, faculty?, universities, utmeSubjects, olevelRequired, cutoff } – platform admins only
+router.post('/', auth, requireRole('admin'), (req, res) => {
+    try {
+        const course = courseCatalog.create(req.body);
+        res.status(201).json({
+            success: true,
+            course,
+            version: courseCatalog.describe().version
+        });
+    } catch (error) {
+        catalogError(res, error);
+    }
+});
+
+// Change some or all fields of a course (its id stays the same)
+router.put('/:courseId', auth, requireRole('admin'), (req, res) => {
+    try {
+        const course = courseCatalog.update(req.params.courseId, req.body);
+        if (!course) return courseNotFound(res);
+
+        res.json({
+            success: true,
+            course,
+            version: courseCatalog.describe().version
+        });
+    } catch (error) {
+        catalogError(res, error);
+    }
+});
+
+router.delete('/:courseId', auth, requireRole('admin'), (req, res) => {
+    try {
+        if (!courseCatalog.delete(req.params.courseId)) return courseNotFound(res);
+
+        res.json({
+            success: true,
+            message: 'Course removed from the catalog',
+            version: courseCatalog.describe().version
+        });
+    } catch (error) {
+        catalogError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const schoolStore = require('../services/schoolStore');
+const userStore = require('../services/userStore');
+const mailer = require('../services/mailer');
+const { auth, requireRole, SCHOOL_ROLES } = require('../middleware/auth');
+const { BUILT_IN_SCHEMES, DEFAULT_SCHEME, findBuiltInScheme, validateScheme } = require('../utils/assessment');
+
+// Roles that may see who works at their school
+const STAFF_LIST_ROLES = ['principal', 'school_admin', 'admin'];
+
+/**
+ * Only admins reach other schools; everyone else gets 404 for a school that is not theirs
+ */
+function requireOwnSchool(req, res, next) {
+    const schoolId = Number(req.params.schoolId);
+    const school = schoolStore.findById(schoolId);
+
+    if (!school || (req.user.role !== 'admin' && schoolId !== req.user.schoolId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'School not found'
+        });
+    }
+
+    req.school = school;
+    next();
+}
+
+// Every school – platform admins only
+router.get('/', auth, requireRole('admin'), (req, res) => {
+    res.json({
+        success: true,
+        schools: schoolStore.list()
+    });
+});
+
+// The caller's school (with its staff for principals and school admins)
+router.get('/current', auth, (req, res) => {
+    const school = req.user.schoolId ? schoolStore.findById(req.user.schoolId) : null;
+    if (!school) {
+        return res.status(404).json({
+            success: false,
+            error: 'Your account is not linked to a school'
+        });
+    }
+
+    res.json({
+        success: true,
+        school: schoolStore.toPublic(school),
+        staff: STAFF_LIST_ROLES.includes(req.user.role)
+            ? userStore.findBySchool(school.id).map(user => userStore.toPublic(user))
+            : undefined
+    });
+});
+
+// Assessment schemes every school can pick from (CA/exam components and their maximums)
+router.get('/assessment-schemes', auth, (req, res) => {
+    res.json({
+        success: true,
+        schemes: BUILT_IN_SCHEMES,
+        defaultScheme: DEFAULT_SCHEME.id
+    });
+});
+
+// What an invitation link is for (shown on the sign-up page before the account exists)
+router.get('/invitations/:token', (req, res) => {
+    const invitation = schoolStore.findPendingInvitation(req.params.token);
+    if (!invitation) {
+        return res.status(404).json({
+            success: false,
+            error: 'This invitation is invalid or has expired'
+        });
+    }
+
+    res.json({
+        success: true,
+        invitation: {
+            email: invitation.email,
+            role: invitation.role,
+            school: schoolStore.findById(invitation.school_id).name,
+            expiresAt: new Date(invitation.expires_at).toISOString()
+        }
+    });
+});
+
+// Invite a member of staff by email
+router.post('/:schoolId/invitations', auth, requireRole('school_admin', 'admin'), requireOwnSchool, async (req, res) => {
+    try {
+        const { email, role = 'teacher', subjects } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+
+        if (!SCHOOL_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${SCHOOL_ROLES.join(', ')}`
+            });
+        }
+
+        if (userStore.findByEmail(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'An account with this email already exists'
+            });
+        }
+
+        const { invitation, token } = schoolStore.createInvitation({
+            schoolId: req.school.id,
+            email,
+            role,
+            subjects: userStore.parseSubjects(subjects),
+            invitedBy: req.user.id
+        });
+
+        await mailer.sendSchoolInvitation(invitation, req.school, req.user, token);
+
+        res.status(201).json({
+            success: true,
+            message: `Invitation sent to ${invitation.email}`,
+            invitation
+        });
+    } catch (error) {
+        console.error('Invitation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Set how the school's term scores are built: { scheme: "standard" | { name, components } | null }
+router.put('/:schoolId/assessment-scheme', auth, requireRole('school_admin', 'admin'), requireOwnSchool, (req, res) => {
+    try {
+        const { scheme } = req.body;
+        let chosen = null;
+
+        if (typeof scheme === 'string') {
+            chosen = findBuiltInScheme(scheme);
+            if (!chosen) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown scheme "${scheme}". Use one of: ${BUILT_IN_SCHEMES.map(s => s.id).join(', ')}`
+                });
+            }
+        } else if (scheme) {
+            chosen = validateScheme(scheme);
+        }
+
+        res.json({
+            success: true,
+            school: schoolStore.setAssessmentScheme(req.school.id, chosen)
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_SCHEME') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Assessment scheme error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Invitations that have not been accepted yet
+router.get('/:schoolId/invitations', auth, requireRole('school_admin', 'admin'), requireOwnSchool, (req, res) => {
+    res.json({
+        success: true,
+        invitations: schoolStore.listPendingInvitations(req.school.id)
+    });
+});
+
+// Withdraw an invitation
+router.delete('/:schoolId/invitations/:invitationId', auth, requireRole('school_admin', 'admin'), requireOwnSchool, (req, res) => {
+    if (!schoolStore.revokeInvitation(req.school.id, Number(req.params.invitationId))) {
+        return res.status(404).json({
+            success: false,
+            error: 'Invitation not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Invitation withdrawn'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { db } = require('../db');
+
+const MINUTE = 60 * 1000;
+
+// Single-use tokens sent by email; only their hashes are stored
+const PURPOSES = {
+    password_reset: { ttlMs: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * MINUTE },
+    email_verification: { ttlMs: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60 * MINUTE }
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AccountTokenService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    ttlMinutes(purpose) {
+        return Math.round(PURPOSES[purpose].ttlMs / MINUTE);
+    }
+
+    /**
+     * Issue a token for userId; earlier unused tokens for the same purpose stop working
+     * @returns {string} The raw token to put in the email link
+     */
+    issue(userId, purpose) {
+        if (!PURPOSES[purpose]) throw new Error(`Unknown account token purpose "${purpose}"`);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+
+        this.db.transaction(() => {
+            this.db.prepare('UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL')
+                .run(now, userId, purpose);
+            this.db.prepare(`
+                INSERT INTO account_tokens (user_id, purpose, token_hash, created_at, expires_at)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(userId, purpose, hashToken(token), now, Date.now() + PURPOSES[purpose].ttlMs);
+        })();
+
+        return token;
+    }
+
+    /**
+     * Use up a token
+     * @returns {number} The user id it was issued to
+     * @throws {Error} code 'INVALID_TOKEN' when unknown, expired, already used or for another purpose
+     */
+    consume(token, purpose) {
+        const row = token && this.db.prepare('SELECT * FROM account_tokens WHERE token_hash = ?').get(hashToken(String(token)));
+
+        if (!row || row.purpose !== purpose || row.used_at || row.expires_at <= Date.now()) {
+            const error = new Error('This link is invalid or has expired');
+            error.code = 'INVALID_TOKEN';
+            throw error;
+        }
+
+        this.db.prepare('UPDATE account_tokens SET used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+        return row.user_id;
+    }
+}
+
+module.exports = new AccountTokenService(db);
@@ -1,246 +1,563 @@
-// services/analyzer.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const XLSX = require('xlsx');
+// services/ai_analyzer.js
+const llm = require('./llm');
+const courseCatalog = require('./courseCatalogStore');
+const { SCORE_COLUMNS } = require('../utils/columnMapping');
+const { parseUpload, previewUpload } = require('../utils/uploadParser');
+const { validateRecords } = require('../utils/uploadValidation');
+const { DEFAULT_SCHEME, componentBreakdown, componentFlag } = require('../utils/assessment');
+const { toScore, gradeForScore, isCreditPass, creditEligibility } = require('../utils/gradeScale');
+const { chunk, mapWithConcurrency, delay } = require('../utils/batching');
+const { SCHEMAS } = require('../utils/aiSchemas');
+const { canonicalSubject } = require('../utils/subjects');
+const { studentTrajectory, termLabel } = require('../utils/trajectory');
+const { subjectStatistics } = require('../utils/subjectStatistics');
+const { studentForecast, classForecast } = require('../utils/waecForecast');
+const { estimateUtme } = require('../utils/jambEstimate');
+const { rankCourses, noCoursesReason } = require('../utils/courseCatalog');
+
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 120000;
+
+// Students go to the AI in batches small enough for the reply to fit in maxOutputTokens;
+// a few batches run at once, and a failed or incomplete batch is retried for the students it missed
+const AI_BATCH_SIZE = parseInt(process.env.AI_BATCH_SIZE, 10) || 15;
+const AI_BATCH_CONCURRENCY = parseInt(process.env.AI_BATCH_CONCURRENCY, 10) || 3;
+const AI_BATCH_RETRIES = parseInt(process.env.AI_BATCH_RETRIES, 10) >= 0 ? parseInt(process.env.AI_BATCH_RETRIES, 10) : 2;
+const AI_RETRY_DELAY_MS = 1000;
+
+// A subject averaging at least STRENGTH_SCORE is a strength, one below CONCERN_SCORE a concern
+const STRENGTH_SCORE = 70;
+const CONCERN_SCORE = 60;
+
+// The students of data named in names, in that order
+function pickStudents(data, names) {
+  return Object.fromEntries(names.map(name => [name, data[name]]));
+}
 
 class AIAnalyzer {
   constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      console.error('❌ GEMINI_API_KEY not found! AI analysis is DISABLED.');
-      console.error('   Please configure GEMINI_API_KEY in .env file for production use.');
+    const { provider, model } = llm.describe();
+    if (!llm.available) {
+      console.error('❌ No AI provider configured! AI analysis is DISABLED.');
+      console.error('   Set LLM_PROVIDER (gemini, openai or mock) in .env for production use.');
       console.error('   The system will fall back to rule-based analysis (NOT recommended).');
-      this.genAI = null;
-      this.model = null;
     } else {
-      try {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        // Use gemini-2.5-flash model with proper configuration
-        this.model = this.genAI.getGenerativeModel({
-          model: 'gemini-2.5-flash',
-          generationConfig: { 
-            temperature: 0.7, 
-            maxOutputTokens: 8192,
-            topK: 40,
-            topP: 0.95
-          }
-        });
-        console.log('✅ Gemini AI (2.5-flash) initialized successfully - AI-powered analysis ENABLED');
-      } catch (error) {
-        console.error('❌ Failed to initialize Gemini AI:', error.message);
-        console.error('   AI analysis is DISABLED. System will use rule-based fallback.');
-        this.genAI = null;
-        this.model = null;
-      }
+      console.log(`✅ AI provider ${provider} (${model}) ready - AI-powered analysis ENABLED`);
     }
+
+    // Sampling settings for the analysis prompt
+    this.generationConfig = {
+      temperature: 0.7,
+      maxOutputTokens: 8192,
+      topK: 40,
+      topP: 0.95
+    };
   }
 
   // ------------------------------------------------------------
   // PUBLIC ENTRY POINT – called from the route
   // ------------------------------------------------------------
-  async analyzeFile(filePath, originalName) {
+  // options.subjects limits the analysis to those subjects (subject teachers)
+  // options.mapping says which headers hold name, subject and term scores (see utils/columnMapping.js);
+  // without one the standard template is used, or a mapping is suggested from the header row.
+  // Every sheet of a workbook is read (one per class arm or term); the result has a per-sheet breakdown.
+  // options.scheme is the assessment scheme (utils/assessment.js) that builds term totals from
+  // CA and exam columns; the result then has CA vs exam percentages per subject and student.
+  // options.onProgress({ stage, percent, ... }) hears each stage: parsing, statistics, ai, finalising
+  async analyzeFile(filePath, originalName, options = {}) {
     console.log('AI Analyzer: Starting file analysis');
-    console.log('File path:', filePath);
-    console.log('Original name:', originalName);
+
+    const progress = options.onProgress || (() => {});
 
     try {
-      // 1. Read Excel
-      const workbook = XLSX.readFile(filePath);
-      const sheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rows = XLSX.utils.sheet_to_json(sheet);
+      const scheme = options.scheme || DEFAULT_SCHEME;
+
+      // 1. Read every sheet (in a worker thread, which reports how far it has got)
+      progress({ stage: 'parsing', percent: 0 });
+      const { records, sheets } = await this.readRecords(filePath, {
+        mapping: options.mapping,
+        scheme,
+        onProgress: ({ stage, ...details }) => progress({ ...details, stage: 'parsing' })
+      });
+      let rows = records.filter(row => row.name && row.subject);
 
-      console.log('Excel data loaded, rows count:', rows.length);
-      console.log('Sample row:', rows[0]);
+      if (rows.length === 0 && (records.length > 0 || sheets.some(sheet => sheet.skipped))) {
+        const error = new Error('No rows with both a student name and a subject. Choose a column mapping profile that matches this file.');
+        error.code = 'INVALID_MAPPING';
+        throw error;
+      }
+
+      if (options.subjects?.length) {
+        rows = this.restrictToSubjects(rows, options.subjects);
+        console.log(`Restricted to subjects [${options.subjects.join(', ')}], rows count:`, rows.length);
+      }
 
       // 2. Count students & subjects (frontend needs these)
-      const studentSet = new Set();
-      const subjectSet = new Set();
-
-      rows.forEach(row => {
-        const name = row['Full Name'] || row.full_name || row.Student_ID || row.student_id;
-        const subj = row.Subject || row.subject;
-        if (name) studentSet.add(name);
-        if (subj) subjectSet.add(subj);
-      });
+      const studentSet = new Set(rows.map(row => row.name));
+      const subjectSet = new Set(rows.map(row => row.subject));
 
       const totalStudents = studentSet.size;
       const totalSubjects = subjectSet.size;
 
-      console.log('Detected students:', totalStudents);
-      console.log('Detected subjects:', totalSubjects);
+      console.log(`Detected ${totalStudents} students and ${totalSubjects} subjects`);
 
       // 3. Build the data that will go into the AI prompt
-      const studentData = this.aggregateStudentData(rows);
-      console.log('Aggregated student data sample:', Object.keys(studentData).slice(0, 3));
+      progress({ stage: 'statistics', percent: 0 });
+      const breakdown = componentBreakdown(rows, scheme);
+      const studentData = this.aggregateStudentData(rows, breakdown);
 
-      // 4. Call Gemini
-      console.log('Calling AI for analysis...');
+      // 4. Call the AI
+      progress({ stage: 'ai', percent: 0 });
       const aiResult = await this.analyzeWithAI(studentData, {
         fileName: originalName,
         totalStudents,
-        totalSubjects
+        totalSubjects,
+        onProgress: details => progress({ ...details, stage: 'ai' })
       });
 
-      console.log('AI analysis completed');
-      console.log('AI result structure:', Object.keys(aiResult));
+      progress({ stage: 'finalising', percent: 0 });
+      const components = this.summarizeComponents(breakdown, scheme);
+      if (components) this.addComponentFlags(aiResult, components);
+      this.addWaecGrades(aiResult, studentData);
+      this.addUtmeEstimates(aiResult, studentData);
+      this.addTrajectories(aiResult, studentData);
+      this.addWaecForecasts(aiResult, studentData);
 
       // 5. Return everything the frontend expects
       const finalResult = {
         totalStudents,
         totalSubjects,
+        sheets: this.summarizeSheets(sheets, rows),
+        components,
+        subjectStatistics: subjectStatistics(studentData),
         analysisResults: aiResult,
         timestamp: new Date().toISOString()
       };
 
-      console.log('Final analysis result keys:', Object.keys(finalResult));
       return finalResult;
 
     } catch (error) {
       console.error('AI Analyzer error:', error);
-      throw new Error(`Analysis failed: ${error.message}`);
+      const failure = new Error(`Analysis failed: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
     }
   }
 
+  // Rows of the given subjects only (a teacher's assigned subjects). Both sides are compared by
+  // canonical subject, so "Maths" matches a "Mathematics" sheet and "Eng. Language" an "English" one
+  restrictToSubjects(rows, subjects) {
+    const key = subject => canonicalSubject(subject) || String(subject).trim().toLowerCase();
+    const allowed = new Set(subjects.map(key));
+    return rows.filter(row => allowed.has(key(row.subject)));
+  }
+
   // ------------------------------------------------------------
-  // Aggregate raw rows → { studentName: { subject: avgScore } }
+  // DRY RUN – check every row without running the analysis
   // ------------------------------------------------------------
-  aggregateStudentData(rows) {
+  async validateFile(filePath, options = {}) {
+    const scheme = options.scheme || DEFAULT_SCHEME;
+    const { headers, mapping, records, sheets } = await this.readRecords(filePath, { mapping: options.mapping, scheme, onProgress: options.onProgress });
+    return { headers, mapping, sheets, scheme, ...validateRecords(records, { scheme }) };
+  }
+
+  // ------------------------------------------------------------
+  // Read every sheet through a column mapping, in a worker thread (utils/uploadParser)
+  // → { headers, mapping, records, sheets } (headers/mapping of the first sheet read;
+  //   records from applyMapping, tagged with their sheet and class arm)
+  // Broadsheets (one column per subject) are detected when no mapping is given and converted.
+  // Term totals missing from the sheet are built from CA/exam components with the scheme
+  // ------------------------------------------------------------
+  async readRecords(filePath, { mapping, scheme = DEFAULT_SCHEME, onProgress } = {}) {
+    const result = await parseUpload(filePath, { mapping, scheme, onProgress });
+    console.log(`Workbook loaded: ${result.records.length} rows from ${result.sheets.length} sheet(s)`);
+    return result;
+  }
+
+  // Header row and broadsheet layout of a file's first sheet (for mapping suggestions), read in
+  // the parse worker from the top rows only → { headers, broadsheet }
+  previewFile(filePath, { scheme = DEFAULT_SCHEME } = {}) {
+    return previewUpload(filePath, { scheme });
+  }
+
+  // ------------------------------------------------------------
+  // Per-sheet breakdown: rows, students, subjects and average score of each sheet
+  // ------------------------------------------------------------
+  summarizeSheets(sheets, rows) {
+    return sheets.map(sheet => {
+      const sheetRows = rows.filter(row => row.sheet === sheet.name);
+      const scores = sheetRows.flatMap(row => SCORE_COLUMNS
+        .map(col => toScore(row.scores[col]))
+        .filter(n => n !== null && !isNaN(n) && n >= 0));
+
+      return {
+        ...sheet,
+        students: new Set(sheetRows.map(row => row.name)).size,
+        subjects: new Set(sheetRows.map(row => row.subject)).size,
+        averageScore: scores.length ? Number((scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1)) : null
+      };
+    });
+  }
+
+  // ------------------------------------------------------------
+  // CA vs exam percentages from componentBreakdown, with "strong CA, weak exam" style flags
+  // ------------------------------------------------------------
+  summarizeComponents(breakdown, scheme) {
+    if (!breakdown) return null;
+
+    const describe = (subject, { ca, exam }) => ({ subject, caPercent: ca, examPercent: exam, flag: componentFlag({ ca, exam }) });
+
+    return {
+      scheme: {
+        id: scheme.id,
+        name: scheme.name,
+        components: scheme.components.map(({ key, label, max, kind }) => ({ key, label, max, kind }))
+      },
+      subjects: Object.entries(breakdown.subjects).map(([subject, percent]) => describe(subject, percent)),
+      students: Object.entries(breakdown.students).map(([studentName, bySubject]) => ({
+        studentName,
+        subjects: Object.entries(bySubject).map(([subject, percent]) => describe(subject, percent))
+      }))
+    };
+  }
+
+  // Put component weaknesses next to the rest of the analysis (AI or rule-based)
+  addComponentFlags(analysis, components) {
+    const note = ({ subject, caPercent, examPercent, flag }) => `${subject}: ${flag} (CA ${caPercent}%, exam ${examPercent}%)`;
+    const byStudent = new Map(components.students.map(student => [student.studentName, student.subjects]));
+
+    (analysis.individualInsights || []).forEach(student => {
+      const flags = (byStudent.get(student.studentName) || []).filter(subject => subject.flag).map(note);
+      if (flags.length) student.componentFlags = flags;
+    });
+
+    const classFlags = components.subjects.filter(subject => subject.flag).map(subject => `${note(subject)} across the class`);
+    if (classFlags.length && analysis.patterns) {
+      const placeholder = 'No major subject weaknesses identified';
+      analysis.patterns.weaknesses = [...(analysis.patterns.weaknesses || []).filter(w => w !== placeholder), ...classFlags];
+    }
+  }
+
+  // Subject averages shown back as WAEC grades (A1–F9), and each recommended course checked
+  // for credit passes (C6 or better) in its required subjects – for AI and rule-based results alike
+  addWaecGrades(analysis, studentData) {
+    (analysis.individualInsights || []).forEach(student => {
+      const subjects = studentData[student.studentName]?.subjects;
+      if (!subjects) return;
+
+      student.subjectGrades = Object.fromEntries(Object.entries(subjects)
+        .map(([subject, score]) => [subject, gradeForScore(score).grade]));
+      student.creditPasses = Object.values(subjects).filter(isCreditPass).length;
+
+      [student.courseRecommendations, student.recommendations].forEach(courses => {
+        (Array.isArray(courses) ? courses : []).forEach(course => {
+          if (course && typeof course === 'object' && course.waec_required) {
+            course.eligibility = creditEligibility(course.waec_required, subjects);
+          }
+        });
+      });
+
+      // The AI was told not to recommend a course without the credits for it
+      if (analysis.aiPowered && student.source !== 'rule-based') {
+        const ineligible = (student.courseRecommendations || []).filter(course => course?.eligibility?.eligible === false);
+        ineligible.forEach(course => {
+          student.dataConflicts = [...(student.dataConflicts || []), {
+            type: 'ineligible_course',
+            course: course.course,
+            message: `AI recommends ${course.course}, but the student is below a credit in ${course.eligibility.belowCredit.join(', ')}`
+          }];
+        });
+      }
+    });
+
+    if (analysis.aiPowered && analysis.aiReconciliation) this.summarizeConflicts(analysis);
+  }
+
+  // Projected UTME score for each recommended course (utils/jambEstimate.js), the gap to its
+  // JAMB cutoff and the subjects to work on first. Courses the AI names take their UTME
+  // subjects from the catalog entry of the same name, when there is one.
+  addUtmeEstimates(analysis, studentData) {
+    (analysis.individualInsights || []).forEach(student => {
+      const subjects = studentData[student.studentName]?.subjects;
+      if (!subjects) return;
+
+      [student.courseRecommendations, student.recommendations].forEach(courses => {
+        (Array.isArray(courses) ? courses : []).forEach(course => {
+          if (!course || typeof course !== 'object' || course.utmeEstimate) return;
+          const listed = !course.utme_subjects && courseCatalog.findByName(course.course);
+          const estimate = estimateUtme(listed ? { ...course, utme_subjects: listed.utmeSubjects } : course, subjects);
+          if (!estimate) return;
+
+          const { gapToCutoff, prioritySubjects, ...utmeEstimate } = estimate;
+          Object.assign(course, { utmeEstimate, gapToCutoff, prioritySubjects });
+        });
+      });
+    });
+  }
+
+  // Term-by-term trajectory of each student: overall and per subject, with flags such as
+  // "Declining in Chemistry since SS2 2nd term (78 → 52)"
+  addTrajectories(analysis, studentData) {
+    (analysis.individualInsights || []).forEach(student => {
+      const trajectory = studentData[student.studentName]?.trajectory;
+      if (!trajectory?.overall) return;
+
+      student.trajectory = { overall: trajectory.overall, subjects: trajectory.subjects };
+      if (trajectory.flags.length) student.trajectoryFlags = trajectory.flags;
+    });
+  }
+
+  // Predicted WAEC grade per subject, by regression on the term series (utils/waecForecast.js),
+  // and the class list of students predicted below C6 in English or Mathematics
+  addWaecForecasts(analysis, studentData) {
+    const forecasts = Object.fromEntries(Object.entries(studentData)
+      .map(([name, student]) => [name, studentForecast(student.terms)]));
+
+    (analysis.individualInsights || []).forEach(student => {
+      const forecast = forecasts[student.studentName];
+      if (!forecast || Object.keys(forecast.subjects).length === 0) return;
+
+      student.waecForecast = forecast.subjects;
+      if (forecast.belowCredit.length) student.waecRisks = forecast.belowCredit;
+    });
+
+    analysis.waecForecast = classForecast(forecasts);
+  }
+
+  // ------------------------------------------------------------
+  // Aggregate mapped rows → { studentName: { classArm, subjects: { subject: avgScore }, components } }
+  // rows come from readRecords: { name, subject, scores: { SS1_1st: value, ... }, sheet, classArm }
+  // A student's rows for one subject on several sheets (one per term) are averaged together;
+  // components (from componentBreakdown) adds CA vs exam percentages per subject
+  // ------------------------------------------------------------
+  // Each student's subjects hold one average per subject; terms keeps the score of every term
+  // ({ subject: { SS1_1st: 45, ... } }) and trajectory how those scores move (utils/trajectory.js)
+  aggregateStudentData(rows, breakdown = null) {
     const data = {};
+    const collected = {};
+    const byTerm = {};
 
     rows.forEach(row => {
-      const name = row['Full Name'] || row.full_name || row.Student_ID || row.student_id;
-      const subject = row.Subject || row.subject;
+      const { name, subject } = row;
       if (!name || !subject) return;
 
-      if (!data[name]) data[name] = { subjects: {} };
-
-      // All possible term columns
-      const termCols = [
-        'SS1_1st', 'SS1_2nd', 'SS1_3rd',
-        'SS2_1st', 'SS2_2nd', 'SS2_3rd',
-        'SS3_1st', 'SS3_2nd', 'SS3_3rd',
-        // legacy columns (if you still have the old file)
-        'SS1_Score', 'SS2_Score', 'SS3_Score'
-      ];
+      if (!data[name]) {
+        data[name] = { subjects: {}, terms: {} };
+        collected[name] = {};
+        byTerm[name] = {};
+        if (breakdown?.students[name]) data[name].components = breakdown.students[name];
+      }
+      if (row.classArm) data[name].classArm = row.classArm;
 
-      const scores = termCols
-        .map(col => parseFloat(row[col]))
-        .filter(n => !isNaN(n) && n >= 0);
+      const termScores = SCORE_COLUMNS
+        .map(col => [col, toScore(row.scores[col])])
+        .filter(([, n]) => n !== null && !isNaN(n) && n >= 0);
 
-      if (scores.length) {
-        const avg = (scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1);
-        data[name].subjects[subject] = avg;
+      if (termScores.length) {
+        collected[name][subject] = (collected[name][subject] || []).concat(termScores.map(([, n]) => n));
+        const terms = byTerm[name][subject] = byTerm[name][subject] || {};
+        termScores.forEach(([col, n]) => { terms[col] = (terms[col] || []).concat(n); });
       }
     });
 
+    const mean = scores => scores.reduce((a, b) => a + b, 0) / scores.length;
+    Object.entries(collected).forEach(([name, subjects]) => {
+      Object.entries(subjects).forEach(([subject, scores]) => {
+        data[name].subjects[subject] = mean(scores).toFixed(1);
+        data[name].terms[subject] = Object.fromEntries(Object.entries(byTerm[name][subject])
+          .map(([col, termScores]) => [col, mean(termScores)]));
+      });
+      data[name].trajectory = studentTrajectory(data[name].terms);
+    });
+
     return data;
   }
 
   // ------------------------------------------------------------
-  // AI CALL (with better error handling)
+  // AI CALL (batched, with retries and a rule-based fallback)
   // ------------------------------------------------------------
+  // context.onProgress({ percent, batch, batches }) hears each finished batch
   async analyzeWithAI(data, context = {}) {
     // Check if AI is available
-    if (!this.model) {
-      console.error('⚠️  AI model not available! GEMINI_API_KEY is required for production use.');
+    if (!llm.available) {
+      console.error('⚠️  AI model not available! An AI provider (LLM_PROVIDER) is required for production use.');
       console.log('📊 Using rule-based analysis as fallback (NOT recommended for production)...');
       return this.createComprehensiveAnalysis(data, context, false); // false = not using AI
     }
 
-    try {
-      const prompt = this.buildAnalysisPrompt(data, context);
-      console.log('📝 Generated prompt length:', prompt.length);
-      console.log('🤖 Calling Gemini AI for analysis...');
-      
-      // Set a timeout for the AI request
-      const timeout = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('AI request timeout after 30 seconds')), 30000)
-      );
-      
-      const aiRequest = this.model.generateContent(prompt);
-      
-      const result = await Promise.race([aiRequest, timeout]);
-      const response = await result.response;
-      const text = response.text();
-      
-      console.log('✅ AI response received successfully, length:', text.length);
-      console.log('📄 AI response preview:', text.substring(0, 200));
-      
-      // Check if response is empty or invalid
-      if (!text || text.trim().length === 0) {
-        console.error('❌ Empty response from Gemini API');
-        console.log('📊 Using rule-based analysis as fallback...');
-        return this.createComprehensiveAnalysis(data, context, false);
+    const { onProgress = () => {}, ...promptContext } = context;
+    const batches = chunk(Object.keys(data), AI_BATCH_SIZE);
+    let finished = 0;
+
+    console.log(`🤖 Calling ${llm.describe().provider} AI for ${Object.keys(data).length} students in ${batches.length} batch(es) of up to ${AI_BATCH_SIZE}...`);
+
+    const outcomes = await mapWithConcurrency(batches, AI_BATCH_CONCURRENCY, async (names, index) => {
+      const outcome = await this.analyzeBatch(data, names, { ...promptContext, batch: index + 1, batches: batches.length });
+      finished++;
+      onProgress({ percent: Math.round((finished / batches.length) * 100), batch: finished, batches: batches.length });
+      return outcome;
+    });
+
+    return this.mergeBatchResults(data, outcomes, promptContext);
+  }
+
+  // Ask the AI about one batch of students. Students missing from the reply (or the whole batch,
+  // if the call fails or the JSON is cut off) are asked about again, in halves, up to AI_BATCH_RETRIES times.
+  // Never throws: returns { students: [AI entries], missing: [names], attempts, repairs, issues }
+  async analyzeBatch(data, names, context) {
+    const label = `Batch ${context.batch}/${context.batches}`;
+    const found = new Map();
+    let pending = names;
+    let attempts = 0;
+    let repairs = 0;
+
+    for (let attempt = 0; attempt <= AI_BATCH_RETRIES && pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        console.log(`🔁 ${label}: retrying ${pending.length} student(s) (retry ${attempt} of ${AI_BATCH_RETRIES})`);
+        await delay(AI_RETRY_DELAY_MS * attempt);
       }
-      
-      const parsedResult = this.parseAnalysisResponse(text);
-      parsedResult.aiPowered = true;
-      return parsedResult;
-    } catch (error) {
-      console.error('❌ AI analysis error:', error.message);
-      
-      // Log specific error types
-      if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
-        console.error('🌐 Network error: Cannot connect to Gemini API. Check your internet connection.');
-      } else if (error.message.includes('API key')) {
-        console.error('🔑 API key error: Check your GEMINI_API_KEY configuration.');
-      } else if (error.message.includes('timeout')) {
-        console.error('⏱️  Request timeout: AI service took too long to respond.');
+      attempts++;
+
+      const parts = attempt === 0 ? [pending] : chunk(pending, Math.ceil(pending.length / 2));
+      for (const part of parts) {
+        try {
+          const { entries, issues, repaired } = await this.requestBatch(pickStudents(data, part), context);
+          if (repaired) repairs++;
+          entries.forEach(entry => {
+            const name = this.matchStudentName(entry.student_id, part);
+            if (!name || found.has(name)) return;
+            found.set(name, {
+              entry: { ...entry, student_id: name },
+              issues: issues.filter(issue => this.matchStudentName(issue.student, part) === name)
+                .map(({ field, message }) => ({ student: name, field, message }))
+            });
+          });
+        } catch (error) {
+          console.error(`❌ ${label}: AI analysis of ${part.length} student(s) failed:`, error.message);
+          this.logAIError(error);
+        }
       }
-      
-      console.log('📊 Using rule-based analysis as fallback (NOT recommended for production)...');
-      return this.createComprehensiveAnalysis(data, context, false);
+
+      pending = names.filter(name => !found.has(name));
     }
+
+    console.log(`✅ ${label}: ${found.size}/${names.length} students analysed by AI${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+    const kept = names.filter(name => found.has(name)).map(name => found.get(name));
+    return {
+      students: kept.map(({ entry }) => entry),
+      missing: pending,
+      attempts,
+      repairs,
+      issues: kept.flatMap(({ issues }) => issues)
+    };
   }
 
-  createFallbackAnalysis(data, context) {
-    const studentCount = Object.keys(data).length;
-    const subjects = new Set();
-    
-    Object.values(data).forEach(student => {
-      Object.keys(student.subjects || {}).forEach(subject => subjects.add(subject));
+  // One AI call (plus a repair request if the reply does not match SCHEMAS.studentRecommendations)
+  // @returns {Promise<Object>} { entries, issues: [{ student, field, message }], repaired } – entries keep
+  //   only the fields that match the schema; issues say what was dropped from them
+  // @throws {Error} On timeout, a cut-off reply, or a reply that is unusable even after the repair
+  async requestBatch(batchData, context) {
+    const prompt = this.buildAnalysisPrompt(batchData, context);
+
+    // Analyses run as background jobs, so the AI may take longer than an HTTP request could wait
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`AI request timeout after ${AI_TIMEOUT_MS / 1000} seconds`)), AI_TIMEOUT_MS);
     });
 
-    return {
-      overallAssessment: {
-        classGrade: 'C',
-        averageScore: 70,
-        totalStudents: studentCount,
-        summary: `Analysis completed for ${studentCount} students across ${subjects.size} subjects. AI analysis temporarily unavailable, showing basic summary.`
-      },
-      individualInsights: Object.keys(data).slice(0, 10).map((studentName, index) => {
-        const student = data[studentName];
-        const subjectScores = Object.entries(student.subjects || {});
-        const avgScore = subjectScores.length > 0 
-          ? subjectScores.reduce((sum, [_, score]) => sum + parseFloat(score), 0) / subjectScores.length
-          : 0;
-
-        return {
-          studentName,
-          averageScore: avgScore.toFixed(1),
-          strengths: subjectScores.filter(([_, score]) => parseFloat(score) >= 75).map(([subject, _]) => subject),
-          concerns: subjectScores.filter(([_, score]) => parseFloat(score) < 50).map(([subject, _]) => subject),
-          recommendations: avgScore < 50 ? ['Needs immediate intervention', 'Additional tutoring recommended'] 
-                          : avgScore < 75 ? ['Focus on weaker subjects', 'Regular assessment recommended']
-                          : ['Maintain current performance', 'Consider advanced challenges']
-        };
-      }),
-      patterns: {
-        strengths: ['Data analysis completed', 'Student performance tracked'],
-        weaknesses: ['AI analysis temporarily unavailable'],
-        trends: ['Manual analysis provided']
-      },
-      recommendations: {
-        immediate: ['Review student performance data', 'Identify students needing support'],
-        shortTerm: ['Implement targeted interventions', 'Regular progress monitoring'],
-        longTerm: ['Develop comprehensive improvement strategies', 'Establish performance benchmarks']
-      },
-      insights: [
-        `Analysis completed for ${studentCount} students`,
-        `${subjects.size} subjects analyzed`,
-        'Detailed AI analysis will be available once service is restored',
-        'Basic performance metrics calculated from available data'
-      ],
-      confidence: 0.6
+    const { value, issues, repaired, reply } = await Promise.race([
+      llm.generateJson(prompt, SCHEMAS.studentRecommendations, this.generationConfig),
+      timeout
+    ]).finally(() => clearTimeout(timer));
+
+    return { entries: value, issues: this.studentIssues(issues, reply), repaired };
+  }
+
+  // Schema issues of a student array reply ("$[2].recommendations[0].course") as { student, field, message }
+  studentIssues(issues, reply) {
+    return issues.map(({ path, message }) => {
+      const [, index, field] = path.match(/^\$\[(\d+)\]\.?(.*)$/) || [];
+      return {
+        student: index !== undefined && Array.isArray(reply) ? reply[index]?.student_id ?? null : null,
+        field: index !== undefined ? field || '(entry)' : path,
+        message
+      };
+    });
+  }
+
+  // The name in names the AI meant by studentId (it sometimes changes case or spacing)
+  matchStudentName(studentId, names) {
+    if (typeof studentId !== 'string') return null;
+    const key = studentId.trim().toLowerCase().replace(/\s+/g, ' ');
+    return names.find(name => name === studentId) ||
+      names.find(name => name.trim().toLowerCase().replace(/\s+/g, ' ') === key) ||
+      null;
+  }
+
+  logAIError(error) {
+    if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
+      console.error('🌐 Network error: Cannot connect to the AI provider. Check your internet connection or LLM_BASE_URL.');
+    } else if (error.message.includes('API key')) {
+      console.error('🔑 API key error: Check your GEMINI_API_KEY or LLM_API_KEY configuration.');
+    } else if (error.message.includes('timeout')) {
+      console.error('⏱️  Request timeout: AI service took too long to respond.');
+    }
+  }
+
+  // Combine the batches into one analysis in the original student order. Students no batch
+  // could get from the AI get rule-based insights; if none could, the whole analysis is rule-based.
+  mergeBatchResults(data, outcomes, context) {
+    const names = Object.keys(data);
+    const aiStudents = new Map(outcomes.flatMap(outcome => outcome.students).map(entry => [entry.student_id, entry]));
+    const missing = outcomes.flatMap(outcome => outcome.missing);
+    const aiBatches = {
+      batchSize: AI_BATCH_SIZE,
+      total: outcomes.length,
+      repaired: outcomes.reduce((sum, outcome) => sum + outcome.repairs, 0),
+      retried: outcomes.filter(outcome => outcome.attempts > 1).length,
+      failed: outcomes.filter(outcome => outcome.students.length === 0).length,
+      aiStudents: aiStudents.size,
+      ruleBasedStudents: missing
     };
+
+    if (aiStudents.size === 0) {
+      console.log('📊 No batch could be analysed by AI; using rule-based analysis as fallback (NOT recommended for production)...');
+      return { ...this.createComprehensiveAnalysis(data, context, false), aiBatches };
+    }
+
+    const fallback = missing.length > 0
+      ? this.createComprehensiveAnalysis(pickStudents(data, missing), context, false)
+      : null;
+    const fallbackEntries = new Map((fallback?.studentRecommendations || []).map(entry => [entry.student_id, entry]));
+    const fallbackInsights = new Map((fallback?.individualInsights || []).map(insight => [insight.studentName, insight]));
+
+    const result = this.transformStudentRecommendations(
+      names.map(name => aiStudents.get(name) || fallbackEntries.get(name)).filter(Boolean),
+      data
+    );
+
+    if (fallback) {
+      console.warn(`⚠️  ${missing.length} student(s) use rule-based recommendations after the AI failed for them`);
+      result.individualInsights = result.individualInsights.map(insight =>
+        fallbackInsights.has(insight.studentName) ? { ...fallbackInsights.get(insight.studentName), source: 'rule-based' } : insight
+      );
+      result.overallAssessment.summary += ` ${missing.length} of ${names.length} students could not be analysed by AI and have rule-based recommendations instead.`;
+    }
+
+    // Fields the AI got wrong even after a repair request are left out and listed, never filled in
+    const issues = outcomes.flatMap(outcome => outcome.issues);
+    if (issues.length > 0) {
+      console.warn(`⚠️  ${issues.length} invalid field(s) in the AI's student entries were left out`);
+      result.individualInsights.forEach(insight => {
+        const own = issues.filter(issue => issue.student === insight.studentName);
+        if (own.length > 0) insight.invalidFields = own.map(({ field, message }) => ({ field, message }));
+      });
+    }
+
+    result.aiBatches = aiBatches;
+    result.aiValidation = { valid: issues.length === 0, issues };
+    result.aiModel = llm.describe();
+    this.summarizeConflicts(result);
+    return result;
   }
 
   createComprehensiveAnalysis(data, context, aiPowered = false) {
@@ -258,11 +575,10 @@ class AIAnalyzer {
       });
     });
 
-    const averageScore = totalScoreCount > 0 ? (totalScoreSum / totalScoreCount) : 70;
-    const classGrade = averageScore >= 80 ? 'A' : 
-                       averageScore >= 70 ? 'B' : 
-                       averageScore >= 60 ? 'C' : 
-                       averageScore >= 50 ? 'D' : 'F';
+    // With no scores at all there is no average or grade to report
+    const averageScore = totalScoreCount > 0 ? (totalScoreSum / totalScoreCount) : null;
+    const classGrade = averageScore === null ? null : this.classGrade(averageScore);
+    const classAverage = averageScore === null ? null : `${averageScore.toFixed(1)}%`;
 
     // Analyze individual students with real data and generate course recommendations
     const individualInsights = Object.keys(data).map((studentName) => {
@@ -270,29 +586,32 @@ class AIAnalyzer {
       const subjectScores = Object.entries(student.subjects || {});
       const studentAvg = subjectScores.length > 0 
         ? subjectScores.reduce((sum, [_, score]) => sum + parseFloat(score), 0) / subjectScores.length
-        : 0;
+        : null;
 
-      // Get top 3 strengths (subjects >= 70)
+      // Get top 3 strengths (subjects >= STRENGTH_SCORE)
       const strengths = subjectScores
-        .filter(([_, score]) => parseFloat(score) >= 70)
+        .filter(([_, score]) => parseFloat(score) >= STRENGTH_SCORE)
         .sort((a, b) => parseFloat(b[1]) - parseFloat(a[1]))
         .slice(0, 3)
         .map(([subject, _]) => subject);
 
-      // Generate course recommendations based on strengths
-      const courseRecommendations = this.generateCourseRecommendations(strengths, subjectScores, studentAvg);
+      // Rank catalog courses against the student's scores
+      const courseRecommendations = this.generateCourseRecommendations(subjectScores);
+      const scores = Object.fromEntries(subjectScores);
 
       // Generate insight
       const insight = this.generateStudentInsight(strengths, studentAvg, subjectScores);
 
       return {
         studentName,
-        averageScore: studentAvg.toFixed(1),
+        ...(student.classArm && { classArm: student.classArm }),
+        averageScore: studentAvg === null ? null : studentAvg.toFixed(1),
         strengths,
         insight,
-        concerns: subjectScores.filter(([_, score]) => parseFloat(score) < 60).map(([subject, _]) => subject),
+        concerns: subjectScores.filter(([_, score]) => parseFloat(score) < CONCERN_SCORE).map(([subject, _]) => subject),
         recommendations: courseRecommendations,
-        courseRecommendations // Include for detailed view
+        courseRecommendations, // Include for detailed view
+        ...(courseRecommendations.length === 0 && { courseRecommendationsNote: noCoursesReason(courseCatalog.list(), scores) })
       };
     });
 
@@ -319,16 +638,16 @@ class AIAnalyzer {
     return {
       overallAssessment: {
         classGrade,
-        averageScore: averageScore.toFixed(1),
+        averageScore: averageScore === null ? null : averageScore.toFixed(1),
         totalStudents: studentCount,
-        summary: `Class of ${studentCount} students shows ${classGrade} performance with ${averageScore.toFixed(1)}% average across ${subjects.size} subjects. University course recommendations generated for all students based on individual strengths.${!aiPowered ? ' (Note: Using rule-based analysis. Configure GEMINI_API_KEY for AI-powered insights.)' : ''}`
+        summary: `Class of ${studentCount} students ${classGrade ? `shows ${classGrade} performance with ${classAverage} average` : 'has no scores to average'} across ${subjects.size} subjects. University course recommendations generated for all students based on individual strengths.${!aiPowered ? ' (Note: Using rule-based analysis. Configure an AI provider (LLM_PROVIDER) for AI-powered insights.)' : ''}`
       },
       individualInsights,
       studentRecommendations, // Add this for compatibility
       patterns: {
         strengths: strongSubjects.length > 0 ? [`Strong class performance in ${strongSubjects.join(', ')}`] : ['Overall steady performance maintained'],
         weaknesses: weakSubjects.length > 0 ? [`Class struggles with ${weakSubjects.join(', ')}`] : ['No major subject weaknesses identified'],
-        trends: [`Average class score: ${averageScore.toFixed(1)}%`, `${studentCount} students analyzed for university readiness`, 'Course recommendations tailored to individual strengths']
+        trends: [`Average class score: ${classAverage ?? 'none (no scores found)'}`, `${studentCount} students analyzed for university readiness`, 'Course recommendations tailored to individual strengths']
       },
       recommendations: {
         immediate: [
@@ -349,125 +668,30 @@ class AIAnalyzer {
       },
       insights: [
         `Class of ${studentCount} students analyzed across ${subjects.size} subjects`,
-        `Overall class average: ${averageScore.toFixed(1)}% (${classGrade} grade)`,
+        averageScore === null ? 'No scores were found to average' : `Overall class average: ${classAverage} (${classGrade} grade)`,
         `Personalized university course recommendations provided for all ${studentCount} students`,
         strongSubjects.length > 0 ? `Strongest subjects: ${strongSubjects.join(', ')}` : 'No dominant strong subjects identified',
-        `${Math.round((individualInsights.filter(s => parseFloat(s.averageScore) >= 70).length / studentCount) * 100)}% of students performing at or above 70%`
+        // No share of an empty class to report
+        ...(studentCount > 0
+          ? [`${Math.round((individualInsights.filter(s => parseFloat(s.averageScore) >= 70).length / studentCount) * 100)}% of students performing at or above 70%`]
+          : [])
       ],
-      confidence: aiPowered ? 0.95 : 0.75,
       aiPowered: aiPowered
     };
   }
 
-  // Generate course recommendations based on student strengths
-  generateCourseRecommendations(strengths, subjectScores, average) {
-    const recommendations = [];
-    const subjectMap = {};
-    subjectScores.forEach(([subject, score]) => {
-      subjectMap[subject.toLowerCase()] = parseFloat(score);
-    });
-
-    // Science-based courses
-    if (strengths.some(s => ['Mathematics', 'Physics', 'Chemistry'].includes(s))) {
-      if (subjectMap['mathematics'] >= 75 && subjectMap['physics'] >= 70) {
-        recommendations.push({
-          course: 'Computer Engineering',
-          university: 'UNILAG, OAU, FUTA',
-          reason: 'Excellent Mathematics and Physics foundation for engineering',
-          jamb_cutoff: '260+',
-          waec_required: 'Mathematics, Physics, Chemistry, English, (Biology/Further Math)'
-        });
-      }
-      if (subjectMap['chemistry'] >= 70 && subjectMap['biology'] >= 70) {
-        recommendations.push({
-          course: 'Medicine and Surgery',
-          university: 'UI, UCH, UNILAG',
-          reason: 'Strong science background suitable for medical studies',
-          jamb_cutoff: '280+',
-          waec_required: 'Mathematics, Physics, Chemistry, Biology, English'
-        });
-      }
-      if (subjectMap['mathematics'] >= 70) {
-        recommendations.push({
-          course: 'Mathematics/Statistics',
-          university: 'ABU, UNIPORT, UNICAL',
-          reason: 'Outstanding mathematical ability and analytical skills',
-          jamb_cutoff: '220+',
-          waec_required: 'Mathematics, Physics, Chemistry, English, (Economics/Further Math)'
-        });
-      }
-    }
-
-    // Arts/Commercial courses
-    if (strengths.some(s => ['Economics', 'Government', 'Literature', 'English'].includes(s))) {
-      if (subjectMap['economics'] >= 70) {
-        recommendations.push({
-          course: 'Economics',
-          university: 'UI, UNN, UNIBEN',
-          reason: 'Strong economics performance and analytical thinking',
-          jamb_cutoff: '240+',
-          waec_required: 'Mathematics, Economics, English, Government/Commerce, Any Arts subject'
-        });
-      }
-      if (subjectMap['government'] >= 70 || subjectMap['literature'] >= 70) {
-        recommendations.push({
-          course: 'Law',
-          university: 'UNILAG, UI, ABU',
-          reason: 'Excellent performance in humanities and critical thinking',
-          jamb_cutoff: '270+',
-          waec_required: 'English, Literature, Government, Economics/CRK/History, Mathematics'
-        });
-      }
-      if (subjectMap['english'] >= 75) {
-        recommendations.push({
-          course: 'Mass Communication',
-          university: 'UNILAG, UNIBEN, UNIPORT',
-          reason: 'Strong English language and communication skills',
-          jamb_cutoff: '250+',
-          waec_required: 'English, Literature, Government/Economics, Mathematics, Any Arts subject'
-        });
-      }
-    }
-
-    // Business courses
-    if (strengths.some(s => ['Economics', 'Mathematics'].includes(s))) {
-      recommendations.push({
-        course: 'Business Administration',
-        university: 'UNILAG, OAU, UNN',
-        reason: 'Good business aptitude with analytical skills',
-        jamb_cutoff: '230+',
-        waec_required: 'Mathematics, Economics, English, Commerce/Government, Any relevant subject'
-      });
-    }
-
-    // Ensure we have at least 3 recommendations
-    if (recommendations.length < 3) {
-      if (average >= 70) {
-        recommendations.push({
-          course: 'Accounting',
-          university: 'UNILAG, UNIBEN, OAU',
-          reason: 'Strong academic performance suitable for accounting',
-          jamb_cutoff: '240+',
-          waec_required: 'Mathematics, Economics, English, Commerce/Government, Any relevant subject'
-        });
-      }
-      if (recommendations.length < 3) {
-        recommendations.push({
-          course: 'Public Administration',
-          university: 'UI, ABU, UNICAL',
-          reason: 'Good overall academic performance for public sector studies',
-          jamb_cutoff: '210+',
-          waec_required: 'English, Government/Economics, Mathematics, Any Arts subjects (2)'
-        });
-      }
-    }
-
-    return recommendations.slice(0, 3);
+  // Course recommendations ranked from the course catalog: courses the student is not below a
+  // credit for, whose cutoff their projected UTME score reaches, and best fit first; courses that
+  // assume subjects the student has no scores in come last
+  generateCourseRecommendations(subjectScores) {
+    return rankCourses(courseCatalog.list(), Object.fromEntries(subjectScores));
   }
 
   // Generate personalized insight for student
   generateStudentInsight(strengths, average, subjectScores) {
-    if (average >= 80) {
+    if (average === null) {
+      return 'No scores were found for this student, so no assessment can be made.';
+    } else if (average >= 80) {
       return `Exceptional academic performance with consistent excellence in ${strengths.join(', ')}. Strong candidate for competitive university programs.`;
     } else if (average >= 70) {
       return `Solid academic foundation with notable strengths in ${strengths.join(', ')}. Well-positioned for university admission in related fields.`;
@@ -485,14 +709,19 @@ class AIAnalyzer {
     const studentNames = Object.keys(studentData);
     const totalStudents = context.totalStudents || studentNames.length;
     const totalSubjects = context.totalSubjects || 0;
+    const batchNote = context.batches > 1
+      ? `\n- This request: ${studentNames.length} of the ${totalStudents} students (batch ${context.batch} of ${context.batches})`
+      : '';
     
     // Create detailed student data for analysis
     let dataText = '';
     studentNames.forEach((name, index) => {
       const student = studentData[name];
-      dataText += `\nStudent ${index + 1} (${name}):\n`;
+      dataText += `\nStudent ${index + 1} (${name}${student.classArm ? `, ${student.classArm}` : ''}):\n`;
       Object.entries(student.subjects || {}).forEach(([subject, score]) => {
-        dataText += `  ${subject}: ${score}/100\n`;
+        const parts = student.components?.[subject];
+        const trend = student.trajectory?.subjects[subject]?.trend;
+        dataText += `  ${subject}: ${score}/100 [${gradeForScore(score).grade}]${parts ? ` (CA ${parts.ca ?? '–'}%, exam ${parts.exam ?? '–'}%)` : ''}${trend ? ` ${trend.direction} since ${termLabel(trend.since)} (${trend.from} → ${trend.to})` : ''}\n`;
       });
     });
 
@@ -501,7 +730,8 @@ You are EDU_AID, an expert Nigerian university course advisor.
 
 Analyze SS1-SS3 results and for EACH student:
 - List top 3 strengths (subjects with average score >70)
-- Give 1 key insight about their academic performance
+- Give 1 key insight about their academic performance (where CA and exam percentages are shown, say if the exam lags the CA;
+  where a subject is marked declining or improving, take that trend into account)
 - Recommend 3 suitable university courses with:
   • Specific reason based on their strengths
   • Approximate JAMB cutoff score
@@ -510,7 +740,7 @@ Analyze SS1-SS3 results and for EACH student:
 DATASET OVERVIEW:
 - Total Students: ${totalStudents}
 - Total Subjects: ${totalSubjects}
-- File: ${context.fileName || 'Student Performance Data'}
+- File: ${context.fileName || 'Student Performance Data'}${batchNote}
 
 STUDENT DATA:
 ${dataText}
@@ -553,83 +783,125 @@ IMPORTANT:
 3. Provide realistic JAMB cutoffs (200-300 range)
 4. List 2-3 reputable Nigerian universities per course
 5. Be specific with WAEC subject requirements (typically 5 subjects including English & Math)
+   Scores are shown with their WAEC grade in brackets; admission needs a credit (C6 or better) in every required subject,
+   so do not recommend a course whose required subject the student has below C6
 6. Return ONLY the JSON array, no other text
+7. Return one entry for EACH of the ${studentNames.length} students above, with "student_id" set to the name exactly as given
 `;
   }
 
   // ------------------------------------------------------------
   // All the parsing / validation helpers
   // ------------------------------------------------------------
-  parseAnalysisResponse(text) {
-    try {
-      // Clean the response - remove markdown code blocks
-      let cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-      
-      // Try to parse as JSON array
-      const parsed = JSON.parse(cleanText);
-      
-      // If it's an array, transform it to our expected format
-      if (Array.isArray(parsed)) {
-        return this.transformStudentRecommendations(parsed);
-      }
-      
-      // If it's already in the old format, validate it
-      return this.validateAndEnhanceResponse(parsed);
-    } catch (error) {
-      console.warn('Failed to parse AI response as JSON:', error.message);
-      console.warn('Response text:', text.substring(0, 500));
-      return this.createStructuredResponse(text);
-    }
-  }
-
-  // Transform the new student-centric format to frontend-compatible structure
-  transformStudentRecommendations(studentArray) {
+  // Transform the new student-centric format to frontend-compatible structure.
+  // The AI's entries are merged with the numbers computed from studentData (aggregateStudentData):
+  // averages, subject scores, strengths and the class grade come from the scores, the insight and
+  // courses from the AI. AI claims the scores contradict are flagged in each student's dataConflicts.
+  transformStudentRecommendations(studentArray, studentData = {}) {
     const totalStudents = studentArray.length;
-    const allScores = [];
-    
-    // Calculate overall statistics
-    studentArray.forEach(student => {
-      const avgScore = this.calculateStudentAverage(student);
-      if (avgScore > 0) allScores.push(avgScore);
-    });
-    
-    const overallAverage = allScores.length > 0 
-      ? allScores.reduce((sum, score) => sum + score, 0) / allScores.length 
-      : 70;
-    
-    const classGrade = overallAverage >= 80 ? 'A' : 
-                       overallAverage >= 70 ? 'B' : 
-                       overallAverage >= 60 ? 'C' : 
-                       overallAverage >= 50 ? 'D' : 'F';
+    const individualInsights = studentArray.map(student => this.reconcileStudent(student, studentData[student.student_id]));
 
-    return {
+    const scored = studentArray.map(student => studentData[student.student_id]).filter(Boolean);
+    const allScores = scored.flatMap(student => Object.values(student.subjects || {}).map(parseFloat)).filter(score => !isNaN(score));
+    const overallAverage = allScores.length > 0 ? allScores.reduce((sum, score) => sum + score, 0) / allScores.length : null;
+
+    const analysis = {
       overallAssessment: {
-        classGrade,
-        averageScore: overallAverage.toFixed(1),
+        classGrade: overallAverage === null ? null : this.classGrade(overallAverage),
+        averageScore: overallAverage === null ? null : overallAverage.toFixed(1),
         totalStudents,
-        summary: `Analysis completed for ${totalStudents} students using AI-powered insights. Class average: ${overallAverage.toFixed(1)}%. University course recommendations provided for each student based on SS1-SS3 performance.`
+        summary: `Analysis completed for ${totalStudents} students using AI-powered insights.${overallAverage === null ? '' : ` Class average: ${overallAverage.toFixed(1)}%.`} University course recommendations provided for each student based on SS1-SS3 performance.`
       },
-      individualInsights: studentArray.map(student => ({
-        studentName: student.student_id,
-        averageScore: this.calculateStudentAverage(student).toFixed(1),
-        strengths: student.strengths || [],
-        insight: student.insight || 'Performance data analyzed',
-        recommendations: student.recommendations || [],
-        courseRecommendations: student.recommendations || [] // Include full course data
-      })),
+      individualInsights,
       patterns: this.extractPatterns(studentArray),
       recommendations: this.generateRecommendations(studentArray),
       insights: this.generateInsights(studentArray),
-      confidence: 0.95,
       aiPowered: true,
       studentRecommendations: studentArray // Keep original format for detailed view
     };
+    this.summarizeConflicts(analysis);
+
+    const conflicted = individualInsights.filter(student => student.dataConflicts).length;
+    if (conflicted > 0) {
+      analysis.overallAssessment.summary += ` For ${conflicted} student(s) the AI's claims contradict their scores; see dataConflicts.`;
+    }
+    return analysis;
   }
 
-  calculateStudentAverage(student) {
-    if (!student.strengths || student.strengths.length === 0) return 75;
-    // Estimate average from strengths (subjects > 70)
-    return 75; // Conservative estimate
+  // One student's insight: figures from the scores (facts = aggregateStudentData entry), words from the AI
+  reconcileStudent(student, facts) {
+    const courses = student.recommendations || [];
+    if (!facts) {
+      return {
+        studentName: student.student_id,
+        averageScore: null,
+        strengths: student.strengths || [],
+        insight: student.insight || null,
+        recommendations: courses,
+        courseRecommendations: courses // Include full course data
+      };
+    }
+
+    const subjectScores = Object.fromEntries(Object.entries(facts.subjects || {}).map(([subject, score]) => [subject, parseFloat(score)]));
+    const ranked = Object.entries(subjectScores).sort((a, b) => b[1] - a[1]);
+    const average = ranked.length > 0 ? ranked.reduce((sum, [, score]) => sum + score, 0) / ranked.length : null;
+
+    const dataConflicts = [];
+    (student.strengths || []).forEach(claim => {
+      const subject = this.matchSubject(claim, Object.keys(subjectScores));
+      if (!subject) {
+        dataConflicts.push({ type: 'unknown_subject', subject: claim, message: `AI lists ${claim} as a strength, but the student has no ${claim} scores` });
+      } else if (subjectScores[subject] < STRENGTH_SCORE) {
+        dataConflicts.push({
+          type: 'weak_strength',
+          subject,
+          score: subjectScores[subject],
+          message: `AI lists ${subject} as a strength, but the student averages ${subjectScores[subject]}% in it (below ${STRENGTH_SCORE})`
+        });
+      }
+    });
+
+    return {
+      studentName: student.student_id,
+      ...(facts.classArm && { classArm: facts.classArm }),
+      averageScore: average === null ? null : average.toFixed(1),
+      subjectScores,
+      strengths: ranked.filter(([, score]) => score >= STRENGTH_SCORE).slice(0, 3).map(([subject]) => subject),
+      concerns: ranked.filter(([, score]) => score < CONCERN_SCORE).map(([subject]) => subject),
+      insight: student.insight || null,
+      recommendations: courses,
+      courseRecommendations: courses, // Include full course data
+      ...(dataConflicts.length > 0 && { dataConflicts })
+    };
+  }
+
+  // The subject in subjects the AI meant by name (exact, any case, or the same canonical subject)
+  matchSubject(name, subjects) {
+    const key = String(name).trim().toLowerCase();
+    const canonical = canonicalSubject(name);
+    return subjects.find(subject => subject === name) ||
+      subjects.find(subject => subject.toLowerCase() === key) ||
+      (canonical && subjects.find(subject => canonicalSubject(subject) === canonical)) ||
+      null;
+  }
+
+  // Collect the students' dataConflicts into analysis.aiReconciliation. The confidence is the share
+  // of students whose AI output was used as given: AI-sourced, nothing invalid and nothing contradicted.
+  summarizeConflicts(analysis) {
+    const students = analysis.individualInsights || [];
+    const conflicts = students.flatMap(student =>
+      (student.dataConflicts || []).map(conflict => ({ student: student.studentName, ...conflict })));
+    const agreed = students.filter(student => student.source !== 'rule-based' && !student.invalidFields && !student.dataConflicts);
+
+    analysis.aiReconciliation = { consistent: conflicts.length === 0, conflicts };
+    analysis.confidence = students.length > 0 ? Math.round((agreed.length / students.length) * 100) / 100 : 0;
+  }
+
+  classGrade(average) {
+    return average >= 80 ? 'A' :
+           average >= 70 ? 'B' :
+           average >= 60 ? 'C' :
+           average >= 50 ? 'D' : 'F';
   }
 
   extractPatterns(studentArray) {
@@ -707,123 +979,9 @@ IMPORTANT:
     
     return insights;
   }
-
-  validateAndEnhanceResponse(response) {
-    const validated = {
-      overallAssessment: response.overallAssessment || {
-        classGrade: 'C',
-        averageScore: 70,
-        totalStudents: 0,
-        summary: 'Analysis completed'
-      },
-      individualInsights: response.individualInsights || [],
-      patterns: response.patterns || {
-        strengths: [],
-        weaknesses: [],
-        trends: []
-      },
-      recommendations: response.recommendations || {
-        immediate: [],
-        shortTerm: [],
-        longTerm: []
-      },
-      insights: response.insights || ['Analysis completed successfully']
-    };
-
-    // Add confidence score
-    validated.confidence = this.calculateConfidence(validated);
-    return validated;
-  }
-
-  createStructuredResponse(text) {
-    // Extract key information from unstructured text
-    const lines = text.split('\n').filter(line => line.trim());
-    
-    return {
-      overallAssessment: {
-        classGrade: 'C',
-        averageScore: 70,
-        totalStudents: 0,
-        summary: lines[0] || 'Analysis completed'
-      },
-      individualInsights: [],
-      patterns: {
-        strengths: this.extractRecommendations(text, 'strength'),
-        weaknesses: this.extractRecommendations(text, 'weakness'),
-        trends: []
-      },
-      recommendations: {
-        immediate: this.extractRecommendations(text, 'immediate'),
-        shortTerm: this.extractRecommendations(text, 'short'),
-        longTerm: this.extractRecommendations(text, 'long')
-      },
-      insights: lines.slice(0, 5),
-      confidence: 0.6
-    };
-  }
-
-  extractRecommendations(text, timeframe) {
-    const lowerText = text.toLowerCase();
-    const recommendations = [];
-    
-    const keywords = {
-      immediate: ['immediate', 'urgent', 'now', 'asap'],
-      short: ['short', 'weeks', 'month'],
-      long: ['long', 'semester', 'year'],
-      strength: ['strength', 'good', 'excellent', 'strong'],
-      weakness: ['weakness', 'poor', 'low', 'concern']
-    };
-
-    const lines = text.split('\n');
-    lines.forEach(line => {
-      const lowerLine = line.toLowerCase();
-      if (keywords[timeframe]?.some(keyword => lowerLine.includes(keyword))) {
-        const cleaned = line.trim().replace(/^[-*•]\s*/, '');
-        if (cleaned.length > 10) {
-          recommendations.push(cleaned);
-        }
-      }
-    });
-
-    return recommendations.slice(0, 3); // Limit to 3 items
-  }
-
-  createFallbackResponse(text) {
-    return {
-      overallAssessment: {
-        classGrade: 'C',
-        averageScore: 70,
-        totalStudents: 0,
-        summary: 'Analysis completed with limited data'
-      },
-      individualInsights: [],
-      patterns: { strengths: [], weaknesses: [], trends: [] },
-      recommendations: {
-        immediate: ['Review student performance data'],
-        shortTerm: ['Implement targeted interventions'],
-        longTerm: ['Develop comprehensive improvement plan']
-      },
-      insights: [text.substring(0, 200) + '...'],
-      confidence: 0.3
-    };
-  }
-
-  calculateConfidence(response) {
-    let score = 0;
-    
-    // Check completeness of response
-    if (response.overallAssessment) score += 0.2;
-    if (response.individualInsights?.length > 0) score += 0.3;
-    if (response.patterns) score += 0.2;
-    if (response.recommendations) score += 0.2;
-    if (response.insights?.length > 0) score += 0.1;
-
-    return Math.min(score, 1.0);
-  }
 }
 
 // ---------------------------------------------------------------
 // EXPORT ONLY ONE INSTANCE
 // ---------------------------------------------------------------
-const analyzer = new AIAnalyzer();
-module.exports = new AIAnalyzer();   // <-- ONLY THIS LINE
\ No newline at end of file
+module.exports = new AIAnalyzer();
@@ -1,10 +1,8 @@
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('./llm');
 
 class AIAssistant {
     constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-pro" });
         this.conversationHistory = new Map(); // Store conversation history by userId
     }
 
@@ -19,9 +17,7 @@ class AIAssistant {
         try {
             const prompt = this.buildChatPrompt(message, context, userId);
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
+            const { text } = await llm.generate(prompt);
 
             // Store conversation in history
             this.updateConversationHistory(userId, message, text);
@@ -230,9 +226,8 @@ Provide a brief summary highlighting:
 Keep the summary concise (2-3 paragraphs).
             `;
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
+            const { text } = await llm.generate(prompt);
+            return text;
         } catch (error) {
             console.error('Summary generation error:', error);
             return "Unable to generate conversation summary at this time.";
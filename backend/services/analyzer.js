@@ -1,38 +1,24 @@
-const XLSX = require('xlsx');
-const fs = require('fs-extra');
-const path = require('path');
-const csv = require('csv-parser');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const ss = require('simple-statistics');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({
-  model: 'gemini-2.5-flash'
-});
+const { parseUpload } = require('../utils/uploadParser');
+const { parseGrade, gradeForScore, toScore } = require('../utils/gradeScale');
+const llm = require('./llm');
+const { SCHEMAS } = require('../utils/aiSchemas');
 
 class EducationAnalyzer {
-    constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({
-            model: "gemini-2.5-flash"
-        });
-    }
-
     /**
      * Main file analysis function
      * @param {string} filePath - Path to the uploaded file
-     * @param {string} originalName - Original filename with extension
      * @returns {Object} Complete analysis results
      */
-    async analyzeFile(filePath, originalName = null) {
+    async analyzeFile(filePath) {
         try {
             // Step 1: Parse the file and extract data
-            const rawData = await this.parseFile(filePath, originalName);
+            const rawData = await this.parseFile(filePath);
 
             // Step 2: Perform statistical analysis
             const statisticalAnalysis = this.performStatisticalAnalysis(rawData);
 
-            // Step 3: Use Gemini AI for intelligent insights
+            // Step 3: Use the AI provider for intelligent insights
             const aiInsights = await this.generateAIInsights(rawData, statisticalAnalysis);
 
             // Step 4: Generate recommendations
@@ -50,6 +36,7 @@ class EducationAnalyzer {
                 summary: await this.generateSummary(rawData, statisticalAnalysis, aiInsights),
                 timestamp: new Date().toISOString(),
                 totalStudents: rawData.length,
+                sheets: this.summarizeSheets(rawData),
                 dataQuality: this.assessDataQuality(rawData)
             };
         } catch (error) {
@@ -59,68 +46,63 @@ class EducationAnalyzer {
     }
 
     /**
-     * Parse Excel or CSV file
+     * Parse an Excel or CSV file in the upload parse worker (utils/uploadParser): CSV streamed,
+     * every sheet of a workbook read, broadsheets converted – each row tagged with its sheet, class arm and term
      * @param {string} filePath - Path to file
-     * @param {string} originalName - Original filename with extension
      * @returns {Array} Parsed student data
+     * @throws {Error} code 'FILE_TOO_LARGE' over the parser's row, memory or time limit
      */
-    async parseFile(filePath, originalName = null) {
-        console.log(`parseFile called with filePath: ${filePath}, originalName: ${originalName}`);
-        
-        let ext;
-        if (originalName) {
-            // Use original filename for extension detection
-            ext = path.extname(originalName).toLowerCase();
-            console.log(`Using original filename extension: ${ext} from ${originalName}`);
-        } else {
-            // Fallback to file path
-            ext = path.extname(filePath).toLowerCase();
-            console.log(`Using file path extension: ${ext} from ${filePath}`);
-        }
-        
-        console.log(`Final detected extension: ${ext}`);
-
-        // Support common Excel and CSV formats
-        if (ext === '.csv') {
-            console.log('Processing as CSV file');
-            return this.parseCSV(filePath);
-        } else if (ext === '.xlsx' || ext === '.xls' || ext === '.xlsm') {
-            console.log('Processing as Excel file');
-            return this.parseExcel(filePath);
-        } else {
-            const error = `Unsupported file format: "${ext}". Please upload Excel (.xlsx, .xls) or CSV (.csv) files.`;
-            console.error(error);
-            throw new Error(error);
-        }
+    async parseFile(filePath) {
+        const { records, sheets } = await parseUpload(filePath, { raw: true });
+        const sheetsByName = new Map(sheets.map(sheet => [sheet.name, sheet]));
+
+        return records.flatMap(row => {
+            const sheet = sheetsByName.get(row.sheet) || {};
+            const student = sheet.format === 'broadsheet' ? this.broadsheetRow(row) : this.normalizeStudentData(row);
+            if (!student) return [];
+            return [{ ...student, sheet: sheet.name, classArm: sheet.classArm, term: sheet.term }];
+        });
     }
 
     /**
-     * Parse CSV file
+     * A broadsheet record (one student and subject, see utils/broadsheet) in the shape normalizeStudentData
+     * gives, graded by the average of its term scores (built from CA/exam columns by the parser where needed)
      */
-    async parseCSV(filePath) {
-        return new Promise((resolve, reject) => {
-            const data = [];
-            fs.createReadStream(filePath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    const normalizedRow = this.normalizeStudentData(row);
-                    if (normalizedRow) data.push(normalizedRow);
-                })
-                .on('end', () => resolve(data))
-                .on('error', reject);
-        });
+    broadsheetRow(record) {
+        if (!record.name) return null;
+
+        const scores = Object.values(record.scores)
+            .map(toScore)
+            .filter(score => score !== null && !isNaN(score));
+        const grade = scores.length ? Number(ss.mean(scores).toFixed(1)) : null;
+        return {
+            name: record.name,
+            subject: record.subject,
+            grade,
+            letterGrade: grade === null ? null : gradeForScore(grade).grade
+        };
     }
 
     /**
-     * Parse Excel file
+     * Per-sheet breakdown: students and average grade of each sheet
      */
-    parseExcel(filePath) {
-        const workbook = XLSX.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
+    summarizeSheets(data) {
+        const sheets = new Map();
+
+        data.forEach(student => {
+            if (!student.sheet) return;
+            if (!sheets.has(student.sheet)) {
+                sheets.set(student.sheet, { name: student.sheet, classArm: student.classArm, term: student.term, students: 0, grades: [] });
+            }
+            const sheet = sheets.get(student.sheet);
+            sheet.students++;
+            if (typeof student.grade === 'number') sheet.grades.push(student.grade);
+        });
 
-        return jsonData.map(row => this.normalizeStudentData(row)).filter(Boolean);
+        return [...sheets.values()].map(({ grades, ...sheet }) => ({
+            ...sheet,
+            averageGrade: grades.length ? Number(ss.mean(grades).toFixed(1)) : null
+        }));
     }
 
     /**
@@ -158,14 +140,23 @@ class EducationAnalyzer {
             return null; // Skip rows without student identifier
         }
 
+        // WAEC/NECO letter grades ("B3") keep their letter and count as the middle of their band;
+        // stripping the letters would turn "B3" into 3
+        const band = parseGrade(normalized.grade);
+        if (band) normalized.letterGrade = band.grade;
+
         // Convert numeric fields
         ['grade', 'attendance', 'participation', 'assignment', 'exam', 'quiz'].forEach(field => {
             if (normalized[field] !== undefined) {
-                const numValue = parseFloat(String(normalized[field]).replace(/[^\d.-]/g, ''));
+                const numValue = parseGrade(normalized[field])?.score ?? parseFloat(String(normalized[field]).replace(/[^\d.-]/g, ''));
                 normalized[field] = isNaN(numValue) ? null : numValue;
             }
         });
 
+        if (typeof normalized.grade === 'number' && !normalized.letterGrade) {
+            normalized.letterGrade = gradeForScore(normalized.grade).grade;
+        }
+
         return normalized;
     }
 
@@ -310,28 +301,26 @@ class EducationAnalyzer {
     }
 
     /**
-     * Generate AI insights using Gemini
+     * Generate AI insights using the configured AI provider
      */
     async generateAIInsights(data, statistics) {
         try {
             const prompt = this.createAnalysisPrompt(data, statistics);
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
-
-            return this.parseAIResponse(text);
+            return this.withIssues(await llm.generateJson(prompt, SCHEMAS.insights));
         } catch (error) {
             console.error('AI insights generation error:', error);
             return {
-                insights: ['AI analysis temporarily unavailable'],
+                insights: [],
                 keyFindings: [],
-                patterns: []
+                patterns: [],
+                unavailable: true,
+                error: error.message
             };
         }
     }
 
     /**
-     * Create prompt for Gemini AI analysis
+     * Create prompt for AI analysis
      */
     createAnalysisPrompt(data, statistics) {
         const summary = {
@@ -372,33 +361,14 @@ Please provide your analysis in JSON format:
     }
 
     /**
-     * Parse AI response
+     * Schema-checked AI output with whatever still did not match listed in invalidFields
      */
-    parseAIResponse(text) {
-        try {
-            // Try to extract JSON from the response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-
-            // Fallback: parse text response
-            return {
-                insights: [text],
-                keyFindings: [],
-                patterns: [],
-                concerns: [],
-                positives: []
-            };
-        } catch (error) {
-            return {
-                insights: [text],
-                keyFindings: [],
-                patterns: [],
-                concerns: [],
-                positives: []
-            };
+    withIssues({ value, issues }) {
+        if (issues.length > 0) {
+            console.warn(`AI output: ${issues.length} invalid field(s) left out`);
+            return { ...value, invalidFields: issues };
         }
+        return value;
     }
 
     /**
@@ -421,16 +391,7 @@ Provide recommendations in JSON format:
 }
             `;
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
-
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-
-            return this.generateFallbackRecommendations(statistics, aiInsights);
+            return this.withIssues(await llm.generateJson(prompt, SCHEMAS.recommendations));
         } catch (error) {
             console.error('AI recommendations generation error:', error);
             return this.generateFallbackRecommendations(statistics, aiInsights);
@@ -530,9 +491,8 @@ AI Insights: ${JSON.stringify(aiInsights, null, 2)}
 Provide a concise 2-3 paragraph executive summary highlighting the most important findings and recommendations.
             `;
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
+            const { text } = await llm.generate(prompt);
+            return text;
         } catch (error) {
             return `Analysis completed for ${data.length} students. Key findings include performance metrics and recommendations for improvement.`;
         }
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { loadCatalog, validateCourse } = require('../utils/courseCatalog');
+
+// The catalog that ships with the code, and where admin edits are kept (next to the database)
+const SHIPPED_CATALOG_PATH = path.join(__dirname, '..', 'catalog', 'courses.json');
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'data', 'course_catalog.json');
+
+// The course catalog (utils/courseCatalog.js). It is read from catalogPath once edited, else
+// from the shipped file; every change bumps the version and rewrites catalogPath.
+class CourseCatalogStore {
+    constructor(catalogPath = process.env.COURSE_CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+        this.catalogPath = catalogPath;
+        this.catalog = null;
+    }
+
+    /**
+     * @throws {Error} code 'INVALID_CATALOG' when the catalog file is unreadable or invalid
+     */
+    load() {
+        if (!this.catalog) {
+            const source = fs.existsSync(this.catalogPath) ? this.catalogPath : SHIPPED_CATALOG_PATH;
+            this.catalog = loadCatalog(source);
+            console.log(`📚 Course catalog v${this.catalog.version} (${this.catalog.courses.length} courses) from ${source}`);
+        }
+        return this.catalog;
+    }
+
+    /**
+     * @returns {Object} { version, updatedAt, courses }
+     */
+    describe() {
+        const { version, updatedAt, courses } = this.load();
+        return { version, updatedAt, courses: courses.length };
+    }
+
+    list() {
+        return this.load().courses;
+    }
+
+    findById(id) {
+        return this.list().find(course => course.id === id) || null;
+    }
+
+    /**
+     * The entry for a course name as a recommendation gives it ("Law", "law"), or null
+     */
+    findByName(name) {
+        const key = String(name ?? '').trim().toLowerCase();
+        return this.list().find(course => course.course.toLowerCase() === key) || null;
+    }
+
+    /**
+     * @throws {Error} code 'INVALID_COURSE' for an unusable entry, 'COURSE_EXISTS' for a duplicate id
+     */
+    create(input) {
+        const course = validateCourse(input);
+        if (this.findById(course.id)) {
+            const exists = new Error(`A course with id "${course.id}" already exists`);
+            exists.code = 'COURSE_EXISTS';
+            throw exists;
+        }
+        this.save([...this.list(), course]);
+        return course;
+    }
+
+    /**
+     * @returns {Object|null} The updated entry, or null when there is no course with that id
+     * @throws {Error} code 'INVALID_COURSE'
+     */
+    update(id, changes) {
+        const existing = this.findById(id);
+        if (!existing) return null;
+
+        const course = validateCourse({ ...existing, ...changes, id });
+        this.save(this.list().map(entry => (entry.id === id ? course : entry)));
+        return course;
+    }
+
+    delete(id) {
+        if (!this.findById(id)) return false;
+        this.save(this.list().filter(course => course.id !== id));
+        return true;
+    }
+
+    // Write the whole catalog as a new version; the rename means readers never see half a file
+    save(courses) {
+        const catalog = {
+            version: this.load().version + 1,
+            updatedAt: new Date().toISOString(),
+            courses
+        };
+        fs.mkdirSync(path.dirname(this.catalogPath), { recursive: true });
+        const tempPath = `${this.catalogPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(catalog, null, 2)}\n`);
+        fs.renameSync(tempPath, this.catalogPath);
+        this.catalog = catalog;
+    }
+}
+
+module.exports = new CourseCatalogStore();
@@ -0,0 +1,127 @@
+const { createLLMProvider } = require('../utils/llmProviders');
+const { checkSchema, parseJsonReply, formatIssues } = require('../utils/aiSchemas');
+
+// Longest previous reply quoted back to the model in a repair prompt
+const REPAIR_REPLY_CHARS = 20000;
+
+function aiOutputError(message, code, issues = []) {
+    const error = new Error(message);
+    error.code = code;
+    error.issues = issues;
+    return error;
+}
+
+class LLM {
+    /**
+     * @param {Object|null} provider - Anything with async generate(prompt, options); by default
+     *   the one LLM_PROVIDER and LLM_MODEL choose (utils/llmProviders.js)
+     */
+    constructor(provider) {
+        if (provider !== undefined) {
+            this.provider = provider;
+            return;
+        }
+        try {
+            this.provider = createLLMProvider();
+        } catch (error) {
+            console.error(`❌ ${error.message} AI features are DISABLED.`);
+            this.provider = null;
+        }
+    }
+
+    get available() {
+        return !!this.provider;
+    }
+
+    /**
+     * @returns {Object} { provider, model } – provider 'none' when AI is off
+     */
+    describe() {
+        return this.provider
+            ? { provider: this.provider.name, model: this.provider.model }
+            : { provider: 'none', model: null };
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} options - { temperature, maxOutputTokens, topP, topK }
+     * @returns {Promise<Object>} { text, finishReason, model }
+     * @throws {Error} code 'LLM_UNAVAILABLE' when no provider is configured
+     */
+    async generate(prompt, options = {}) {
+        if (!this.provider) {
+            const error = new Error('No AI provider is configured. Set LLM_PROVIDER (and GEMINI_API_KEY for gemini).');
+            error.code = 'LLM_UNAVAILABLE';
+            throw error;
+        }
+        return this.provider.generate(prompt, options);
+    }
+
+    /**
+     * Ask for JSON matching schema (utils/aiSchemas.js). A reply that cannot be parsed or does
+     * not match is sent back once with the problems listed, for the model to correct.
+     * @returns {Promise<Object>} { value, issues, repaired, reply } – value keeps only what matches
+     *   the schema; issues lists what was still wrong after the repair (dropped, never filled in);
+     *   reply is the parsed JSON the issue paths refer to
+     * @throws {Error} code 'AI_TRUNCATED' when a reply is cut off at maxOutputTokens,
+     *   'AI_INVALID_OUTPUT' when even the repaired reply is unusable, 'LLM_UNAVAILABLE'
+     */
+    async generateJson(prompt, schema, options = {}) {
+        let attempt = await this.attemptJson(prompt, schema, options);
+        if (attempt.value !== undefined && attempt.issues.length === 0) {
+            return { value: attempt.value, issues: [], repaired: false, reply: attempt.reply };
+        }
+
+        const repairPrompt = `${prompt}
+
+Your previous reply was:
+${attempt.text.slice(0, REPAIR_REPLY_CHARS)}
+
+It does not match the required JSON format:
+${formatIssues(attempt.issues)}
+
+The required format, as a JSON Schema:
+${JSON.stringify(schema)}
+
+Reply again with ONLY the corrected JSON, no markdown and no other text.`;
+
+        // A failed repair still leaves whatever the first reply got right
+        let repair = null;
+        try {
+            repair = await this.attemptJson(repairPrompt, schema, options);
+        } catch (error) {
+            if (attempt.value === undefined) throw error;
+        }
+        // The repair wins unless the first reply was usable and the repair is not, or is worse;
+        // when neither is usable, the error lists what the repair still gets wrong
+        if (repair && (attempt.value === undefined || (repair.value !== undefined && repair.issues.length <= attempt.issues.length))) {
+            attempt = repair;
+        }
+        if (attempt.value === undefined) {
+            throw aiOutputError(`AI reply does not match the required format, even after a repair request:\n${formatIssues(attempt.issues, 5)}`,
+                'AI_INVALID_OUTPUT', attempt.issues);
+        }
+        return { value: attempt.value, issues: attempt.issues, repaired: true, reply: attempt.reply };
+    }
+
+    async attemptJson(prompt, schema, options) {
+        const { text, finishReason } = await this.generate(prompt, options);
+        if (finishReason === 'length') {
+            throw aiOutputError(`AI reply was cut off at the output token limit (${text.length} characters)`, 'AI_TRUNCATED');
+        }
+
+        let parsed;
+        try {
+            parsed = parseJsonReply(text);
+        } catch (error) {
+            return { text, value: undefined, issues: [{ path: '$', message: `is not valid JSON (${error.message})` }] };
+        }
+        return { text, reply: parsed, ...checkSchema(schema, parsed) };
+    }
+
+    async listModels() {
+        return this.provider ? this.provider.listModels() : [];
+    }
+}
+
+module.exports = new LLM();
@@ -0,0 +1,67 @@
+const { createMailTransport } = require('../utils/mailTransports');
+
+// Where the links in emails point (the frontend pages that complete each flow)
+const APP_URL = (process.env.APP_URL || 'https://edu-aid-alpha.vercel.app').replace(/\/$/, '');
+
+class Mailer {
+    /**
+     * @param {Object} transport - Anything with async send({ to, subject, text, html })
+     */
+    constructor(transport) {
+        this.transport = transport || createMailTransport();
+    }
+
+    async sendPasswordReset(user, token, ttlMinutes) {
+        const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+        return this.transport.send({
+            to: user.email,
+            subject: 'Reset your EDU_AID password',
+            text: `Hello ${user.name},\n\n` +
+                `Someone asked to reset the password for your EDU_AID account. ` +
+                `Open this link within ${ttlMinutes} minutes to choose a new password:\n\n${link}\n\n` +
+                `If you did not ask for this, you can ignore this email.`,
+            html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+                `<p>Someone asked to reset the password for your EDU_AID account. ` +
+                `Open this link within ${ttlMinutes} minutes to choose a new password:</p>` +
+                `<p><a href="${link}">Reset password</a></p>` +
+                `<p>If you did not ask for this, you can ignore this email.</p>`
+        });
+    }
+
+    async sendEmailVerification(user, token) {
+        const link = `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}`;
+
+        return this.transport.send({
+            to: user.email,
+            subject: 'Confirm your EDU_AID email address',
+            text: `Hello ${user.name},\n\nConfirm your email address by opening this link:\n\n${link}`,
+            html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+                `<p>Confirm your email address by opening this link:</p>` +
+                `<p><a href="${link}">Confirm email</a></p>`
+        });
+    }
+
+    async sendSchoolInvitation(invitation, school, inviter, token) {
+        const link = `${APP_URL}/signup.html?invite=${encodeURIComponent(token)}`;
+        const role = invitation.role.replace('_', ' ');
+
+        return this.transport.send({
+            to: invitation.email,
+            subject: `You're invited to join ${school.name} on EDU_AID`,
+            text: `${inviter.name} has invited you to join ${school.name} on EDU_AID as a ${role}.\n\n` +
+                `Create your account with this link before ${invitation.expiresAt.slice(0, 10)}:\n\n${link}`,
+            html: `<p>${escapeHtml(inviter.name)} has invited you to join ${escapeHtml(school.name)} on EDU_AID as a ${role}.</p>` +
+                `<p>Create your account with this link before ${invitation.expiresAt.slice(0, 10)}:</p>` +
+                `<p><a href="${link}">Accept invitation</a></p>`
+        });
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+module.exports = new Mailer();
@@ -0,0 +1,89 @@
+const { db } = require('../db');
+const { validateMapping } = require('../utils/columnMapping');
+
+// Saved column mappings, shared by the staff of one school
+class MappingProfileStore {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * @throws {Error} code 'INVALID_MAPPING' for an unusable mapping, 'PROFILE_EXISTS' for a duplicate name
+     */
+    create({ schoolId = null, name, mapping, createdBy = null }) {
+        validateMapping(mapping);
+        const now = new Date().toISOString();
+
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO column_mapping_profiles (school_id, name, mapping, created_by, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(schoolId, String(name).trim(), JSON.stringify(mapping), createdBy, now, now);
+            return this.toPublic(this.findById(result.lastInsertRowid));
+        } catch (error) {
+            throw this.translateError(error, name);
+        }
+    }
+
+    findById(id) {
+        return this.db.prepare('SELECT * FROM column_mapping_profiles WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * A profile only if it belongs to schoolId (profiles never cross schools)
+     */
+    findForSchool(id, schoolId) {
+        const row = this.findById(id);
+        return row && (row.school_id ?? null) === (schoolId ?? null) ? row : null;
+    }
+
+    listForSchool(schoolId) {
+        return this.db.prepare('SELECT * FROM column_mapping_profiles WHERE school_id IS ? ORDER BY name')
+            .all(schoolId ?? null)
+            .map(row => this.toPublic(row));
+    }
+
+    update(id, { name, mapping }) {
+        const row = this.findById(id);
+        if (mapping !== undefined) validateMapping(mapping);
+
+        try {
+            this.db.prepare('UPDATE column_mapping_profiles SET name = ?, mapping = ?, updated_at = ? WHERE id = ?').run(
+                name !== undefined ? String(name).trim() : row.name,
+                mapping !== undefined ? JSON.stringify(mapping) : row.mapping,
+                new Date().toISOString(),
+                id
+            );
+        } catch (error) {
+            throw this.translateError(error, name);
+        }
+        return this.toPublic(this.findById(id));
+    }
+
+    delete(id) {
+        return this.db.prepare('DELETE FROM column_mapping_profiles WHERE id = ?').run(id).changes > 0;
+    }
+
+    translateError(error, name) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            const exists = new Error(`A mapping profile named "${String(name).trim()}" already exists`);
+            exists.code = 'PROFILE_EXISTS';
+            return exists;
+        }
+        return error;
+    }
+
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            name: row.name,
+            mapping: JSON.parse(row.mapping),
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new MappingProfileStore(db);
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { db } = require('../db');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class SchoolStore {
+    constructor(database) {
+        this.db = database;
+        this.invitationTtlMs = Number(process.env.INVITATION_TTL_DAYS || 7) * DAY;
+    }
+
+    /**
+     * @throws {Error} code 'SCHOOL_EXISTS' when the name is taken (case-insensitive)
+     */
+    create(name) {
+        try {
+            const result = this.db.prepare('INSERT INTO schools (name, created_at) VALUES (?, ?)')
+                .run(String(name).trim(), new Date().toISOString());
+            return this.toPublic(this.findById(result.lastInsertRowid));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                const exists = new Error(`"${String(name).trim()}" is already registered`);
+                exists.code = 'SCHOOL_EXISTS';
+                throw exists;
+            }
+            throw error;
+        }
+    }
+
+    findById(id) {
+        return this.db.prepare('SELECT * FROM schools WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * The school's assessment scheme (CA/exam components), or null for the default
+     */
+    getAssessmentScheme(schoolId) {
+        const row = this.db.prepare('SELECT assessment_scheme FROM schools WHERE id = ?').get(schoolId);
+        return row?.assessment_scheme ? JSON.parse(row.assessment_scheme) : null;
+    }
+
+    /**
+     * @param {Object|null} scheme - A validated scheme, or null to go back to the default
+     */
+    setAssessmentScheme(schoolId, scheme) {
+        this.db.prepare('UPDATE schools SET assessment_scheme = ? WHERE id = ?')
+            .run(scheme ? JSON.stringify(scheme) : null, schoolId);
+        return this.toPublic(this.findById(schoolId));
+    }
+
+    findByName(name) {
+        return this.db.prepare('SELECT * FROM schools WHERE name = ?').get(String(name).trim()) || null;
+    }
+
+    /**
+     * Every school with its staff count (platform admins)
+     */
+    list() {
+        return this.db.prepare(`
+            SELECT schools.*, COUNT(users.id) AS staff_count
+            FROM schools LEFT JOIN users ON users.school_id = schools.id
+            GROUP BY schools.id
+            ORDER BY schools.name
+        `).all().map(row => ({ ...this.toPublic(row), staffCount: row.staff_count }));
+    }
+
+    /**
+     * Invite someone to join a school with a given role.
+     * A newer invitation for the same email replaces any pending one.
+     * @returns {Object} { invitation, token } – token goes in the emailed link
+     */
+    createInvitation({ schoolId, email, role, subjects = [], invitedBy = null }) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+
+        const id = this.db.transaction(() => {
+            this.db.prepare(`
+                UPDATE school_invitations SET revoked_at = ?
+                WHERE school_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL
+            `).run(now, schoolId, String(email).trim());
+
+            return this.db.prepare(`
+                INSERT INTO school_invitations (school_id, email, role, subjects, token_hash, invited_by, created_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(schoolId, String(email).trim(), role, JSON.stringify(subjects), hashToken(token), invitedBy, now,
+                Date.now() + this.invitationTtlMs).lastInsertRowid;
+        })();
+
+        return { invitation: this.invitationToPublic(this.findInvitationById(id)), token };
+    }
+
+    findInvitationById(id) {
+        return this.db.prepare('SELECT * FROM school_invitations WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * A pending (not accepted, revoked or expired) invitation for a token, or null
+     */
+    findPendingInvitation(token) {
+        if (!token) return null;
+
+        const row = this.db.prepare('SELECT * FROM school_invitations WHERE token_hash = ?').get(hashToken(String(token)));
+        if (!row || row.accepted_at || row.revoked_at || row.expires_at <= Date.now()) return null;
+        return row;
+    }
+
+    markInvitationAccepted(id) {
+        this.db.prepare('UPDATE school_invitations SET accepted_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    }
+
+    listPendingInvitations(schoolId) {
+        return this.db.prepare(`
+            SELECT * FROM school_invitations
+            WHERE school_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY created_at DESC
+        `).all(schoolId, Date.now()).map(row => this.invitationToPublic(row));
+    }
+
+    /**
+     * @returns {boolean} True when a pending invitation of this school was revoked
+     */
+    revokeInvitation(schoolId, invitationId) {
+        return this.db.prepare(`
+            UPDATE school_invitations SET revoked_at = ?
+            WHERE id = ? AND school_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+        `).run(new Date().toISOString(), invitationId, schoolId).changes > 0;
+    }
+
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            name: row.name,
+            assessmentScheme: row.assessment_scheme ? JSON.parse(row.assessment_scheme) : null,
+            createdAt: row.created_at
+        };
+    }
+
+    invitationToPublic(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            schoolId: row.school_id,
+            email: row.email,
+            role: row.role,
+            subjects: JSON.parse(row.subjects || '[]'),
+            invitedBy: row.invited_by,
+            createdAt: row.created_at,
+            expiresAt: new Date(row.expires_at).toISOString()
+        };
+    }
+}
+
+module.exports = new SchoolStore(db);
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../db');
+
+// Values that must never be used to sign tokens
+const PLACEHOLDER_SECRETS = ['default_secret', 'your_jwt_secret_here_change_in_production'];
+const MIN_SECRET_LENGTH = 32;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Fail fast when JWT_SECRET is missing, a placeholder, or too short to be safe
+ * @throws {Error} Describing what is wrong with the configured secret
+ */
+function assertJwtSecret(secret = process.env.JWT_SECRET) {
+    if (!secret) {
+        throw new Error('JWT_SECRET is not set. Generate one with: node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'hex\'))"');
+    }
+    if (PLACEHOLDER_SECRETS.includes(secret)) {
+        throw new Error('JWT_SECRET is still the example placeholder. Set a real random secret.');
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters long.`);
+    }
+}
+
+function invalidToken(message = 'Invalid token') {
+    const error = new Error(message);
+    error.code = 'INVALID_TOKEN';
+    return error;
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class TokenService {
+    constructor(database) {
+        this.db = database;
+        this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlMs = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * DAY;
+    }
+
+    get secret() {
+        assertJwtSecret();
+        return process.env.JWT_SECRET;
+    }
+
+    /**
+     * Called at startup so a bad secret stops the server instead of the first login
+     */
+    assertSecret() {
+        assertJwtSecret();
+    }
+
+    /**
+     * Claims carried in the access token
+     */
+    claimsFor(user, sessionId) {
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            subjects: JSON.parse(user.subjects || '[]'),
+            schoolId: user.school_id ?? null,
+            sid: sessionId
+        };
+    }
+
+    /**
+     * Start a login session: one refresh token per device
+     * @param {Object} user - Users row
+     * @param {Object} meta - { userAgent, ipAddress }
+     * @returns {Object} { accessToken, refreshToken, expiresIn, sessionId }
+     */
+    createSession(user, { userAgent = null, ipAddress = null } = {}) {
+        const sessionId = crypto.randomUUID();
+        const refreshSecret = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+
+        this.db.prepare(`
+            INSERT INTO auth_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(sessionId, user.id, hashToken(refreshSecret), userAgent, ipAddress, now, now, Date.now() + this.refreshTokenTtlMs);
+
+        return this.issueTokens(user, sessionId, refreshSecret);
+    }
+
+    /**
+     * Exchange a refresh token for a new pair; the old refresh token stops working.
+     * Presenting an already-rotated token revokes the whole session (likely theft).
+     */
+    refresh(refreshToken) {
+        const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+        if (!sessionId || !refreshSecret) throw invalidToken('Invalid refresh token');
+
+        const session = this.db.prepare('SELECT * FROM auth_sessions WHERE id = ?').get(sessionId);
+        if (!session || session.revoked_at || session.expires_at <= Date.now()) {
+            throw invalidToken('Refresh token expired or revoked');
+        }
+
+        if (session.refresh_token_hash !== hashToken(refreshSecret)) {
+            this.revokeSession(sessionId);
+            console.warn(`🔐 Reused refresh token for session ${sessionId}; session revoked`);
+            throw invalidToken('Refresh token expired or revoked');
+        }
+
+        const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(session.user_id);
+        if (!user) throw invalidToken('Refresh token expired or revoked');
+
+        const nextSecret = crypto.randomBytes(32).toString('hex');
+        this.db.prepare('UPDATE auth_sessions SET refresh_token_hash = ?, last_used_at = ? WHERE id = ?')
+            .run(hashToken(nextSecret), new Date().toISOString(), sessionId);
+
+        return this.issueTokens(user, sessionId, nextSecret);
+    }
+
+    issueTokens(user, sessionId, refreshSecret) {
+        const accessToken = jwt.sign(this.claimsFor(user, sessionId), this.secret, { expiresIn: this.accessTokenTtl });
+        const { exp, iat } = jwt.decode(accessToken);
+
+        return {
+            accessToken,
+            refreshToken: `${sessionId}.${refreshSecret}`,
+            expiresIn: exp - iat,
+            sessionId
+        };
+    }
+
+    /**
+     * Verify an access token and that its session has not been revoked
+     * @returns {Object} Token claims
+     */
+    verifyAccessToken(token) {
+        let claims;
+        try {
+            claims = jwt.verify(token, this.secret);
+        } catch (error) {
+            throw invalidToken(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+        }
+
+        const session = claims.sid && this.db.prepare('SELECT revoked_at, expires_at FROM auth_sessions WHERE id = ?').get(claims.sid);
+        if (!session || session.revoked_at || session.expires_at <= Date.now()) {
+            throw invalidToken('Session has been signed out');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Revoke one session (optionally only if it belongs to userId)
+     * @returns {boolean} True when a session was revoked
+     */
+    revokeSession(sessionId, userId) {
+        const ownerFilter = userId === undefined ? '' : 'AND user_id = @userId';
+        return this.db.prepare(`
+            UPDATE auth_sessions SET revoked_at = @now
+            WHERE id = @sessionId AND revoked_at IS NULL ${ownerFilter}
+        `).run({ sessionId, userId, now: new Date().toISOString() }).changes > 0;
+    }
+
+    revokeAllSessions(userId) {
+        return this.db.prepare('UPDATE auth_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL')
+            .run(new Date().toISOString(), userId).changes;
+    }
+
+    /**
+     * Active (not revoked, not expired) sessions for a user, most recent first
+     */
+    listSessions(userId) {
+        return this.db.prepare(`
+            SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+            FROM auth_sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `).all(userId, Date.now()).map(row => ({
+            id: row.id,
+            userAgent: row.user_agent,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: new Date(row.expires_at).toISOString()
+        }));
+    }
+}
+
+module.exports = new TokenService(db);
@@ -0,0 +1,108 @@
+const { db } = require('../db');
+
+const PROFILE_FIELDS = ['name', 'role', 'phone', 'subjects'];
+
+class UserStore {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Create a user account
+     * @param {Object} user - { email, name, passwordHash, school, role, phone, subjects }
+     *   school is a schools row (or null for platform admins); its name is kept on the user for display
+     * @returns {Object} The stored user (without password hash)
+     * @throws {Error} code 'USER_EXISTS' when the email is already registered
+     */
+    create({ email, name, passwordHash, school = null, role = 'teacher', phone = null, subjects = [] }) {
+        const now = new Date().toISOString();
+
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO users (email, name, password_hash, school, school_id, role, phone, subjects, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(email.trim(), name, passwordHash, school?.name ?? null, school?.id ?? null, role, phone,
+                JSON.stringify(subjects), now, now);
+
+            return this.toPublic(this.findById(result.lastInsertRowid));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                const exists = new Error('User already exists');
+                exists.code = 'USER_EXISTS';
+                throw exists;
+            }
+            throw error;
+        }
+    }
+
+    findById(id) {
+        return this.db.prepare('SELECT * FROM users WHERE id = ?').get(id) || null;
+    }
+
+    findByEmail(email) {
+        return this.db.prepare('SELECT * FROM users WHERE email = ?').get(String(email).trim()) || null;
+    }
+
+    findBySchool(schoolId) {
+        return this.db.prepare('SELECT * FROM users WHERE school_id = ? ORDER BY name').all(schoolId);
+    }
+
+    /**
+     * Update profile fields (name, role, phone, subjects). A user's school is fixed at registration.
+     */
+    updateProfile(id, updates) {
+        const fields = PROFILE_FIELDS.filter(field => updates[field] !== undefined);
+        if (fields.length === 0) return this.toPublic(this.findById(id));
+
+        const assignments = fields.map(field => `${field} = @${field}`).join(', ');
+        const params = { id, updated_at: new Date().toISOString() };
+        fields.forEach(field => {
+            params[field] = field === 'subjects' ? JSON.stringify(updates.subjects) : updates[field];
+        });
+
+        this.db.prepare(`UPDATE users SET ${assignments}, updated_at = @updated_at WHERE id = @id`).run(params);
+        return this.toPublic(this.findById(id));
+    }
+
+    updatePassword(id, passwordHash) {
+        const now = new Date().toISOString();
+        this.db.prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?').run(passwordHash, now, id);
+    }
+
+    markEmailVerified(id) {
+        const now = new Date().toISOString();
+        this.db.prepare('UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?), updated_at = ? WHERE id = ?')
+            .run(now, now, id);
+        return this.toPublic(this.findById(id));
+    }
+
+    /**
+     * Accept subjects as an array or a comma-separated string
+     */
+    parseSubjects(subjects) {
+        if (!subjects) return [];
+        const list = Array.isArray(subjects) ? subjects : String(subjects).split(',');
+        return list.map(subject => String(subject).trim()).filter(Boolean);
+    }
+
+    /**
+     * Strip the password hash and map columns to API field names
+     */
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            email: row.email,
+            name: row.name,
+            school: row.school,
+            schoolId: row.school_id,
+            role: row.role,
+            phone: row.phone,
+            subjects: JSON.parse(row.subjects || '[]'),
+            emailVerified: !!row.email_verified_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = new UserStore(db);
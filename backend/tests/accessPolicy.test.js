@@ -0,0 +1,125 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret-that-is-long-enough-for-the-check';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.ADMIN_EMAILS = 'owner@example.com';
+process.env.LLM_PROVIDER = 'none';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { subjectScope, canSeeCourseRecommendations, viewAnalysisForUser } = require('../utils/accessPolicy');
+const { requireRole } = require('../middleware/auth');
+const accountTokens = require('../services/accountTokens');
+const analyzer = require('../services/ai_analyzer');
+
+const analysis = {
+    totalStudents: 1,
+    analysisResults: {
+        individualInsights: [{ studentName: 'Ada Obi', averageScore: '71.0', recommendations: [{ course: 'Law' }], courseRecommendations: [{ course: 'Law' }] }],
+        studentRecommendations: [{ student_id: 'Ada Obi', strengths: ['English'], recommendations: [{ course: 'Law' }] }]
+    }
+};
+
+describe('accessPolicy', () => {
+    test('teachers are limited to their subjects; everyone else sees them all', () => {
+        expect(subjectScope({ role: 'teacher', subjects: ['Mathematics'] })).toEqual(['Mathematics']);
+        expect(subjectScope({ role: 'teacher', subjects: [] })).toBeNull();
+        expect(subjectScope({ role: 'principal', subjects: ['Mathematics'] })).toBeNull();
+    });
+
+    test('course recommendations are hidden from teachers only', () => {
+        expect(canSeeCourseRecommendations({ role: 'teacher' })).toBe(false);
+        ['form_master', 'counselor', 'principal', 'school_admin', 'admin'].forEach(role => {
+            expect(canSeeCourseRecommendations({ role })).toBe(true);
+        });
+    });
+
+    test("a teacher's view drops the recommendations and keeps the rest", () => {
+        const view = viewAnalysisForUser(analysis, { role: 'teacher' });
+
+        expect(view.analysisResults.individualInsights).toEqual([{ studentName: 'Ada Obi', averageScore: '71.0' }]);
+        expect(view.analysisResults.studentRecommendations).toEqual([{ student_id: 'Ada Obi', strengths: ['English'] }]);
+        expect(analysis.analysisResults.individualInsights[0].recommendations).toHaveLength(1);
+    });
+
+    test('a counselor sees the analysis unchanged', () => {
+        expect(viewAnalysisForUser(analysis, { role: 'counselor' })).toBe(analysis);
+    });
+});
+
+describe('requireRole', () => {
+    const app = express();
+    app.use((req, res, next) => {
+        if (req.get('x-role')) req.user = { role: req.get('x-role') };
+        next();
+    });
+    app.get('/rollup', requireRole('principal', 'admin'), (req, res) => res.json({ success: true }));
+
+    test('lets the listed roles through', async () => {
+        await request(app).get('/rollup').set('x-role', 'principal').expect(200);
+    });
+
+    test('refuses other roles with 403 and anonymous callers with 401', async () => {
+        await request(app).get('/rollup').set('x-role', 'teacher').expect(403);
+        await request(app).get('/rollup').expect(401);
+    });
+});
+
+describe('ADMIN_EMAILS accounts', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+
+    const register = email => request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Owner', email, password: 'correct horse battery' });
+
+    test('register without admin rights and become admins once their email is confirmed', async () => {
+        const { body } = await register('owner@example.com').expect(200);
+        expect(body.user).toMatchObject({ role: 'teacher', schoolId: null, emailVerified: false });
+
+        const verified = await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: accountTokens.issue(body.user.id, 'email_verification') })
+            .expect(200);
+        expect(verified.body.user).toMatchObject({ role: 'admin', emailVerified: true });
+    });
+
+    test('other emails still need a school', async () => {
+        const { body } = await register('someone@example.com').expect(400);
+        expect(body.error).toMatch(/School is required/);
+    });
+});
+
+describe('teacher subject filter', () => {
+    const rows = [
+        { name: 'Ada Obi', subject: 'Mathematics' },
+        { name: 'Ada Obi', subject: 'English Language' },
+        { name: 'Ada Obi', subject: 'Physics' },
+        { name: 'Ada Obi', subject: 'Basketry' }
+    ];
+
+    test('matches assigned subjects to the sheet by canonical subject', () => {
+        expect(analyzer.restrictToSubjects(rows, ['Maths', 'Eng. Language']).map(({ subject }) => subject))
+            .toEqual(['Mathematics', 'English Language']);
+        expect(analyzer.restrictToSubjects(rows, ['basketry ']).map(({ subject }) => subject)).toEqual(['Basketry']);
+    });
+
+    test("a teacher's analysis covers their subjects under the sheet's names for them", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subject-filter-test-'));
+        const filePath = path.join(dir, 'upload');
+        fs.writeFileSync(filePath, 'Full Name,Subject,SS3_1st\nAda Obi,Mathematics,70\nAda Obi,English Language,65\nAda Obi,Physics,58\n');
+
+        try {
+            const analysis = await analyzer.analyzeFile(filePath, 'ss3.csv', { subjects: ['Maths'] });
+            expect(analysis.totalSubjects).toBe(1);
+            expect(analysis.subjectStatistics.map(({ subject }) => subject)).toEqual(['Mathematics']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,92 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.MAIL_TRANSPORT = 'console';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const userStore = require('../services/userStore');
+const accountTokens = require('../services/accountTokens');
+const mailer = require('../services/mailer');
+const { FileMailTransport } = require('../utils/mailTransports');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('accountTokens', () => {
+    let userId;
+
+    beforeAll(() => {
+        userId = userStore.create({ email: 'ada@example.com', name: 'Ada Obi', passwordHash: 'hash' }).id;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('a token is used once, for its own purpose', () => {
+        const token = accountTokens.issue(userId, 'password_reset');
+
+        expect(() => accountTokens.consume(token, 'email_verification')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(accountTokens.consume(token, 'password_reset')).toBe(userId);
+        expect(() => accountTokens.consume(token, 'password_reset')).toThrow('This link is invalid or has expired');
+    });
+
+    test('a new token replaces the unused one before it', () => {
+        const first = accountTokens.issue(userId, 'email_verification');
+        const second = accountTokens.issue(userId, 'email_verification');
+
+        expect(() => accountTokens.consume(first, 'email_verification')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(accountTokens.consume(second, 'email_verification')).toBe(userId);
+    });
+
+    test('password reset links expire after an hour', () => {
+        jest.useFakeTimers();
+        const token = accountTokens.issue(userId, 'password_reset');
+
+        jest.advanceTimersByTime(HOUR);
+        expect(() => accountTokens.consume(token, 'password_reset')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    });
+
+    test('verification links last 48 hours', () => {
+        jest.useFakeTimers();
+        const token = accountTokens.issue(userId, 'email_verification');
+
+        jest.advanceTimersByTime(47 * HOUR);
+        expect(accountTokens.consume(token, 'email_verification')).toBe(userId);
+        expect(accountTokens.ttlMinutes('email_verification')).toBe(48 * 60);
+    });
+
+    test('unknown tokens and purposes are refused', () => {
+        expect(() => accountTokens.consume('not-a-token', 'password_reset')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(() => accountTokens.consume(undefined, 'password_reset')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(() => accountTokens.issue(userId, 'login')).toThrow(/Unknown account token purpose/);
+    });
+});
+
+describe('FileMailTransport', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'edu-aid-mail-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('writes the verification email with its link', async () => {
+        const transport = new FileMailTransport(directory);
+        const original = mailer.transport;
+        mailer.transport = transport;
+        try {
+            const { filePath } = await mailer.sendEmailVerification({ email: 'ada@example.com', name: 'Ada <Obi>' }, 'abc123');
+            const message = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            expect(message).toMatchObject({ to: 'ada@example.com', subject: 'Confirm your EDU_AID email address' });
+            expect(message.text).toContain('/verify-email.html?token=abc123');
+            expect(message.html).toContain('Ada &lt;Obi&gt;');
+        } finally {
+            mailer.transport = original;
+        }
+    });
+});
@@ -0,0 +1,122 @@
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'none';
+process.env.COURSE_CATALOG_PATH = path.join(os.tmpdir(), 'edu-aid-no-catalog-edits.json');
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const analyzer = require('../services/ai_analyzer');
+
+const facts = { subjects: { Mathematics: 82, Physics: 64, 'English Language': 71 }, classArm: 'SS3A' };
+
+describe('reconcileStudent', () => {
+    test('figures come from the scores, words from the AI', () => {
+        const insight = analyzer.reconcileStudent({
+            student_id: 'Ada Obi',
+            strengths: ['Maths', 'English'],
+            insight: 'A strong science student.',
+            recommendations: [{ course: 'Computer Science', reason: 'Mathematics' }]
+        }, facts);
+
+        expect(insight).toMatchObject({
+            studentName: 'Ada Obi',
+            classArm: 'SS3A',
+            averageScore: '72.3',
+            strengths: ['Mathematics', 'English Language'],
+            concerns: [],
+            insight: 'A strong science student.'
+        });
+        expect(insight).not.toHaveProperty('dataConflicts');
+    });
+
+    test('flags strengths the scores contradict or do not have', () => {
+        const insight = analyzer.reconcileStudent({ student_id: 'Ada Obi', strengths: ['physics', 'Chemistry'], recommendations: [] }, facts);
+
+        expect(insight.dataConflicts).toEqual([
+            {
+                type: 'weak_strength',
+                subject: 'Physics',
+                score: 64,
+                message: 'AI lists Physics as a strength, but the student averages 64% in it (below 70)'
+            },
+            {
+                type: 'unknown_subject',
+                subject: 'Chemistry',
+                message: 'AI lists Chemistry as a strength, but the student has no Chemistry scores'
+            }
+        ]);
+    });
+
+    test('a student the scores do not know keeps the AI\'s words and no figures', () => {
+        expect(analyzer.reconcileStudent({ student_id: 'Stranger', strengths: ['Art'], recommendations: [] }, undefined))
+            .toMatchObject({ studentName: 'Stranger', averageScore: null, strengths: ['Art'] });
+    });
+});
+
+describe('summarizeConflicts', () => {
+    test('collects conflicts and rates confidence by the students taken as given', () => {
+        const analysis = {
+            individualInsights: [
+                { studentName: 'Ada Obi' },
+                { studentName: 'Tunde Bello', dataConflicts: [{ type: 'unknown_subject', subject: 'Art' }] },
+                { studentName: 'Chioma Eze', invalidFields: ['insight'] },
+                { studentName: 'Musa Bala', source: 'rule-based' }
+            ]
+        };
+        analyzer.summarizeConflicts(analysis);
+
+        expect(analysis.aiReconciliation).toEqual({
+            consistent: false,
+            conflicts: [{ student: 'Tunde Bello', type: 'unknown_subject', subject: 'Art' }]
+        });
+        expect(analysis.confidence).toBe(0.25);
+    });
+});
+
+describe('transformStudentRecommendations', () => {
+    test('says how many students the AI contradicts', () => {
+        const analysis = analyzer.transformStudentRecommendations(
+            [{ student_id: 'Ada Obi', strengths: ['Physics'], insight: 'Good', recommendations: [{ course: 'Physics', reason: 'Physics' }] }],
+            { 'Ada Obi': facts }
+        );
+
+        expect(analysis.overallAssessment).toMatchObject({ averageScore: '72.3', classGrade: 'B' });
+        expect(analysis.overallAssessment.summary).toContain('For 1 student(s) the AI\'s claims contradict their scores');
+        expect(analysis.aiReconciliation.consistent).toBe(false);
+    });
+});
+
+describe('createComprehensiveAnalysis', () => {
+    test('a rule-based analysis claims no confidence', () => {
+        const analysis = analyzer.createComprehensiveAnalysis({ 'Ada Obi': facts }, {});
+
+        expect(analysis.aiPowered).toBe(false);
+        expect(analysis).not.toHaveProperty('confidence');
+        expect(analysis.overallAssessment).toMatchObject({ averageScore: '72.3', classGrade: 'B' });
+    });
+
+    test('with no scores there is no average or grade', () => {
+        const analysis = analyzer.createComprehensiveAnalysis({ 'Ada Obi': { subjects: {} } }, {});
+
+        expect(analysis.overallAssessment).toMatchObject({ averageScore: null, classGrade: null });
+        expect(analysis.overallAssessment.summary).toContain('has no scores to average');
+        expect(analysis.individualInsights[0]).toMatchObject({
+            averageScore: null,
+            insight: 'No scores were found for this student, so no assessment can be made.'
+        });
+    });
+
+    test('with no students there is no share of students to report', () => {
+        const analysis = analyzer.createComprehensiveAnalysis({}, {});
+
+        expect(JSON.stringify(analysis)).not.toContain('NaN');
+        expect(analysis.insights.some(insight => insight.includes('performing at or above 70%'))).toBe(false);
+    });
+
+    test('reports the share of students at or above 70%', () => {
+        const analysis = analyzer.createComprehensiveAnalysis({ 'Ada Obi': facts, 'Tunde Bello': { subjects: { Mathematics: 55 } } }, {});
+
+        expect(analysis.insights).toContain('50% of students performing at or above 70%');
+    });
+});
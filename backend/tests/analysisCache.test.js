@@ -0,0 +1,96 @@
+process.env.DATABASE_PATH = ':memory:';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const analysisCache = require('../utils/analysisCache');
+const { MemorySessionStore, SqliteSessionStore } = require('../utils/sessionStores');
+const { openDatabase } = require('../db');
+
+const AnalysisCache = analysisCache.constructor;
+const HOUR = 60 * 60 * 1000;
+
+afterAll(() => analysisCache.stopSweeper());
+
+describe.each([
+    ['memory', () => new MemorySessionStore()],
+    ['sqlite', () => new SqliteSessionStore(openDatabase(':memory:'))]
+])('AnalysisCache with the %s store', (_, createStore) => {
+    let cache;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-05T08:00:00Z'));
+        cache = new AnalysisCache({ store: createStore(), ttlMs: HOUR, maxEntries: 3, sweepIntervalMs: 0 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('returns what was stored until the TTL runs out', () => {
+        cache.set('a', { totalStudents: 40 });
+        expect(cache.get('a').data).toEqual({ totalStudents: 40 });
+
+        jest.advanceTimersByTime(HOUR - 1);
+        expect(cache.has('a')).toBe(true);
+
+        jest.advanceTimersByTime(1);
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.size()).toBe(0);
+    });
+
+    test('a TTL given with the entry overrides the default', () => {
+        cache.set('short', {}, { ttlMs: 1000 });
+        jest.advanceTimersByTime(1000);
+        expect(cache.has('short')).toBe(false);
+    });
+
+    test('evicts the least recently used sessions past maxEntries', () => {
+        cache.set('a', {});
+        cache.set('b', {});
+        cache.set('c', {});
+        cache.get('a');
+        cache.set('d', {});
+
+        expect(cache.has('b')).toBe(false);
+        expect(['a', 'c', 'd'].every(id => cache.has(id))).toBe(true);
+    });
+
+    test('peek does not count as a use', () => {
+        cache.set('a', {});
+        cache.set('b', {});
+        cache.set('c', {});
+        cache.peek('a');
+        cache.set('d', {});
+
+        expect(cache.has('a')).toBe(false);
+    });
+
+    test('sweep removes only expired sessions', () => {
+        cache.set('old', {}, { ttlMs: 1000 });
+        cache.set('new', {});
+        jest.advanceTimersByTime(1000);
+
+        expect(cache.sweep()).toBe(1);
+        expect(cache.getAllSessions().map(session => session.sessionId)).toEqual(['new']);
+    });
+
+    test('lists sessions without their payload', () => {
+        cache.set('a', { big: true });
+        expect(cache.getAllSessions()).toEqual([expect.objectContaining({ sessionId: 'a', hasData: true })]);
+        expect(cache.getAllSessions()[0]).not.toHaveProperty('data');
+    });
+});
+
+describe('AnalysisCache sweeper', () => {
+    test('runs on its interval', () => {
+        jest.useFakeTimers();
+        const cache = new AnalysisCache({ store: new MemorySessionStore(), ttlMs: 1000, sweepIntervalMs: 5000 });
+        cache.set('a', {});
+
+        jest.advanceTimersByTime(5000);
+        expect(cache.size()).toBe(0);
+
+        cache.stopSweeper();
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,99 @@
+const analysisJobs = require('../utils/analysisJobs');
+
+const AnalysisJobs = analysisJobs.constructor;
+const HOUR = 60 * 60 * 1000;
+
+afterAll(() => analysisJobs.stopSweeper());
+
+describe('AnalysisJobs', () => {
+    let jobs;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+        jobs = new AnalysisJobs({ ttlMs: HOUR, sweepIntervalMs: 0 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('maps stage progress onto one progress bar that never goes backwards', () => {
+        const job = jobs.create({ ownerId: 1, fileName: 'ss2.xlsx' });
+        expect(jobs.toPublic(job)).toMatchObject({ status: 'queued', progress: 0, message: 'Waiting to start' });
+
+        jobs.progress(job.id, 'parsing', 50, { sheet: 'SS2A' });
+        expect(jobs.toPublic(job)).toMatchObject({ status: 'running', stage: 'parsing', progress: 20, details: { sheet: 'SS2A' } });
+
+        jobs.progress(job.id, 'ai', 50);
+        expect(job.progress).toBe(70);
+
+        jobs.progress(job.id, 'parsing', 100);
+        expect(job.progress).toBe(70);
+
+        jobs.progress(job.id, 'unknown', 100);
+        expect(job.stage).toBe('parsing');
+    });
+
+    test('shows the result only once complete, and ignores reports after that', () => {
+        const job = jobs.create({ ownerId: 1 });
+        jobs.progress(job.id, 'statistics', 10);
+        expect(jobs.toPublic(job)).not.toHaveProperty('result');
+
+        jobs.complete(job.id, { sessionId: 'abc' });
+        jobs.progress(job.id, 'ai', 10);
+        jobs.fail(job.id, new Error('too late'));
+
+        expect(jobs.toPublic(job)).toMatchObject({ status: 'completed', stage: 'done', progress: 100, result: { sessionId: 'abc' } });
+        expect(jobs.toPublic(job)).not.toHaveProperty('error');
+    });
+
+    test('a failed job carries its error code and hint', () => {
+        const job = jobs.create({ ownerId: 1 });
+        jobs.fail(job.id, Object.assign(new Error('File has more than 10 rows'), { code: 'FILE_TOO_LARGE' }), 'Split the file');
+
+        expect(jobs.toPublic(job)).toMatchObject({
+            status: 'failed',
+            error: 'File has more than 10 rows',
+            errorCode: 'FILE_TOO_LARGE',
+            hint: 'Split the file'
+        });
+    });
+
+    test('only the owner, within their school, can look a job up', () => {
+        const job = jobs.create({ ownerId: 1, schoolId: 7 });
+
+        expect(jobs.getOwned(job.id, 1, 7)).toBe(job);
+        expect(jobs.getOwned(job.id, 1, null)).toBeUndefined();
+        expect(jobs.getOwned(job.id, 2, 7)).toBeUndefined();
+        expect(jobs.getOwned(job.id, undefined, 7)).toBeUndefined();
+    });
+
+    test('subscribers hear every change until they unsubscribe', () => {
+        const job = jobs.create({ ownerId: 1 });
+        const updates = [];
+        const unsubscribe = jobs.subscribe(job.id, update => updates.push(update.stage));
+
+        jobs.progress(job.id, 'parsing', 10);
+        jobs.progress(job.id, 'statistics', 10);
+        unsubscribe();
+        jobs.complete(job.id, {});
+
+        expect(updates).toEqual(['parsing', 'statistics']);
+    });
+
+    test('finished jobs are swept once their time is up; running ones stay', () => {
+        const finished = jobs.create({ ownerId: 1 });
+        const running = jobs.create({ ownerId: 1 });
+        jobs.complete(finished.id, {});
+        jobs.progress(running.id, 'parsing', 10);
+
+        jest.advanceTimersByTime(HOUR - 1);
+        expect(jobs.sweep()).toBe(0);
+
+        jest.advanceTimersByTime(1);
+        expect(jobs.sweep()).toBe(1);
+        expect(jobs.get(finished.id)).toBeUndefined();
+        expect(jobs.get(running.id)).toBe(running);
+    });
+});
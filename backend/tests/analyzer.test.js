@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+process.env.LLM_PROVIDER = 'none';
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const analyzer = require('../services/analyzer');
+
+let dir;
+
+// Stored without an extension, as multer saves uploads
+function writeWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+    const filePath = path.join(dir, 'upload');
+    fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    return filePath;
+}
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzer-test-'));
+});
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseFile', () => {
+    test('reads every sheet in the parse worker, broadsheets and letter grades included', async () => {
+        const filePath = writeWorkbook({
+            'SS2 1st Term': [['Name', 'Subject', 'Grade', 'Attendance'], ['Ada Obi', 'Mathematics', 'B3', '92%'], ['Tunde Bello', 'Physics', 58, 80]],
+            SS3B: [['SS3B BROADSHEET', '', ''], ['Name', 'Mathematics', 'English'], ['Chi Eze', 70, 'C4']]
+        });
+
+        expect(await analyzer.parseFile(filePath)).toEqual([
+            { name: 'Ada Obi', subject: 'Mathematics', grade: 67, letterGrade: 'B3', attendance: 92, sheet: 'SS2 1st Term', classArm: null, term: 'SS2 1st Term' },
+            { name: 'Tunde Bello', subject: 'Physics', grade: 58, letterGrade: 'C5', attendance: 80, sheet: 'SS2 1st Term', classArm: null, term: 'SS2 1st Term' },
+            { name: 'Chi Eze', subject: 'Mathematics', grade: 70, letterGrade: 'B2', sheet: 'SS3B', classArm: 'SS3B', term: null },
+            { name: 'Chi Eze', subject: 'English', grade: 62, letterGrade: 'C4', sheet: 'SS3B', classArm: 'SS3B', term: null }
+        ]);
+    });
+
+    test('leaves out rows without a student', async () => {
+        const filePath = writeWorkbook({ Sheet1: [['Name', 'Subject', 'Score'], ['', 'Mathematics', 70], ['Ada Obi', 'Mathematics', 75]] });
+
+        expect((await analyzer.parseFile(filePath)).map(student => student.name)).toEqual(['Ada Obi']);
+    });
+});
+
+describe('summarizeSheets', () => {
+    test('counts students and averages grades per sheet', () => {
+        expect(analyzer.summarizeSheets([
+            { name: 'Ada Obi', grade: 70, sheet: 'SS3A', classArm: 'SS3A', term: null },
+            { name: 'Tunde Bello', grade: 61, sheet: 'SS3A', classArm: 'SS3A', term: null },
+            { name: 'Chi Eze', grade: null, sheet: 'SS3B', classArm: 'SS3B', term: null }
+        ])).toEqual([
+            { name: 'SS3A', classArm: 'SS3A', term: null, students: 2, averageGrade: 65.5 },
+            { name: 'SS3B', classArm: 'SS3B', term: null, students: 1, averageGrade: null }
+        ]);
+    });
+});
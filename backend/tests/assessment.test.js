@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.LLM_PROVIDER = 'none';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const {
+    BUILT_IN_SCHEMES,
+    validateScheme,
+    termTotal,
+    applyScheme,
+    componentBreakdown,
+    componentFlag
+} = require('../utils/assessment');
+const { suggestMapping, applyMapping } = require('../utils/columnMapping');
+const schoolStore = require('../services/schoolStore');
+const analyzer = require('../services/ai_analyzer');
+
+const [STANDARD, CA40] = BUILT_IN_SCHEMES;
+
+describe('validateScheme', () => {
+    test('fills in labels and kinds, taking exam-named components as exams', () => {
+        const scheme = validateScheme({ components: [{ key: 'Project', max: 30 }, { key: 'Final Exam', max: 70 }] });
+
+        expect(scheme).toEqual({
+            id: 'custom',
+            name: 'Project 30, Final Exam 70',
+            components: [
+                { key: 'Project', label: 'Project', max: 30, kind: 'ca', aliases: [] },
+                { key: 'Final Exam', label: 'Final Exam', max: 70, kind: 'exam', aliases: [] }
+            ]
+        });
+    });
+
+    test.each([
+        [{}, 'Scheme needs a list of components'],
+        [{ components: [] }, 'between 1 and 8 components'],
+        [{ components: [{ key: '1st CA', max: 40 }, { key: 'Exam', max: 60 }] }, 'must start with a letter'],
+        [{ components: [{ key: 'CA', max: 40 }, { key: 'ca', max: 60 }] }, 'appears twice'],
+        [{ components: [{ key: 'CA', max: 0 }, { key: 'Exam', max: 100 }] }, 'needs a maximum above 0'],
+        [{ components: [{ key: 'CA', max: 30 }, { key: 'Exam', max: 60 }] }, 'add up to 90']
+    ])('refuses %j', (scheme, message) => {
+        expect(() => validateScheme(scheme)).toThrow(expect.objectContaining({ code: 'INVALID_SCHEME', message: expect.stringContaining(message) }));
+    });
+});
+
+describe('termTotal', () => {
+    test('adds the components it can use and lists the rest', () => {
+        expect(termTotal({ CA1: '8', CA2: 12, Test: 15.5, Exam: '' })).toEqual({
+            total: 23.5,
+            counted: ['CA1', 'Test'],
+            missing: ['Exam'],
+            invalid: ['CA2']
+        });
+    });
+});
+
+describe('applyScheme', () => {
+    test('computes term scores from components where no total column was given', () => {
+        const headers = ['Name', 'Subject', 'SS2 1st Term CA', 'SS2 1st Term Exam', 'SS2 2nd Term CA', 'SS2 2nd Term Exam', 'SS2 2nd Term Total'];
+        const { mapping } = suggestMapping(headers, { scheme: CA40 });
+        const [record] = applyScheme(applyMapping([{
+            Name: 'Ada Obi',
+            Subject: 'Physics',
+            'SS2 1st Term CA': 30,
+            'SS2 1st Term Exam': 42,
+            'SS2 2nd Term CA': 35,
+            'SS2 2nd Term Exam': 50,
+            'SS2 2nd Term Total': 85
+        }], mapping), CA40);
+
+        expect(record.scores).toEqual({ SS2_1st: 72, SS2_2nd: 85 });
+        expect(record.computedTerms).toEqual(['SS2_1st']);
+        expect(record.columns.scores.SS2_1st).toBe('CA + Exam');
+    });
+
+    test('leaves a term with missing or invalid components without a score', () => {
+        const [record] = applyScheme([{
+            name: 'Ada Obi',
+            subject: 'Physics',
+            scores: {},
+            columns: { scores: {} },
+            components: {
+                SS3_1st: { CA1: 9, CA2: 9, Test: 18 },
+                SS3_2nd: { CA1: 9, CA2: 9, Test: 18, Exam: 75 },
+                SS3_3rd: { CA1: 9, CA2: 9, Test: 18, Exam: 50 }
+            }
+        }], STANDARD);
+
+        expect(record.scores).toEqual({ SS3_3rd: 86 });
+        expect(record.computedTerms).toEqual(['SS3_3rd']);
+    });
+
+    test('keeps a term without its exam out of the analysis', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assessment-test-'));
+        const filePath = path.join(dir, 'upload');
+        fs.writeFileSync(filePath,
+            'Name,Subject,SS3 1st Term CA1,SS3 1st Term CA2,SS3 1st Term Test,SS3 1st Term Exam,SS3 2nd Term CA1,SS3 2nd Term CA2,SS3 2nd Term Test,SS3 2nd Term Exam\n' +
+            'Ada Obi,Mathematics,9,9,18,50,9,9,18,\n' +
+            'Ada Obi,Physics,8,8,16,,,,,\n');
+
+        try {
+            const analysis = await analyzer.analyzeFile(filePath, 'ss3.csv');
+
+            expect(analysis.subjectStatistics.map(({ subject, mean }) => [subject, mean])).toEqual([['Mathematics', 86]]);
+            expect(analysis.analysisResults.individualInsights[0]).toMatchObject({ studentName: 'Ada Obi', averageScore: '86.0' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('componentBreakdown and componentFlag', () => {
+    const records = [
+        { name: 'Ada Obi', subject: 'Physics', components: { SS2_1st: { CA1: 9, CA2: 9, Test: 18, Exam: 30 } } },
+        { name: 'Tunde Bello', subject: 'Physics', components: { SS2_1st: { CA1: 5, CA2: 5, Test: 10, Exam: 48 } } }
+    ];
+
+    test('gives CA and exam percentages per student and for the class', () => {
+        expect(componentBreakdown(records, STANDARD)).toEqual({
+            students: {
+                'Ada Obi': { Physics: { ca: 90, exam: 50 } },
+                'Tunde Bello': { Physics: { ca: 50, exam: 80 } }
+            },
+            subjects: { Physics: { ca: 70, exam: 65 } }
+        });
+        expect(componentBreakdown([{ name: 'Ada Obi', subject: 'Physics', scores: { SS2_1st: 70 } }])).toBeNull();
+    });
+
+    test('flags a wide gap between CA and exam', () => {
+        expect(componentFlag({ ca: 90, exam: 50 })).toBe('strong CA, weak exam');
+        expect(componentFlag({ ca: 50, exam: 80 })).toBe('weak CA, strong exam');
+        expect(componentFlag({ ca: 70, exam: 65 })).toBeNull();
+        expect(componentFlag({ ca: 70, exam: null })).toBeNull();
+    });
+});
+
+describe('school assessment scheme', () => {
+    test('is saved per school and cleared back to the default', () => {
+        const school = schoolStore.create('Federal Government College');
+        expect(schoolStore.getAssessmentScheme(school.id)).toBeNull();
+
+        schoolStore.setAssessmentScheme(school.id, CA40);
+        expect(schoolStore.getAssessmentScheme(school.id)).toEqual(CA40);
+
+        schoolStore.setAssessmentScheme(school.id, null);
+        expect(schoolStore.getAssessmentScheme(school.id)).toBeNull();
+    });
+});
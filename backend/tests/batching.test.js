@@ -0,0 +1,53 @@
+const { chunk, mapWithConcurrency } = require('../utils/batching');
+
+describe('chunk', () => {
+    test('splits items into batches of at most size', () => {
+        expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+        expect(chunk([], 3)).toEqual([]);
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    // A worker that finishes later items first and records how many run at once
+    function trackedWorker() {
+        const stats = { running: 0, peak: 0, started: [] };
+        const worker = async (item, index) => {
+            stats.started.push(index);
+            stats.running++;
+            stats.peak = Math.max(stats.peak, stats.running);
+            await new Promise(resolve => setTimeout(resolve, 10 - item));
+            stats.running--;
+            return item * 10;
+        };
+        return { stats, worker };
+    }
+
+    test('runs at most limit workers at once and keeps results in item order', async () => {
+        const { stats, worker } = trackedWorker();
+        const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, worker);
+
+        expect(results).toEqual([10, 20, 30, 40, 50, 60, 70]);
+        expect(stats.peak).toBe(3);
+        expect([...stats.started].sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    });
+
+    test('a limit below one still runs the items, one at a time', async () => {
+        const { stats, worker } = trackedWorker();
+        expect(await mapWithConcurrency([1, 2], 0, worker)).toEqual([10, 20]);
+        expect(stats.peak).toBe(1);
+    });
+
+    test('an empty list resolves without calling the worker', async () => {
+        const worker = jest.fn();
+        expect(await mapWithConcurrency([], 3, worker)).toEqual([]);
+        expect(worker).not.toHaveBeenCalled();
+    });
+
+    test('a failing worker rejects the run', async () => {
+        const worker = async item => {
+            if (item === 2) throw new Error('batch 2 failed');
+            return item;
+        };
+        await expect(mapWithConcurrency([1, 2, 3], 2, worker)).rejects.toThrow('batch 2 failed');
+    });
+});
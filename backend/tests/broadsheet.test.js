@@ -0,0 +1,78 @@
+const { subjectOf, detectBroadsheet, broadsheetRecords } = require('../utils/broadsheet');
+
+describe('subjectOf', () => {
+    test.each([
+        ['Mathematics', 'Mathematics'],
+        ['Eng. Language (SS2 1st)', 'English'],
+        ['Total', null],
+        ['Position', null]
+    ])('%s → %s', (header, subject) => {
+        expect(subjectOf(header)).toBe(subject);
+    });
+});
+
+describe('detectBroadsheet', () => {
+    test('long-format sheets are not broadsheets', () => {
+        expect(detectBroadsheet([['Full Name', 'Subject', 'SS1_1st'], ['Ada Obi', 'Mathematics', 70]])).toBeNull();
+        expect(detectBroadsheet([['Name', 'Mathematics'], ['Ada Obi', 70]])).toBeNull();
+    });
+
+    test('reads a single header row under a title, taking the class from the title', () => {
+        const grid = [
+            ['GOVT. COLLEGE UMUAHIA SS2A BROADSHEET'],
+            ['S/N', 'Student Name', 'Mathematics', 'English', 'Physics', 'Total', 'Position'],
+            [1, 'Ada Obi', 70, 65, 58, 193, 1]
+        ];
+        const layout = detectBroadsheet(grid);
+
+        expect(layout).toMatchObject({
+            dataStart: 2,
+            nameIndex: 1,
+            nameHeader: 'Student Name',
+            subjects: ['Mathematics', 'English', 'Physics'],
+            scoreColumns: ['SS2_Score'],
+            ignoredHeaders: ['S/N', 'Total', 'Position']
+        });
+    });
+
+    test('carries a merged term row across its subjects', () => {
+        const grid = [
+            ['Name', 'SS3 1st Term', '', 'SS3 2nd Term', ''],
+            ['', 'Mathematics', 'Chemistry', 'Mathematics', 'Chemistry'],
+            ['Ada Obi', 70, 62, 74, 60]
+        ];
+        const layout = detectBroadsheet(grid);
+
+        expect(layout.columns.map(({ subject, scoreColumn }) => `${subject} ${scoreColumn}`)).toEqual([
+            'Mathematics SS3_1st', 'Chemistry SS3_1st', 'Mathematics SS3_2nd', 'Chemistry SS3_2nd'
+        ]);
+        expect(layout.dataStart).toBe(2);
+    });
+
+    test('a one-term sheet gives its term to every subject', () => {
+        const layout = detectBroadsheet([['Name', 'Mathematics', 'Biology'], ['Ada Obi', 70, 60]], { termColumn: 'SS1_3rd' });
+        expect(layout.scoreColumns).toEqual(['SS1_3rd']);
+    });
+});
+
+describe('broadsheetRecords', () => {
+    const grid = [
+        ['Name', 'Mathematics', 'Biology'],
+        ['Ada Obi', 70, ''],
+        [],
+        ['Tunde Bello', 55, 61],
+        ['', 40, 45]
+    ];
+
+    test('gives one record per student and subject taken, with spreadsheet row numbers', () => {
+        const records = broadsheetRecords(grid, detectBroadsheet(grid), 4);
+
+        expect(records.map(({ name, subject, scores, rowNumber }) => [name, subject, scores, rowNumber])).toEqual([
+            ['Ada Obi', 'Mathematics', { SS3_Score: 70 }, 5],
+            ['Tunde Bello', 'Mathematics', { SS3_Score: 55 }, 7],
+            ['Tunde Bello', 'Biology', { SS3_Score: 61 }, 7],
+            [null, 'Mathematics', { SS3_Score: 40 }, 8]
+        ]);
+        expect(records[0].columns).toEqual({ name: 'Name', subject: 'Mathematics', scores: { SS3_Score: 'Mathematics' } });
+    });
+});
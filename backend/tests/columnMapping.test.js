@@ -0,0 +1,121 @@
+process.env.DATABASE_PATH = ':memory:';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const {
+    DEFAULT_MAPPING,
+    detectScoreColumn,
+    suggestMapping,
+    mappingMatchesHeaders,
+    validateMapping,
+    applyMapping
+} = require('../utils/columnMapping');
+const mappingProfileStore = require('../services/mappingProfileStore');
+const schoolStore = require('../services/schoolStore');
+
+describe('detectScoreColumn', () => {
+    test.each([
+        ['1st Term SS2', 'SS2_1st'],
+        ['SSS 3 Second Term', 'SS3_2nd'],
+        ['ss1 term 3', 'SS1_3rd'],
+        ['SS2 Total', 'SS2_Score'],
+        ['Attendance', null],
+        ['First Term', null]
+    ])('%s → %s', (header, column) => {
+        expect(detectScoreColumn(header)).toBe(column);
+    });
+});
+
+describe('suggestMapping', () => {
+    test('maps a school\'s own headers to the analyzer fields', () => {
+        const { mapping, unmatchedHeaders, missing } = suggestMapping(
+            ['Student Name', 'Reg No', 'Subjects', '1st Term SS1', '2nd Term SS1', 'Remarks']
+        );
+
+        expect(mapping).toEqual({
+            name: 'Student Name',
+            subject: 'Subjects',
+            terms: { SS1_1st: '1st Term SS1', SS1_2nd: '2nd Term SS1' }
+        });
+        expect(unmatchedHeaders).toEqual(['Reg No', 'Remarks']);
+        expect(missing).toEqual([]);
+    });
+
+    test('falls back to a student id column for the name', () => {
+        expect(suggestMapping(['Admission No', 'Subject', 'SS3 Score']).mapping.name).toBe('Admission No');
+    });
+
+    test('lists the fields it could not find', () => {
+        expect(suggestMapping(['Remarks', '', 'Class']).missing).toEqual(['name', 'subject', 'terms']);
+    });
+});
+
+describe('mappingMatchesHeaders', () => {
+    test('the default mapping reads the standard template', () => {
+        expect(mappingMatchesHeaders(DEFAULT_MAPPING, ['Full Name', 'Subject', 'SS1_1st'])).toBe(true);
+        expect(mappingMatchesHeaders(DEFAULT_MAPPING, ['Student Name', 'Subject', 'SS1_1st'])).toBe(false);
+    });
+});
+
+describe('validateMapping', () => {
+    test('accepts a mapping with a name, a subject and known terms', () => {
+        const mapping = { name: 'Name', subject: 'Subject', terms: { SS2_1st: 'T1' } };
+        expect(validateMapping(mapping)).toBe(mapping);
+    });
+
+    test.each([
+        [null, 'Mapping must be an object'],
+        [{ subject: 'Subject', terms: { SS1_1st: 'A' } }, 'Mapping needs a student name column'],
+        [{ name: 'Name', terms: { SS1_1st: 'A' } }, 'Mapping needs a subject column'],
+        [{ name: 'Name', subject: 'Subject', terms: {} }, 'Mapping needs at least one term score or component column'],
+        [{ name: 'Name', subject: 'Subject', terms: { SS4_1st: 'A' } }, 'Unknown term column(s): SS4_1st']
+    ])('refuses %j', (mapping, message) => {
+        expect(() => validateMapping(mapping)).toThrow(expect.objectContaining({ code: 'INVALID_MAPPING', message: expect.stringContaining(message) }));
+    });
+});
+
+describe('applyMapping', () => {
+    test('reads rows through the mapping, first candidate with a value winning', () => {
+        const rows = [{ 'Full Name': ' Ada Obi ', full_name: 'ignored', Subject: 'Mathematics', T1: 71, T2: '' }];
+        const mapping = { name: ['Full Name', 'full_name'], subject: 'Subject', terms: { SS1_1st: 'T1', SS1_2nd: 'T2' } };
+
+        expect(applyMapping(rows, mapping)).toEqual([{
+            name: 'Ada Obi',
+            subject: 'Mathematics',
+            scores: { SS1_1st: 71 },
+            rowNumber: 2,
+            columns: { name: 'Full Name', subject: 'Subject', scores: { SS1_1st: 'T1' } }
+        }]);
+    });
+});
+
+describe('mappingProfileStore', () => {
+    const mapping = { name: 'Name', subject: 'Subject', terms: { SS1_1st: 'T1' } };
+
+    test('profile names are unique within a school, whatever their case', () => {
+        const school = schoolStore.create('Kings College');
+        mappingProfileStore.create({ schoolId: school.id, name: 'Broadsheet', mapping });
+
+        expect(() => mappingProfileStore.create({ schoolId: school.id, name: 'BROADSHEET', mapping }))
+            .toThrow(expect.objectContaining({ code: 'PROFILE_EXISTS' }));
+    });
+
+    test('users without a school cannot save two profiles of the same name', () => {
+        mappingProfileStore.create({ name: 'Template', mapping });
+        expect(() => mappingProfileStore.create({ name: 'template', mapping }))
+            .toThrow(expect.objectContaining({ code: 'PROFILE_EXISTS' }));
+    });
+
+    test('profiles never cross schools', () => {
+        const school = schoolStore.create('Queens College');
+        const profile = mappingProfileStore.create({ schoolId: school.id, name: 'Broadsheet', mapping });
+
+        expect(mappingProfileStore.findForSchool(profile.id, school.id)).not.toBeNull();
+        expect(mappingProfileStore.findForSchool(profile.id, null)).toBeNull();
+        expect(mappingProfileStore.listForSchool(school.id).map(({ name }) => name)).toEqual(['Broadsheet']);
+    });
+
+    test('an unusable mapping is refused', () => {
+        expect(() => mappingProfileStore.create({ name: 'Broken', mapping: { name: 'Name' } }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_MAPPING' }));
+    });
+});
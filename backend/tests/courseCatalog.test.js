@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { validateCourse, validateCatalog, rankCourses, noCoursesReason } = require('../utils/courseCatalog');
+const courseCatalog = require('../services/courseCatalogStore');
+
+const CourseCatalogStore = courseCatalog.constructor;
+
+const course = (name, utmeSubjects, olevelRequired, cutoff) =>
+    validateCourse({ course: name, universities: 'UNILAG, OAU', utmeSubjects, olevelRequired, cutoff });
+
+const CATALOG = [
+    course('Electrical Engineering', 'Mathematics, Physics, Chemistry', 'English, Mathematics, Physics, Chemistry', 250),
+    course('Law', 'Literature, Government, History', 'English, Literature, Government', 270),
+    course('Economics', 'Mathematics, Economics, Government', 'English, Mathematics, Economics', 220),
+    course('Computer Science', 'Mathematics, Physics, Economics', 'English, Mathematics, Physics', 260),
+    course('Statistics', 'Mathematics, Economics, Physics', 'English, Mathematics, Economics', 200)
+];
+
+const scores = { English: 70, Maths: 80, Physics: 75, Chemistry: 45, Economics: 72 };
+
+describe('validateCourse', () => {
+    test('normalises an entry', () => {
+        expect(validateCourse({
+            course: ' Medicine & Surgery ',
+            faculty: 'Clinical Sciences',
+            universities: 'UI, UNILAG,',
+            utmeSubjects: 'Biology, Chemistry, Physics',
+            olevelRequired: 'English, Mathematics, Physics, Chemistry, Biology',
+            cutoff: '280'
+        })).toEqual({
+            id: 'medicine-surgery',
+            course: 'Medicine & Surgery',
+            faculty: 'Clinical Sciences',
+            universities: ['UI', 'UNILAG'],
+            utmeSubjects: 'Biology, Chemistry, Physics',
+            olevelRequired: 'English, Mathematics, Physics, Chemistry, Biology',
+            cutoff: 280
+        });
+    });
+
+    const valid = { course: 'Law', universities: ['UNILAG'], utmeSubjects: 'Literature, Government, History', olevelRequired: 'English, Literature', cutoff: 270 };
+
+    test.each([
+        [{ course: '' }, 'Course name is required'],
+        [{ universities: [] }, 'List at least one university for "Law"'],
+        [{ utmeSubjects: 'Literature, Government, Basketry' }, 'names a subject that is not recognised'],
+        [{ utmeSubjects: 'English, Literature, Government' }, 'must name 3 subjects besides English'],
+        [{ utmeSubjects: 'Literature, Government' }, 'must name 3 subjects besides English'],
+        [{ olevelRequired: 'Any Arts subject' }, 'names no recognised subject'],
+        [{ cutoff: 450 }, 'must be a whole UTME score between 100 and 400']
+    ])('refuses %j', (changes, message) => {
+        expect(() => validateCourse({ ...valid, ...changes }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_COURSE', message: expect.stringContaining(message) }));
+    });
+});
+
+describe('validateCatalog', () => {
+    const entry = { course: 'Law', universities: 'UNILAG', utmeSubjects: 'Literature, Government, History', olevelRequired: 'English', cutoff: 270 };
+
+    test('keeps the version and the checked courses', () => {
+        expect(validateCatalog({ version: 3, courses: [entry] })).toEqual({ version: 3, updatedAt: null, courses: [validateCourse(entry)] });
+    });
+
+    test.each([
+        [{ version: 1 }, 'needs a list of courses'],
+        [{ version: 0, courses: [] }, 'needs a version number'],
+        [{ version: 1, courses: [entry, { ...entry, cutoff: 50 }] }, 'entry 2: cutoff of "Law"'],
+        [{ version: 1, courses: [entry, { ...entry, course: 'LAW' }] }, 'course id "law" appears twice']
+    ])('refuses %j', (catalog, message) => {
+        expect(() => validateCatalog(catalog))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CATALOG', message: expect.stringContaining(message) }));
+    });
+});
+
+describe('rankCourses', () => {
+    test('drops courses needing a credit the student lacks, and puts complete courses first', () => {
+        const ranked = rankCourses(CATALOG, scores, 5);
+
+        expect(ranked.map(({ course, assumes }) => [course, assumes])).toEqual([
+            ['Statistics', undefined],
+            ['Computer Science', undefined],
+            ['Economics', ['Government']],
+            ['Law', ['Literature', 'Government', 'History']]
+        ]);
+        expect(ranked[0]).toMatchObject({
+            university: 'UNILAG, OAU',
+            jamb_cutoff: '200+',
+            catalogId: 'statistics',
+            reason: 'Averages 75.7% in Mathematics, Economics, Physics; projected UTME 238 against a cutoff of 200'
+        });
+    });
+
+    test('a course resting on assumed subjects says so, without a UTME projection', () => {
+        const [, , economics, law] = rankCourses(CATALOG, scores, 5);
+
+        expect(economics.reason).toBe('Averages 76% in Mathematics, Economics; assumes Government (no scores in this upload)');
+        expect(law.reason).toBe('No scores in its UTME subjects; assumes Literature, Government, History (no scores in this upload)');
+    });
+
+    test('assumes English when the student has no English score', () => {
+        const [first] = rankCourses(CATALOG, { Maths: 80, Physics: 75, Chemistry: 45, Economics: 72 });
+
+        expect(first.assumes).toEqual(['English']);
+        expect(first.reason).not.toContain('projected UTME');
+    });
+
+    test('suggests three courses by default', () => {
+        expect(rankCourses(CATALOG, scores)).toHaveLength(3);
+    });
+});
+
+describe('noCoursesReason', () => {
+    test('says why no course could be suggested', () => {
+        expect(noCoursesReason([], scores)).toBe('The course catalog has no courses');
+        expect(noCoursesReason([CATALOG[0]], scores))
+            .toBe('Every catalog course needs a credit (C6 or better) in a subject the student is below it in: Chemistry (D7)');
+    });
+});
+
+describe('CourseCatalogStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-catalog-test-'));
+        store = new CourseCatalogStore(path.join(dir, 'catalog.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('starts from the shipped catalog and saves each edit as a new version', () => {
+        const shipped = store.describe();
+        expect(shipped.courses).toBeGreaterThan(0);
+        expect(fs.existsSync(store.catalogPath)).toBe(false);
+
+        const created = store.create({ course: 'Actuarial Science', universities: 'UNILAG', utmeSubjects: 'Mathematics, Economics, Physics', olevelRequired: 'English, Mathematics', cutoff: 240 });
+        expect(store.findByName('actuarial science')).toEqual(created);
+
+        const saved = JSON.parse(fs.readFileSync(store.catalogPath, 'utf8'));
+        expect(saved.version).toBe(shipped.version + 1);
+        expect(saved.courses).toHaveLength(shipped.courses + 1);
+
+        // A fresh store reads the edited catalog, not the shipped one
+        expect(new CourseCatalogStore(store.catalogPath).findById('actuarial-science')).toEqual(created);
+    });
+
+    test('refuses a duplicate id and checks updates', () => {
+        const entry = { course: 'Actuarial Science', universities: 'UNILAG', utmeSubjects: 'Mathematics, Economics, Physics', olevelRequired: 'English, Mathematics', cutoff: 240 };
+        store.create(entry);
+
+        expect(() => store.create(entry)).toThrow(expect.objectContaining({ code: 'COURSE_EXISTS' }));
+        expect(store.update('actuarial-science', { cutoff: 250 }).cutoff).toBe(250);
+        expect(() => store.update('actuarial-science', { cutoff: 'high' })).toThrow(expect.objectContaining({ code: 'INVALID_COURSE' }));
+        expect(store.update('no-such-course', { cutoff: 250 })).toBeNull();
+
+        expect(store.delete('actuarial-science')).toBe(true);
+        expect(store.delete('actuarial-science')).toBe(false);
+    });
+});
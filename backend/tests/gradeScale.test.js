@@ -0,0 +1,79 @@
+const {
+    parseGrade,
+    gradeForScore,
+    toScore,
+    isCreditPass,
+    requiredSubjects,
+    creditEligibility
+} = require('../utils/gradeScale');
+
+describe('letter grades', () => {
+    test.each([
+        ['B3', 'B3'],
+        ['b 3', 'B3'],
+        ['C6*', 'C6'],
+        ['A9', null],
+        ['G1', null],
+        ['70', null]
+    ])('parseGrade(%s)', (value, grade) => {
+        expect(parseGrade(value)?.grade ?? null).toBe(grade);
+    });
+
+    test.each([
+        [100, 'A1'],
+        [75, 'A1'],
+        [74.5, 'B2'],
+        [50, 'C6'],
+        [49.9, 'D7'],
+        [0, 'F9']
+    ])('gradeForScore(%s)', (score, grade) => {
+        expect(gradeForScore(score).grade).toBe(grade);
+    });
+
+    test('a letter grade reads as the middle of its band', () => {
+        expect(toScore('B3')).toBe(67);
+        expect(toScore('F9')).toBe(20);
+        expect(toScore(' 64% ')).toBe(64);
+        expect(toScore('')).toBeNull();
+        expect(toScore('absent')).toBeNaN();
+    });
+
+    test('C6 is the lowest credit pass', () => {
+        expect(isCreditPass(50)).toBe(true);
+        expect(isCreditPass('49')).toBe(false);
+    });
+});
+
+describe('requiredSubjects', () => {
+    test('reads alternatives and leaves out "Any ..." entries', () => {
+        expect(requiredSubjects('English Language, Math, (Physics/Chemistry), Government/Commerce, Any Arts subject')).toEqual([
+            ['English'], ['Mathematics'], ['Physics', 'Chemistry'], ['Government', 'Commerce']
+        ]);
+    });
+});
+
+describe('creditEligibility', () => {
+    const requirement = 'English Language, Mathematics, Physics, Chemistry/Biology';
+
+    test('eligible with a credit in every required subject, the best alternative counting', () => {
+        expect(creditEligibility(requirement, { 'English Language': 'C5', Maths: 71, Physics: 50, Chemistry: 41, Biology: 'B3' })).toEqual({
+            eligible: true,
+            credits: ['English (C5)', 'Mathematics (B2)', 'Physics (C6)', 'Biology (B3)'],
+            belowCredit: [],
+            notTaken: []
+        });
+    });
+
+    test('not eligible when a required subject is below a credit', () => {
+        const result = creditEligibility(requirement, { English: 60, Mathematics: 'D7', Physics: 62 });
+        expect(result.eligible).toBe(false);
+        expect(result.belowCredit).toEqual(['Mathematics (D7)']);
+        expect(result.notTaken).toEqual(['Chemistry/Biology']);
+    });
+
+    test('undecided when a required subject has no score', () => {
+        const result = creditEligibility(requirement, { English: 60, Mathematics: 70, Physics: 62, Chemistry: '' });
+        expect(result.eligible).toBeNull();
+        expect(result.notTaken).toEqual(['Chemistry/Biology']);
+    });
+});
@@ -0,0 +1,85 @@
+const { parseCutoff, utmeSubjects, estimateUtme } = require('../utils/jambEstimate');
+
+const scores = { 'English Language': 70, Maths: 80, Physics: 75, Chemistry: 60, Biology: 65 };
+const engineering = { utme_subjects: 'Mathematics, Physics, Chemistry', waec_required: 'English, Mathematics, Physics, Chemistry', jamb_cutoff: '260+' };
+
+describe('parseCutoff', () => {
+    test.each([
+        ['260+', 260],
+        [240, 240],
+        ['About 250', 250],
+        ['varies', null],
+        [NaN, null],
+        [undefined, null]
+    ])('%s → %s', (cutoff, value) => {
+        expect(parseCutoff(cutoff)).toBe(value);
+    });
+});
+
+describe('utmeSubjects', () => {
+    test('English and the best of each required subject', () => {
+        expect(utmeSubjects('Mathematics, Physics/Biology, Chemistry', scores)).toEqual({
+            subjects: [
+                { subject: 'English', average: 70 },
+                { subject: 'Mathematics', average: 80 },
+                { subject: 'Physics', average: 75 },
+                { subject: 'Chemistry', average: 60 }
+            ],
+            assumed: []
+        });
+    });
+
+    test('fills in from the student\'s best other subjects, listed as assumed', () => {
+        const picked = utmeSubjects('Mathematics', { English: 70, Mathematics: 80, Economics: 68, Government: 72 });
+        expect(picked.subjects.map(({ subject }) => subject)).toEqual(['English', 'Mathematics', 'Government', 'Economics']);
+        expect(picked.assumed).toEqual(['Government', 'Economics']);
+    });
+
+    test('needs English and four subjects in all', () => {
+        expect(utmeSubjects('Mathematics', { Mathematics: 80, Physics: 70, Chemistry: 60, Biology: 65 })).toBeNull();
+        expect(utmeSubjects('Mathematics', { English: 70, Mathematics: 80, Physics: 70 })).toBeNull();
+    });
+});
+
+describe('estimateUtme', () => {
+    test('below the cutoff, names the weakest subjects to raise', () => {
+        expect(estimateUtme(engineering, scores)).toEqual({
+            subjects: ['English', 'Mathematics', 'Physics', 'Chemistry'],
+            assumed: [],
+            estimate: 228,
+            low: 203,
+            high: 253,
+            cutoff: 260,
+            gapToCutoff: 32,
+            status: 'below',
+            prioritySubjects: [
+                { subject: 'Chemistry', average: 60, target: 81.3 },
+                { subject: 'English', average: 70, target: 81.3 }
+            ]
+        });
+    });
+
+    test('borderline when the range straddles the cutoff', () => {
+        expect(estimateUtme({ ...engineering, jamb_cutoff: 240 }, scores)).toMatchObject({ status: 'borderline', gapToCutoff: 12 });
+    });
+
+    test('above when the whole range clears it, with nothing to prioritise', () => {
+        const strong = { English: 90, Mathematics: 90, Physics: 90, Chemistry: 90 };
+        expect(estimateUtme({ ...engineering, jamb_cutoff: '250+' }, strong)).toMatchObject({
+            estimate: 288,
+            gapToCutoff: 0,
+            status: 'above',
+            prioritySubjects: []
+        });
+    });
+
+    test('reads the O\'level requirement when there are no UTME subjects, and leaves the status open without a cutoff', () => {
+        const estimate = estimateUtme({ waec_required: 'English, Mathematics, Physics, Biology', jamb_cutoff: 'varies' }, scores);
+        expect(estimate).toMatchObject({ subjects: ['English', 'Mathematics', 'Physics', 'Biology'], cutoff: null, status: null });
+    });
+
+    test('nothing to estimate without an English score', () => {
+        const { 'English Language': english, ...withoutEnglish } = scores;
+        expect(estimateUtme(engineering, withoutEnglish)).toBeNull();
+    });
+});
@@ -0,0 +1,133 @@
+const llm = require('../services/llm');
+const { MockProvider } = require('../utils/llmProviders');
+const { SCHEMAS, checkSchema, parseJsonReply, formatIssues } = require('../utils/aiSchemas');
+
+const LLM = llm.constructor;
+
+const student = (name, extra = {}) => ({
+    student_id: name,
+    insight: `${name} is doing well.`,
+    recommendations: [{ course: 'Economics', reason: 'Strong in Economics' }],
+    ...extra
+});
+
+// A mock provider answering with each reply in turn, and the prompts it was sent
+function scripted(...replies) {
+    const prompts = [];
+    const provider = new MockProvider({
+        reply: prompt => {
+            prompts.push(prompt);
+            return replies[Math.min(prompts.length - 1, replies.length - 1)];
+        }
+    });
+    return { prompts, ai: new LLM(provider) };
+}
+
+describe('parseJsonReply', () => {
+    test('reads JSON inside code fences or surrounded by text', () => {
+        expect(parseJsonReply('```json\n[1, 2]\n```')).toEqual([1, 2]);
+        expect(parseJsonReply('Here you go: {"a": 1} Hope that helps!')).toEqual({ a: 1 });
+        expect(() => parseJsonReply('no JSON here')).toThrow(SyntaxError);
+    });
+});
+
+describe('checkSchema', () => {
+    test('keeps what matches, drops the rest and says where', () => {
+        const reply = [
+            student('Ada Obi', { strengths: ['Maths', ''] }),
+            { student_id: 'Tunde Bello', recommendations: [] },
+            student('Chioma Eze', { insight: 4.2 })
+        ];
+        const { value, issues } = checkSchema(SCHEMAS.studentRecommendations, reply);
+
+        expect(value.map(({ student_id }) => student_id)).toEqual(['Ada Obi', 'Chioma Eze']);
+        expect(value[0].strengths).toEqual(['Maths']);
+        expect(value[1]).not.toHaveProperty('insight');
+        expect(issues).toEqual([
+            { path: '$[0].strengths[1]', message: 'is empty' },
+            { path: '$[1].recommendations', message: 'expected at least 1 valid item(s), got 0' },
+            { path: '$[2].insight', message: 'expected string, got number' }
+        ]);
+    });
+
+    test('reports missing required fields and out-of-range numbers', () => {
+        const { value, issues } = checkSchema(SCHEMAS.classAnalysis, {
+            overallAssessment: { summary: 'Fair', averageScore: 140, classGrade: 'Z' }
+        });
+
+        expect(value.overallAssessment).toEqual({ summary: 'Fair' });
+        expect(issues.map(({ path }) => path)).toEqual(['$.overallAssessment.classGrade', '$.overallAssessment.averageScore']);
+        expect(checkSchema(SCHEMAS.classAnalysis, {}).issues).toEqual([{ path: '$.overallAssessment', message: 'is missing' }]);
+    });
+
+    test('keeps the first maxItems items', () => {
+        const { value, issues } = checkSchema(SCHEMAS.studentRecommendations, [student('Ada', { strengths: ['a', 'b', 'c', 'd', 'e', 'f'] })]);
+        expect(value[0].strengths).toHaveLength(5);
+        expect(issues[0].message).toBe('expected at most 5 items; kept the first 5');
+    });
+});
+
+describe('formatIssues', () => {
+    test('lists issues up to a limit', () => {
+        const issues = [1, 2, 3].map(index => ({ path: `$[${index}]`, message: 'is missing' }));
+        expect(formatIssues(issues, 2)).toBe('- $[1]: is missing\n- $[2]: is missing\n- … and 1 more');
+    });
+});
+
+describe('LLM.generateJson', () => {
+    test('takes a matching reply as it is', async () => {
+        const { prompts, ai } = scripted(JSON.stringify([student('Ada Obi')]));
+        const result = await ai.generateJson('Analyse', SCHEMAS.studentRecommendations);
+
+        expect(result).toMatchObject({ issues: [], repaired: false });
+        expect(result.value[0].student_id).toBe('Ada Obi');
+        expect(prompts).toHaveLength(1);
+    });
+
+    test('sends an invalid reply back once with its problems listed', async () => {
+        const { prompts, ai } = scripted('[{"student_id": "Ada Obi"', JSON.stringify([student('Ada Obi')]));
+        const result = await ai.generateJson('Analyse', SCHEMAS.studentRecommendations);
+
+        expect(result).toMatchObject({ issues: [], repaired: true });
+        expect(prompts).toHaveLength(2);
+        expect(prompts[1]).toContain('Your previous reply was:\n[{"student_id": "Ada Obi"');
+        expect(prompts[1]).toContain('- $: is not valid JSON');
+        expect(prompts[1]).toContain(JSON.stringify(SCHEMAS.studentRecommendations));
+    });
+
+    test('keeps the first reply when the repair is worse', async () => {
+        const partly = JSON.stringify([student('Ada Obi'), { student_id: 'Tunde Bello' }]);
+        const { ai } = scripted(partly, 'Sorry, I cannot help with that.');
+        const result = await ai.generateJson('Analyse', SCHEMAS.studentRecommendations);
+
+        expect(result.repaired).toBe(true);
+        expect(result.value.map(({ student_id }) => student_id)).toEqual(['Ada Obi']);
+        expect(result.issues).toEqual([{ path: '$[1].recommendations', message: 'is missing' }]);
+        expect(result.reply).toHaveLength(2);
+    });
+
+    test('gives up when even the repaired reply is unusable', async () => {
+        const { ai } = scripted('not JSON', '{"still": "wrong"}');
+
+        await expect(ai.generateJson('Analyse', SCHEMAS.studentRecommendations)).rejects.toMatchObject({
+            code: 'AI_INVALID_OUTPUT',
+            issues: [{ path: '$', message: 'expected array, got object' }]
+        });
+    });
+
+    test('a reply cut off at the token limit is not repaired', async () => {
+        const provider = { name: 'test', model: 'test', generate: jest.fn(async () => ({ text: '[{"student_id"', finishReason: 'length' })) };
+
+        await expect(new LLM(provider).generateJson('Analyse', SCHEMAS.studentRecommendations))
+            .rejects.toMatchObject({ code: 'AI_TRUNCATED' });
+        expect(provider.generate).toHaveBeenCalledTimes(1);
+    });
+
+    test('with no provider, AI is unavailable', async () => {
+        const ai = new LLM(null);
+
+        expect(ai.available).toBe(false);
+        expect(ai.describe()).toEqual({ provider: 'none', model: null });
+        await expect(ai.generateJson('Analyse', SCHEMAS.studentRecommendations)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    });
+});
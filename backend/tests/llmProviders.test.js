@@ -0,0 +1,123 @@
+const {
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createLLMProvider
+} = require('../utils/llmProviders');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_API_KEY', 'GEMINI_API_KEY'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterAll(() => {
+    ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+});
+
+describe('createLLMProvider', () => {
+    test('AI is off unless a provider or a Gemini key is given', () => {
+        expect(createLLMProvider()).toBeNull();
+
+        process.env.GEMINI_API_KEY = 'test-key';
+        expect(createLLMProvider()).toBeInstanceOf(GeminiProvider);
+        expect(createLLMProvider().model).toBe('gemini-2.5-flash');
+    });
+
+    test('builds the provider LLM_PROVIDER names, with LLM_MODEL', () => {
+        process.env.LLM_PROVIDER = 'openai';
+        process.env.LLM_BASE_URL = 'http://localhost:11434/v1/';
+        process.env.LLM_MODEL = 'llama3.1';
+        const provider = createLLMProvider();
+
+        expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(provider).toMatchObject({ name: 'openai', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' });
+        expect(createLLMProvider('mock')).toBeInstanceOf(MockProvider);
+        expect(createLLMProvider('none')).toBeNull();
+    });
+
+    test.each([
+        ['gemini', 'LLM_PROVIDER=gemini needs GEMINI_API_KEY.'],
+        ['openai', 'LLM_PROVIDER=openai needs LLM_BASE_URL and LLM_MODEL.'],
+        ['claude', 'Unknown LLM_PROVIDER "claude"']
+    ])('refuses %s without what it needs', (type, message) => {
+        expect(() => createLLMProvider(type)).toThrow(message);
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('posts a chat completion and reads its reply', async () => {
+        const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+            ok: true,
+            json: async () => ({ model: 'llama3.1:8b', choices: [{ message: { content: '[]' }, finish_reason: 'length' }] })
+        });
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'llama3.1', apiKey: 'secret' });
+
+        expect(await provider.generate('Hello', { temperature: 0.2, maxOutputTokens: 100 })).toEqual({
+            text: '[]',
+            finishReason: 'length',
+            model: 'llama3.1:8b'
+        });
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:8080/v1/chat/completions');
+        expect(init.headers.Authorization).toBe('Bearer secret');
+        expect(JSON.parse(init.body)).toMatchObject({ model: 'llama3.1', messages: [{ role: 'user', content: 'Hello' }], max_tokens: 100 });
+    });
+
+    test('reports a failed request with its status', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 404, text: async () => 'model not found' });
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'missing', apiKey: '' });
+
+        await expect(provider.generate('Hello')).rejects.toThrow('LLM request failed: HTTP 404 model not found');
+    });
+});
+
+describe('MockProvider', () => {
+    const prompt = [
+        'Return a JSON array with "student_id" for each student.',
+        '',
+        'Student 1 (Ada Obi, SS3A):',
+        '  Mathematics: 82/100 (improving)',
+        '  Physics: 75/100',
+        '  Biology: 51/100',
+        '',
+        'Student 2 (Tunde Bello):',
+        '  Government: 58/100',
+        ''
+    ].join('\n');
+
+    test('answers a student prompt with one entry per student listed', async () => {
+        const { text, finishReason } = await new MockProvider().generate(prompt);
+        const students = JSON.parse(text);
+
+        expect(finishReason).toBe('stop');
+        expect(students.map(({ student_id, strengths }) => [student_id, strengths])).toEqual([
+            ['Ada Obi', ['Mathematics', 'Physics']],
+            ['Tunde Bello', []]
+        ]);
+        expect(students[0].recommendations.map(({ course }) => course)).toEqual(['Computer Science', 'Electrical Engineering', 'Medicine and Surgery']);
+        expect(students[1].recommendations[0]).toMatchObject({ course: 'Political Science', jamb_cutoff: '200+' });
+    });
+
+    test('gives the same reply to the same prompt', async () => {
+        const provider = new MockProvider();
+        const first = await provider.generate('Summarise the class');
+
+        expect(first.text).toMatch(/^This is a mock reply \(prompt [0-9a-f]{8}\)/);
+        expect((await provider.generate('Summarise the class')).text).toBe(first.text);
+    });
+
+    test('takes a custom reply', async () => {
+        const provider = new MockProvider({ reply: prompt => prompt.toUpperCase() });
+        expect((await provider.generate('ok')).text).toBe('OK');
+    });
+});
@@ -0,0 +1,78 @@
+process.env.DATABASE_PATH = ':memory:';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { db } = require('../db');
+const schoolStore = require('../services/schoolStore');
+const userStore = require('../services/userStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('schoolStore', () => {
+    beforeEach(() => {
+        db.exec('DELETE FROM school_invitations; DELETE FROM users; DELETE FROM schools;');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('school names are unique whatever their case', () => {
+        const school = schoolStore.create('  Kings College ');
+
+        expect(school.name).toBe('Kings College');
+        expect(schoolStore.findByName('kings college').id).toBe(school.id);
+        expect(() => schoolStore.create('KINGS COLLEGE')).toThrow(expect.objectContaining({ code: 'SCHOOL_EXISTS' }));
+    });
+
+    test('list counts each school\'s staff', () => {
+        const school = schoolStore.create('Kings College');
+        schoolStore.create('Queens College');
+        userStore.create({ email: 'ada@example.com', name: 'Ada', passwordHash: 'hash', school });
+
+        expect(schoolStore.list().map(({ name, staffCount }) => [name, staffCount]))
+            .toEqual([['Kings College', 1], ['Queens College', 0]]);
+    });
+
+    describe('invitations', () => {
+        let school;
+
+        beforeEach(() => {
+            school = schoolStore.create('Kings College');
+        });
+
+        const invite = (email = 'bola@example.com') =>
+            schoolStore.createInvitation({ schoolId: school.id, email, role: 'teacher', subjects: ['Physics'] });
+
+        test('the emailed token finds the pending invitation', () => {
+            const { invitation, token } = invite();
+
+            expect(invitation).toMatchObject({ schoolId: school.id, email: 'bola@example.com', role: 'teacher', subjects: ['Physics'] });
+            expect(schoolStore.findPendingInvitation(token).id).toBe(invitation.id);
+            expect(schoolStore.findPendingInvitation('wrong')).toBeNull();
+        });
+
+        test('a newer invitation for the same email replaces the pending one', () => {
+            const first = invite();
+            const second = invite();
+
+            expect(schoolStore.findPendingInvitation(first.token)).toBeNull();
+            expect(schoolStore.listPendingInvitations(school.id).map(({ id }) => id)).toEqual([second.invitation.id]);
+        });
+
+        test('accepted, revoked and expired invitations are no longer pending', () => {
+            const accepted = invite('a@example.com');
+            schoolStore.markInvitationAccepted(accepted.invitation.id);
+            expect(schoolStore.findPendingInvitation(accepted.token)).toBeNull();
+
+            const revoked = invite('r@example.com');
+            expect(schoolStore.revokeInvitation(school.id + 1, revoked.invitation.id)).toBe(false);
+            expect(schoolStore.revokeInvitation(school.id, revoked.invitation.id)).toBe(true);
+            expect(schoolStore.findPendingInvitation(revoked.token)).toBeNull();
+
+            jest.useFakeTimers();
+            const expired = invite('e@example.com');
+            jest.advanceTimersByTime(7 * DAY);
+            expect(schoolStore.findPendingInvitation(expired.token)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,46 @@
+process.env.ANALYSIS_STORE = 'memory';
+
+const analysisCache = require('../utils/analysisCache');
+const { MemorySessionStore } = require('../utils/sessionStores');
+
+const AnalysisCache = analysisCache.constructor;
+
+afterAll(() => analysisCache.stopSweeper());
+
+describe('analysis session ownership', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new AnalysisCache({ store: new MemorySessionStore(), sweepIntervalMs: 0 });
+        cache.set('mine', { totalStudents: 12 }, { ownerId: 1, schoolId: 10 });
+        cache.set('orphan', { totalStudents: 3 });
+    });
+
+    test('the owner gets their session', () => {
+        expect(cache.getOwned('mine', 1, 10).data).toEqual({ totalStudents: 12 });
+        expect(cache.isOwnedBy('mine', 1, 10)).toBe(true);
+    });
+
+    test('another user gets nothing, as if the session did not exist', () => {
+        expect(cache.getOwned('mine', 2, 10)).toBeUndefined();
+        expect(cache.isOwnedBy('mine', 2, 10)).toBe(false);
+    });
+
+    test('the owner is refused from another school', () => {
+        expect(cache.getOwned('mine', 1, 11)).toBeUndefined();
+        expect(cache.getOwned('mine', 1)).toBeUndefined();
+    });
+
+    test('sessions without an owner belong to nobody', () => {
+        expect(cache.getOwned('orphan', null)).toBeUndefined();
+        expect(cache.getOwned('orphan', undefined)).toBeUndefined();
+        expect(cache.isOwnedBy('orphan', null)).toBe(false);
+    });
+
+    test('listing can be narrowed to one owner and school', () => {
+        cache.set('theirs', {}, { ownerId: 2, schoolId: 10 });
+
+        expect(cache.getAllSessions({ ownerId: 1, schoolId: 10 }).map(session => session.sessionId)).toEqual(['mine']);
+        expect(cache.getAllSessions({ schoolId: 10 }).map(session => session.sessionId).sort()).toEqual(['mine', 'theirs']);
+    });
+});
@@ -0,0 +1,40 @@
+const { subjectStatistics } = require('../utils/subjectStatistics');
+
+describe('subjectStatistics', () => {
+    test('summarises each subject over the students who take it, by subject name', () => {
+        const stats = subjectStatistics({
+            'Ada Obi': { subjects: { Physics: 80, Mathematics: '76.5' } },
+            'Tunde Bello': { subjects: { Physics: 50, Mathematics: 38 } },
+            'Chioma Eze': { subjects: { Physics: 65, Mathematics: 'absent' } },
+            'Musa Bala': { subjects: { Physics: 35 } }
+        });
+
+        expect(stats.map(({ subject, students }) => [subject, students])).toEqual([['Mathematics', 2], ['Physics', 4]]);
+        expect(stats[1]).toEqual({
+            subject: 'Physics',
+            students: 4,
+            mean: 57.5,
+            median: 57.5,
+            standardDeviation: 16.8,
+            min: 35,
+            max: 80,
+            quartiles: { q1: 46.3, q2: 57.5, q3: 68.8 },
+            creditPasses: 3,
+            creditPassRate: 75,
+            distinctions: 1,
+            distinctionRate: 25,
+            failures: 1,
+            failureRate: 25
+        });
+    });
+
+    test('a credit starts at 50, a distinction at 75, and a fail is below 40', () => {
+        const [stats] = subjectStatistics({ a: { subjects: { English: 50 } }, b: { subjects: { English: 75 } }, c: { subjects: { English: 40 } } });
+        expect(stats).toMatchObject({ creditPasses: 2, distinctions: 1, failures: 0, creditPassRate: 66.7 });
+    });
+
+    test('no scores, no rows', () => {
+        expect(subjectStatistics({})).toEqual([]);
+        expect(subjectStatistics({ 'Ada Obi': { subjects: { Physics: '' } } })).toEqual([]);
+    });
+});
@@ -0,0 +1,78 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret-that-is-long-enough-for-the-check';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const userStore = require('../services/userStore');
+const tokenService = require('../services/tokenService');
+
+describe('tokenService', () => {
+    let user;
+
+    beforeAll(() => {
+        const { id } = userStore.create({ email: 'ada@example.com', name: 'Ada Obi', passwordHash: 'hash', role: 'counselor' });
+        user = userStore.findById(id);
+    });
+
+    test('an access token carries the user and session', () => {
+        const { accessToken, sessionId, expiresIn } = tokenService.createSession(user);
+        const claims = tokenService.verifyAccessToken(accessToken);
+
+        expect(claims).toMatchObject({ id: user.id, email: 'ada@example.com', role: 'counselor', sid: sessionId });
+        expect(expiresIn).toBe(15 * 60);
+    });
+
+    test('refreshing rotates the refresh token', () => {
+        const first = tokenService.createSession(user);
+        const second = tokenService.refresh(first.refreshToken);
+
+        expect(second.sessionId).toBe(first.sessionId);
+        expect(second.refreshToken).not.toBe(first.refreshToken);
+        expect(tokenService.verifyAccessToken(second.accessToken).sid).toBe(first.sessionId);
+    });
+
+    test('reusing a rotated refresh token revokes the whole session', () => {
+        const first = tokenService.createSession(user);
+        const second = tokenService.refresh(first.refreshToken);
+
+        expect(() => tokenService.refresh(first.refreshToken)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(() => tokenService.refresh(second.refreshToken)).toThrow('Refresh token expired or revoked');
+        expect(() => tokenService.verifyAccessToken(second.accessToken)).toThrow('Session has been signed out');
+    });
+
+    test('malformed refresh tokens are refused', () => {
+        ['', 'no-dot', 'unknown.secret'].forEach(token => {
+            expect(() => tokenService.refresh(token)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        });
+    });
+
+    test('revoking one session leaves the others signed in', () => {
+        const phone = tokenService.createSession(user, { userAgent: 'phone' });
+        const laptop = tokenService.createSession(user, { userAgent: 'laptop' });
+
+        expect(tokenService.revokeSession(phone.sessionId, user.id + 1)).toBe(false);
+        expect(tokenService.revokeSession(phone.sessionId, user.id)).toBe(true);
+
+        expect(() => tokenService.verifyAccessToken(phone.accessToken)).toThrow('Session has been signed out');
+        expect(tokenService.verifyAccessToken(laptop.accessToken).sid).toBe(laptop.sessionId);
+        expect(tokenService.listSessions(user.id).map(session => session.id)).not.toContain(phone.sessionId);
+    });
+
+    test('revokeAllSessions signs the user out everywhere', () => {
+        tokenService.createSession(user);
+        expect(tokenService.revokeAllSessions(user.id)).toBeGreaterThan(0);
+        expect(tokenService.listSessions(user.id)).toEqual([]);
+    });
+
+    test('placeholder and short secrets are refused', () => {
+        const secret = process.env.JWT_SECRET;
+        try {
+            process.env.JWT_SECRET = 'your_jwt_secret_here_change_in_production';
+            expect(() => tokenService.assertSecret()).toThrow(/placeholder/);
+            process.env.JWT_SECRET = 'short';
+            expect(() => tokenService.assertSecret()).toThrow(/at least 32 characters/);
+        } finally {
+            process.env.JWT_SECRET = secret;
+        }
+    });
+});
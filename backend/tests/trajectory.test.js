@@ -0,0 +1,62 @@
+const { TERM_POSITION, termLabel, subjectTrajectory, studentTrajectory } = require('../utils/trajectory');
+
+describe('termLabel', () => {
+    test('names term columns and legacy class columns', () => {
+        expect(termLabel('SS2_2nd')).toBe('SS2 2nd term');
+        expect(termLabel('SS1_Score')).toBe('SS1');
+    });
+});
+
+describe('subjectTrajectory', () => {
+    test('a steady rise has its slope per term and no volatility', () => {
+        expect(subjectTrajectory({ SS1_3rd: 60, SS1_1st: 50, SS1_2nd: 55 })).toEqual({
+            terms: { SS1_1st: 50, SS1_2nd: 55, SS1_3rd: 60 },
+            slope: 5,
+            volatility: 0,
+            best: { term: 'SS1_3rd', score: 60 },
+            worst: { term: 'SS1_1st', score: 50 },
+            change: 10,
+            trend: { direction: 'improving', since: 'SS1_1st', from: 50, to: 60 }
+        });
+    });
+
+    test('places terms on one axis, gaps and legacy class scores included', () => {
+        expect(TERM_POSITION).toMatchObject({ SS1_1st: 0, SS1_Score: 1, SS2_Score: 4, SS3_3rd: 8 });
+        // 40 at SS1 2nd term and 70 at SS3 2nd term: 30 points over 6 terms
+        expect(subjectTrajectory({ SS1_Score: 40, SS3_Score: 70 }).slope).toBe(5);
+    });
+
+    test('the trend is the run at the end that keeps falling', () => {
+        const trajectory = subjectTrajectory({ SS1_1st: 70, SS2_1st: 78, SS2_2nd: 70, SS2_3rd: 60, SS3_1st: 52 });
+        expect(trajectory.trend).toEqual({ direction: 'declining', since: 'SS2_1st', from: 78, to: 52 });
+    });
+
+    test.each([
+        ['too short a run', { SS1_1st: 80, SS1_2nd: 60, SS1_3rd: 70 }],
+        ['too small a change', { SS1_1st: 70, SS1_2nd: 66, SS1_3rd: 62 }],
+        ['a single term', { SS2_1st: 70 }]
+    ])('no trend for %s', (_, scores) => {
+        expect(subjectTrajectory(scores).trend).toBeNull();
+    });
+
+    test('leaves out unknown columns and missing scores', () => {
+        expect(subjectTrajectory({ SS4_1st: 50, SS1_1st: NaN })).toBeNull();
+    });
+});
+
+describe('studentTrajectory', () => {
+    test('flags declines, rises and erratic records, and follows the overall average', () => {
+        const { overall, subjects, flags } = studentTrajectory({
+            Chemistry: { SS2_1st: 78, SS2_2nd: 70, SS2_3rd: 60, SS3_1st: 52 },
+            Physics: { SS2_1st: 40, SS2_2nd: 80, SS2_3rd: 40, SS3_1st: 80 },
+            Biology: {}
+        });
+
+        expect(Object.keys(subjects)).toEqual(['Chemistry', 'Physics']);
+        expect(overall.terms).toEqual({ SS2_1st: 59, SS2_2nd: 75, SS2_3rd: 50, SS3_1st: 66 });
+        expect(flags).toEqual([
+            { type: 'declining', subject: 'Chemistry', since: 'SS2_1st', message: 'Declining in Chemistry since SS2 1st term (78 → 52)' },
+            { type: 'volatile', subject: 'Physics', message: 'Inconsistent in Physics: scores swing ±17.9 points around the trend' }
+        ]);
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { isCsvFile, readUpload, previewUpload } = require('../utils/uploadReader');
+const uploadParser = require('../utils/uploadParser');
+
+let dir;
+let fileCount = 0;
+
+// Uploads are stored without an extension, as multer saves them
+function writeUpload(contents) {
+    const filePath = path.join(dir, `upload-${++fileCount}`);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+}
+
+function writeWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+    return writeUpload(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+const LONG_CSV = '﻿Student Name,Subject,1st Term SS2,2nd Term SS2\n' +
+    'Ada Obi,Mathematics,70,74\n' +
+    '\n' +
+    'Ada Obi,Physics,58,\n' +
+    'Tunde Bello,Mathematics,B3,61\n';
+
+const BROADSHEET_CSV = 'SS2A BROADSHEET,,,\n' +
+    'Name,Mathematics,English,Total\n' +
+    'Ada Obi,70,65,135\n' +
+    'Tunde Bello,55,,55\n';
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-reader-test-'));
+});
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('isCsvFile', () => {
+    test('tells a CSV from a workbook by its first bytes', () => {
+        expect(isCsvFile(writeUpload(LONG_CSV))).toBe(true);
+        expect(isCsvFile(writeWorkbook({ Sheet1: [['Name']] }))).toBe(false);
+        expect(isCsvFile(writeUpload('<table><tr><td>Name</td></tr></table>'))).toBe(false);
+    });
+});
+
+describe('readUpload', () => {
+    test('streams a long-format CSV through a suggested mapping', async () => {
+        const progress = [];
+        const result = await readUpload(writeUpload(LONG_CSV), { onProgress: report => progress.push(report.stage) });
+
+        expect(result.headers).toEqual(['Student Name', 'Subject', '1st Term SS2', '2nd Term SS2']);
+        expect(result.mapping.terms).toEqual({ SS2_1st: '1st Term SS2', SS2_2nd: '2nd Term SS2' });
+        expect(result.records.map(({ name, subject, scores, rowNumber }) => [name, subject, scores, rowNumber])).toEqual([
+            ['Ada Obi', 'Mathematics', { SS2_1st: 70, SS2_2nd: 74 }, 2],
+            ['Ada Obi', 'Physics', { SS2_1st: 58 }, 4],
+            ['Tunde Bello', 'Mathematics', { SS2_1st: 'B3', SS2_2nd: 61 }, 5]
+        ]);
+        expect(result.sheets).toEqual([expect.objectContaining({ name: 'Sheet1', format: 'long', rows: 3 })]);
+        expect(progress[0]).toBe('reading');
+    });
+
+    test('reads a broadsheet CSV into one record per student and subject', async () => {
+        const result = await readUpload(writeUpload(BROADSHEET_CSV));
+
+        expect(result.mapping).toBeNull();
+        expect(result.records.map(({ name, subject, scores }) => [name, subject, scores])).toEqual([
+            ['Ada Obi', 'Mathematics', { SS2_Score: 70 }],
+            ['Ada Obi', 'English', { SS2_Score: 65 }],
+            ['Tunde Bello', 'Mathematics', { SS2_Score: 55 }]
+        ]);
+        expect(result.sheets[0]).toMatchObject({ format: 'broadsheet', rows: 2, ignoredHeaders: ['Total'] });
+    });
+
+    test('reads each sheet of a workbook, skipping sheets that do not match', async () => {
+        const filePath = writeWorkbook({
+            SS2A: [['Full Name', 'Subject', 'SS2_1st'], ['Ada Obi', 'Mathematics', 70]],
+            Notes: [['Prepared by', 'Form teacher']],
+            SS2B: [['Full Name', 'Subject', 'SS2_1st'], ['Tunde Bello', 'Physics', 55]]
+        });
+        const result = await readUpload(filePath);
+
+        expect(result.records.map(({ name, sheet, classArm }) => [name, sheet, classArm])).toEqual([
+            ['Ada Obi', 'SS2A', 'SS2A'],
+            ['Tunde Bello', 'SS2B', 'SS2B']
+        ]);
+        expect(result.sheets[1]).toMatchObject({ name: 'Notes', skipped: 'Columns do not match the column mapping' });
+    });
+
+    test('returns long-format rows as read when asked for raw rows', async () => {
+        const csvResult = await readUpload(writeUpload(LONG_CSV), { raw: true });
+        expect(csvResult.mapping).toBeNull();
+        expect(csvResult.records[0]).toEqual({
+            'Student Name': 'Ada Obi', Subject: 'Mathematics', '1st Term SS2': 70, '2nd Term SS2': 74, sheet: 'Sheet1', classArm: null
+        });
+
+        const filePath = writeWorkbook({
+            SS2A: [['Name', 'Subject', 'Score', 'Attendance'], ['Ada Obi', 'Mathematics', 70, '92%']],
+            Notes: [['Prepared by', 'Checked by'], ['Form teacher', 'Principal']]
+        });
+        const workbookResult = await readUpload(filePath, { raw: true });
+        expect(workbookResult.records).toEqual([
+            { Name: 'Ada Obi', Subject: 'Mathematics', Score: 70, Attendance: '92%', sheet: 'SS2A', classArm: 'SS2A' },
+            { 'Prepared by': 'Form teacher', 'Checked by': 'Principal', sheet: 'Notes', classArm: null }
+        ]);
+        expect(workbookResult.sheets.map(sheet => sheet.skipped)).toEqual([undefined, undefined]);
+    });
+
+    test('still converts broadsheets when asked for raw rows', async () => {
+        const result = await readUpload(writeUpload(BROADSHEET_CSV), { raw: true });
+
+        expect(result.sheets[0].format).toBe('broadsheet');
+        expect(result.records[0]).toMatchObject({ name: 'Ada Obi', subject: 'Mathematics' });
+    });
+
+    test('refuses a file with more data rows than allowed', async () => {
+        await expect(readUpload(writeUpload(LONG_CSV), { maxRows: 2 }))
+            .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', message: expect.stringContaining('more than 2 rows') });
+    });
+});
+
+describe('previewUpload', () => {
+    test('gives the header row of a long-format file', async () => {
+        expect(await previewUpload(writeUpload(LONG_CSV))).toEqual({
+            headers: ['Student Name', 'Subject', '1st Term SS2', '2nd Term SS2'],
+            broadsheet: null
+        });
+    });
+
+    test('describes a broadsheet from its top rows', async () => {
+        const rows = Array.from({ length: 50 }, (_, index) => `Student ${index},${index + 40},${index + 30},0`).join('\n');
+        const { broadsheet } = await previewUpload(writeUpload(`${BROADSHEET_CSV}${rows}\n`));
+
+        expect(broadsheet).toEqual({
+            nameHeader: 'Name',
+            subjects: ['Mathematics', 'English'],
+            scoreColumns: ['SS2_Score'],
+            ignoredHeaders: ['Total']
+        });
+    });
+
+    test('reads an empty file as no headers', async () => {
+        expect(await previewUpload(writeUpload(''))).toEqual({ headers: [], broadsheet: null });
+    });
+});
+
+describe('uploadParser', () => {
+    test('reads an upload in a worker thread, passing progress back', async () => {
+        const progress = [];
+        const result = await uploadParser.parseUpload(writeUpload(LONG_CSV), { onProgress: report => progress.push(report) });
+
+        expect(result.records).toHaveLength(3);
+        expect(progress.length).toBeGreaterThan(0);
+    });
+
+    test('passes the reader\'s errors back with their code', async () => {
+        await expect(uploadParser.parseUpload(writeUpload(LONG_CSV), { maxRows: 1 }))
+            .rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+    });
+});
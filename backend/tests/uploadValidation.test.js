@@ -0,0 +1,71 @@
+const { validateRecords } = require('../utils/uploadValidation');
+const { applyMapping } = require('../utils/columnMapping');
+
+const mapping = { name: 'Name', subject: 'Subject', terms: { SS1_1st: 'T1', SS1_2nd: 'T2' } };
+const check = (rows, options) => validateRecords(applyMapping(rows, mapping), options);
+const codes = result => result.issues.map(({ row, code }) => [row, code]);
+
+describe('validateRecords', () => {
+    test('a clean upload is valid and summarised', () => {
+        const result = check([
+            { Name: 'Ada Obi', Subject: 'Mathematics', T1: 70, T2: 74 },
+            { Name: 'Ada Obi', Subject: 'English Language', T1: 65, T2: 60 },
+            { Name: 'Tunde Bello', Subject: 'Mathematics', T1: 55, T2: 58 }
+        ]);
+
+        expect(result).toEqual({
+            valid: true,
+            summary: { rows: 3, students: 2, subjects: 2, errors: 0, warnings: 0 },
+            issues: [],
+            truncated: false
+        });
+    });
+
+    test('reports each problem with its row, column and spreadsheet row number', () => {
+        const result = check([
+            { Name: '', Subject: 'Mathematics', T1: 70 },
+            { Name: 'Ada Obi', Subject: '', T1: 70 },
+            { Name: 'Ada Obi', Subject: 'Mathematics', T1: 'seventy', T2: 104 },
+            { Name: 'Ada Obi', Subject: 'Biolgy', T1: -3 }
+        ]);
+
+        expect(result.valid).toBe(false);
+        expect(codes(result)).toEqual([
+            [2, 'MISSING_NAME'],
+            [3, 'MISSING_SUBJECT'],
+            [4, 'NON_NUMERIC_SCORE'],
+            [4, 'SCORE_OUT_OF_RANGE'],
+            [5, 'UNKNOWN_SUBJECT'],
+            [5, 'SCORE_OUT_OF_RANGE']
+        ]);
+        expect(result.issues[2]).toMatchObject({ column: 'T1', field: 'SS1_1st', severity: 'error', value: 'seventy' });
+        expect(result.issues[4].severity).toBe('warning');
+        expect(result.summary).toMatchObject({ errors: 5, warnings: 1 });
+    });
+
+    test('a subject repeated for a student under another name is a duplicate', () => {
+        const result = check([
+            { Name: 'Ada Obi', Subject: 'Mathematics', T1: 70 },
+            { Name: 'ada obi', Subject: 'Maths', T1: 72 }
+        ]);
+
+        expect(codes(result)).toEqual([[3, 'DUPLICATE_ROW']]);
+        expect(result.issues[0].message).toContain('(row 2)');
+    });
+
+    test('a row without scores is only a warning', () => {
+        const result = check([{ Name: 'Ada Obi', Subject: 'Physics', T1: '', T2: '' }]);
+
+        expect(result.valid).toBe(true);
+        expect(codes(result)).toEqual([[2, 'NO_SCORES']]);
+    });
+
+    test('keeps at most maxIssues issues but counts them all', () => {
+        const rows = Array.from({ length: 5 }, (_, index) => ({ Name: `Student ${index}`, Subject: 'Mathematics', T1: 'x' }));
+        const result = check(rows, { maxIssues: 2 });
+
+        expect(result.issues).toHaveLength(2);
+        expect(result.summary.errors).toBe(5);
+        expect(result.truncated).toBe(true);
+    });
+});
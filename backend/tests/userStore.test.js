@@ -0,0 +1,92 @@
+process.env.DATABASE_PATH = ':memory:';
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { db, openDatabase, migrate } = require('../db');
+const migrations = require('../db/migrations');
+const userStore = require('../services/userStore');
+
+describe('migrations', () => {
+    test('versions run 1, 2, 3, ... without gaps', () => {
+        expect(migrations.map(migration => migration.version)).toEqual(migrations.map((_, index) => index + 1));
+    });
+
+    test('a new database is brought to the latest version', () => {
+        const fresh = openDatabase(':memory:');
+        expect(fresh.pragma('user_version', { simple: true })).toBe(migrations.length);
+        fresh.close();
+    });
+
+    test('applied migrations are not run again', () => {
+        const fresh = openDatabase(':memory:');
+        expect(() => migrate(fresh)).not.toThrow();
+        expect(fresh.pragma('user_version', { simple: true })).toBe(migrations.length);
+        fresh.close();
+    });
+});
+
+describe('userStore', () => {
+    beforeEach(() => {
+        db.exec('DELETE FROM users');
+    });
+
+    const create = (overrides = {}) => userStore.create({
+        email: 'ada@example.com',
+        name: 'Ada Obi',
+        passwordHash: 'hash',
+        ...overrides
+    });
+
+    test('create returns the public user without the password hash', () => {
+        const user = create({ role: 'counselor', phone: '0801', subjects: ['Mathematics'] });
+
+        expect(user).toMatchObject({
+            email: 'ada@example.com',
+            name: 'Ada Obi',
+            role: 'counselor',
+            phone: '0801',
+            subjects: ['Mathematics'],
+            school: null,
+            schoolId: null,
+            emailVerified: false
+        });
+        expect(user).not.toHaveProperty('password_hash');
+        expect(userStore.findById(user.id).password_hash).toBe('hash');
+    });
+
+    test('new users are teachers unless a role is given', () => {
+        expect(create().role).toBe('teacher');
+    });
+
+    test('an email registered in any case is taken', () => {
+        create();
+        expect(() => create({ email: 'ADA@example.com' })).toThrow(expect.objectContaining({ code: 'USER_EXISTS' }));
+    });
+
+    test('findByEmail ignores case and surrounding spaces', () => {
+        const { id } = create();
+        expect(userStore.findByEmail('  Ada@Example.com ').id).toBe(id);
+        expect(userStore.findByEmail('nobody@example.com')).toBeNull();
+    });
+
+    test('updateProfile changes only the fields given', () => {
+        const { id } = create({ phone: '0801' });
+        const updated = userStore.updateProfile(id, { name: 'Ada N. Obi', subjects: ['Physics', 'Chemistry'] });
+
+        expect(updated).toMatchObject({ name: 'Ada N. Obi', phone: '0801', subjects: ['Physics', 'Chemistry'] });
+    });
+
+    test('markEmailVerified keeps the first verification time', () => {
+        const { id } = create();
+        expect(userStore.markEmailVerified(id).emailVerified).toBe(true);
+
+        const first = userStore.findById(id).email_verified_at;
+        userStore.markEmailVerified(id);
+        expect(userStore.findById(id).email_verified_at).toBe(first);
+    });
+
+    test('parseSubjects accepts a list or comma-separated text', () => {
+        expect(userStore.parseSubjects(' Mathematics, ,Physics ')).toEqual(['Mathematics', 'Physics']);
+        expect(userStore.parseSubjects(['English '])).toEqual(['English']);
+        expect(userStore.parseSubjects(undefined)).toEqual([]);
+    });
+});
@@ -0,0 +1,76 @@
+const { subjectForecast, studentForecast, classForecast } = require('../utils/waecForecast');
+
+describe('subjectForecast', () => {
+    test('reads a steady line off at SS3 3rd term, with the narrowest interval', () => {
+        expect(subjectForecast({ SS1_1st: 40, SS2_1st: 52, SS3_1st: 64 })).toEqual({
+            predictedScore: 72,
+            low: 69,
+            high: 75,
+            grade: 'B2',
+            gradeRange: { best: 'A1', worst: 'B3' },
+            chanceOfCredit: 100,
+            method: 'regression',
+            terms: 3,
+            slope: 4
+        });
+    });
+
+    test('widens the interval with the scatter around the line, within 0–100', () => {
+        // Line 52 + 2 per term; residual error √40 on 2 degrees of freedom, t = 1.886
+        const forecast = subjectForecast({ SS1_1st: 50, SS1_2nd: 60, SS1_3rd: 50, SS2_1st: 60 });
+        const halfWidth = 1.886 * Math.sqrt(40) * Math.sqrt(1 + 1 / 4 + 6.5 ** 2 / 5);
+
+        expect(forecast).toMatchObject({ predictedScore: 68, high: 100, slope: 2, method: 'regression' });
+        expect(forecast.low).toBeCloseTo(68 - halfWidth, 1);
+        expect(forecast.chanceOfCredit).toBeGreaterThan(50);
+        expect(forecast.chanceOfCredit).toBeLessThan(100);
+    });
+
+    test('with fewer than three terms, forecasts their mean ± 10', () => {
+        expect(subjectForecast({ SS3_1st: 48, SS3_2nd: 52 })).toEqual({
+            predictedScore: 50,
+            low: 40,
+            high: 60,
+            grade: 'C6',
+            gradeRange: { best: 'C4', worst: 'E8' },
+            chanceOfCredit: 50,
+            method: 'mean',
+            terms: 2,
+            slope: null
+        });
+    });
+
+    test('no scores, no forecast', () => {
+        expect(subjectForecast({})).toBeNull();
+        expect(subjectForecast({ Unknown: 50 })).toBeNull();
+    });
+});
+
+describe('studentForecast and classForecast', () => {
+    const falling = { SS1_1st: 60, SS2_1st: 52, SS3_1st: 44 };
+
+    test('lists required subjects predicted below a credit, whatever their name', () => {
+        const forecast = studentForecast({
+            Maths: falling,
+            'English Language': { SS3_1st: 70, SS3_2nd: 72 },
+            Physics: falling
+        });
+
+        expect(Object.keys(forecast.subjects)).toEqual(['Maths', 'English Language', 'Physics']);
+        expect(forecast.belowCredit).toEqual([expect.objectContaining({ subject: 'Maths', predictedScore: 38.7 })]);
+    });
+
+    test('puts the students at risk in order, lowest predicted score first', () => {
+        const report = classForecast({
+            'Ada Obi': studentForecast({ Mathematics: falling }),
+            'Tunde Bello': studentForecast({ English: { SS3_1st: 42, SS3_2nd: 40 } }),
+            'Chioma Eze': studentForecast({ Mathematics: { SS3_1st: 80 } })
+        });
+
+        expect(report).toMatchObject({ target: 'SS3_3rd', intervalPercent: 80, requiredSubjects: ['English', 'Mathematics'] });
+        expect(report.atRisk.map(({ studentName, subject, predictedScore }) => [studentName, subject, predictedScore])).toEqual([
+            ['Ada Obi', 'Mathematics', 38.7],
+            ['Tunde Bello', 'English', 41]
+        ]);
+    });
+});
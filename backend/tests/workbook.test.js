@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { describeSheet, singleScoreHeader, eachSheet } = require('../utils/workbook');
+
+describe('describeSheet', () => {
+    test.each([
+        ['SS3A', { kind: 'classArm', classArm: 'SS3A' }],
+        ['SS 3 Gold', { kind: 'classArm', classArm: 'SS3 Gold' }],
+        ['jss2b', { kind: 'classArm', classArm: 'JSS2B' }],
+        ['First Term', { kind: 'term', term: '1st Term', termColumn: null }],
+        ['SS2 2nd Term', { kind: 'term', term: 'SS2 2nd Term', termColumn: 'SS2_2nd' }],
+        ['Term 3', { kind: 'term', term: '3rd Term', termColumn: null }],
+        ['Sheet1', { kind: 'sheet', classArm: null, term: null, termColumn: null }]
+    ])('%s', (name, tag) => {
+        expect(describeSheet(name)).toMatchObject({ name, ...tag });
+    });
+});
+
+describe('singleScoreHeader', () => {
+    test('finds the lone score column of a one-term sheet', () => {
+        expect(singleScoreHeader(['Name', 'Subject', 'Total Score'])).toBe('Total Score');
+        expect(singleScoreHeader(['Name', 'Subject', 'SS1_1st'])).toBeNull();
+    });
+});
+
+describe('eachSheet', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-test-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('hands out visible sheets with data, tagged and in workbook order', () => {
+        const workbook = XLSX.utils.book_new();
+        const sheet = rows => XLSX.utils.aoa_to_sheet(rows);
+        XLSX.utils.book_append_sheet(workbook, sheet([['Full Name', 'Subject', 'SS3_1st'], ['Ada Obi', 'Mathematics', 70]]), 'SS3A');
+        XLSX.utils.book_append_sheet(workbook, sheet([]), 'Notes');
+        XLSX.utils.book_append_sheet(workbook, sheet([['Full Name', 'Subject', 'Score']]), 'Workings');
+        XLSX.utils.book_append_sheet(workbook, sheet([['Full Name', 'Subject', 'SS3_1st'], ['Tunde Bello', 'Physics', 55]]), 'SS3B');
+        workbook.Workbook = { Sheets: [{ name: 'SS3A' }, { name: 'Notes' }, { name: 'Workings', Hidden: 1 }, { name: 'SS3B' }] };
+        const filePath = path.join(dir, 'class.xlsx');
+        XLSX.writeFile(workbook, filePath);
+
+        const sheets = [...eachSheet(filePath)];
+
+        expect(sheets.map(({ name, kind, classArm, index, count }) => ({ name, kind, classArm, index, count }))).toEqual([
+            { name: 'SS3A', kind: 'classArm', classArm: 'SS3A', index: 0, count: 2 },
+            { name: 'SS3B', kind: 'classArm', classArm: 'SS3B', index: 1, count: 2 }
+        ]);
+        expect(sheets[0].headers).toEqual(['Full Name', 'Subject', 'SS3_1st']);
+        expect(sheets[0].firstRow).toBe(1);
+    });
+});
@@ -0,0 +1,62 @@
+// Role-based views of analysis data
+// - teacher:      only their assigned subjects, no course recommendations
+// - form_master:  whole class, with course recommendations
+// - counselor:    whole class, with course recommendations
+// - principal:    as above, plus school-wide rollups
+// - school_admin: as principal, plus inviting staff and assigning their roles
+// - admin:        everything, across every school
+//
+// Everyone except admin only ever sees data from their own school.
+
+const COURSE_RECOMMENDATION_ROLES = ['form_master', 'counselor', 'principal', 'school_admin', 'admin'];
+const ROLLUP_ROLES = ['principal', 'school_admin', 'admin'];
+
+/**
+ * Subjects a user is limited to, or null when they may see every subject
+ */
+function subjectScope(user) {
+    if (user?.role === 'teacher' && Array.isArray(user.subjects) && user.subjects.length > 0) {
+        return user.subjects;
+    }
+    return null;
+}
+
+function canSeeCourseRecommendations(user) {
+    return COURSE_RECOMMENDATION_ROLES.includes(user?.role);
+}
+
+/**
+ * Shape a cached analysis for the viewing user's role
+ * @param {Object} analysis - { totalStudents, totalSubjects, analysisResults, ... }
+ * @param {Object} user - req.user (token claims)
+ * @returns {Object} Copy of the analysis the user is allowed to see
+ */
+function viewAnalysisForUser(analysis, user) {
+    if (!analysis?.analysisResults || canSeeCourseRecommendations(user)) {
+        return analysis;
+    }
+
+    const results = analysis.analysisResults;
+    return {
+        ...analysis,
+        analysisResults: {
+            ...results,
+            individualInsights: (results.individualInsights || []).map(student => {
+                const { recommendations, courseRecommendations, ...rest } = student;
+                return rest;
+            }),
+            studentRecommendations: (results.studentRecommendations || []).map(student => {
+                const { recommendations, ...rest } = student;
+                return rest;
+            })
+        }
+    };
+}
+
+module.exports = {
+    COURSE_RECOMMENDATION_ROLES,
+    ROLLUP_ROLES,
+    subjectScope,
+    canSeeCourseRecommendations,
+    viewAnalysisForUser
+};
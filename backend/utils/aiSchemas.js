@@ -0,0 +1,223 @@
+// JSON schemas for what the AI is asked to return, and a checker for them.
+// Schemas use a subset of JSON Schema (type, required, properties, items, enum, minItems,
+// maxItems, minLength, minimum, maximum) so the same object can be shown to the model when
+// asking it to repair a reply. Checking never invents values: anything that does not match is
+// dropped and reported as an issue { path, message }, e.g. { path: '$[2].insight', message: 'expected a string' }.
+
+const text = { type: 'string', minLength: 1 };
+const textList = { type: 'array', items: text };
+
+const courseRecommendation = {
+    type: 'object',
+    required: ['course', 'reason'],
+    properties: {
+        course: text,
+        university: text,
+        reason: text,
+        jamb_cutoff: { type: ['string', 'number'] },
+        waec_required: text
+    }
+};
+
+// One entry per student (services/ai_analyzer.js analysis prompt)
+const studentRecommendation = {
+    type: 'object',
+    required: ['student_id', 'recommendations'],
+    properties: {
+        student_id: text,
+        strengths: { type: 'array', items: text, maxItems: 5 },
+        insight: text,
+        recommendations: { type: 'array', items: courseRecommendation, minItems: 1, maxItems: 5 }
+    }
+};
+
+const SCHEMAS = {
+    studentRecommendations: {
+        type: 'array',
+        items: studentRecommendation
+    },
+
+    // Whole-class analysis object
+    classAnalysis: {
+        type: 'object',
+        required: ['overallAssessment'],
+        properties: {
+            overallAssessment: {
+                type: 'object',
+                required: ['summary'],
+                properties: {
+                    classGrade: { type: 'string', enum: ['A', 'B', 'C', 'D', 'E', 'F'] },
+                    averageScore: { type: 'number', minimum: 0, maximum: 100 },
+                    totalStudents: { type: 'integer', minimum: 0 },
+                    summary: text
+                }
+            },
+            individualInsights: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['studentName'],
+                    properties: {
+                        studentName: text,
+                        strengths: textList,
+                        insight: text,
+                        recommendations: { type: 'array', items: courseRecommendation }
+                    }
+                }
+            },
+            patterns: {
+                type: 'object',
+                properties: { strengths: textList, weaknesses: textList, trends: textList }
+            },
+            recommendations: {
+                type: 'object',
+                properties: { immediate: textList, shortTerm: textList, longTerm: textList }
+            },
+            insights: textList
+        }
+    },
+
+    // services/analyzer.js statistical insights
+    insights: {
+        type: 'object',
+        required: ['insights'],
+        properties: {
+            insights: { type: 'array', items: text, minItems: 1 },
+            keyFindings: textList,
+            patterns: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['description'],
+                    properties: {
+                        type: text,
+                        description: text,
+                        significance: { type: 'string', enum: ['high', 'medium', 'low'] }
+                    }
+                }
+            },
+            concerns: textList,
+            positives: textList
+        }
+    },
+
+    // services/analyzer.js action plan
+    recommendations: {
+        type: 'object',
+        required: ['immediate', 'shortTerm', 'longTerm'],
+        properties: {
+            immediate: textList,
+            shortTerm: textList,
+            longTerm: textList,
+            interventions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['student', 'recommendation'],
+                    properties: { student: text, recommendation: text }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Check value against schema
+ * @returns {Object} { value, issues } – value keeps only what matches (undefined when the
+ *   value itself does not), issues lists every mismatch
+ */
+function checkSchema(schema, value, path = '$') {
+    const issues = [];
+    const fail = message => ({ value: undefined, issues: [...issues, { path, message }] });
+
+    if (value === undefined) return fail('is missing');
+    if (schema.type && !matchesType(value, schema.type)) {
+        return fail(`expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) return fail(`expected one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) return fail('is empty');
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return fail('is not a finite number');
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`is below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`is above ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        let items = value;
+        if (schema.items) {
+            items = [];
+            value.forEach((item, index) => {
+                const checked = checkSchema(schema.items, item, `${path}[${index}]`);
+                issues.push(...checked.issues);
+                if (checked.value !== undefined) items.push(checked.value);
+            });
+        }
+        if (schema.minItems !== undefined && items.length < schema.minItems) {
+            return fail(`expected at least ${schema.minItems} valid item(s), got ${items.length}`);
+        }
+        if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+            issues.push({ path, message: `expected at most ${schema.maxItems} items; kept the first ${schema.maxItems}` });
+            items = items.slice(0, schema.maxItems);
+        }
+        return { value: items, issues };
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        const kept = { ...value };
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined) return;
+            const checked = checkSchema(propertySchema, value[key], `${path}.${key}`);
+            issues.push(...checked.issues);
+            if (checked.value === undefined) delete kept[key];
+            else kept[key] = checked.value;
+        });
+
+        const missing = (schema.required || []).filter(key => kept[key] === undefined);
+        if (missing.length > 0) {
+            missing.filter(key => value[key] === undefined).forEach(key => issues.push({ path: `${path}.${key}`, message: 'is missing' }));
+            return { value: undefined, issues };
+        }
+        return { value: kept, issues };
+    }
+
+    return { value, issues };
+}
+
+/**
+ * Parse a model reply as JSON, allowing for code fences or text around the JSON
+ * @throws {SyntaxError} When no JSON can be read from it
+ */
+function parseJsonReply(reply) {
+    const cleaned = String(reply || '').replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+        if (start === -1 || end <= start) throw error;
+        return JSON.parse(cleaned.slice(start, end + 1));
+    }
+}
+
+/**
+ * Issues as lines for a repair prompt or a log
+ */
+function formatIssues(issues, limit = 30) {
+    const lines = issues.slice(0, limit).map(issue => `- ${issue.path}: ${issue.message}`);
+    if (issues.length > limit) lines.push(`- … and ${issues.length - limit} more`);
+    return lines.join('\n');
+}
+
+module.exports = { SCHEMAS, checkSchema, parseJsonReply, formatIssues };
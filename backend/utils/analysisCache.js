@@ -1,45 +1,188 @@
 // Shared cache for analysis results between routes
-// In production, use Redis or a proper database
+// Entries expire after a TTL, the least recently used are evicted past a size cap,
+// and a background sweeper removes expired sessions. Storage is pluggable (see sessionStores.js).
+const { createSessionStore } = require('./sessionStores');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
 class AnalysisCache {
-    constructor() {
-        this.cache = new Map();
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Session store (defaults to ANALYSIS_STORE)
+     * @param {number} options.ttlMs - Lifetime of a session after it is stored
+     * @param {number} options.maxEntries - Size cap before LRU eviction kicks in
+     * @param {number} options.sweepIntervalMs - How often expired sessions are purged (0 disables)
+     */
+    constructor(options = {}) {
+        this.store = options.store || createSessionStore();
+        this.ttlMs = options.ttlMs ?? Number(process.env.ANALYSIS_TTL_HOURS || 24) * HOUR;
+        this.maxEntries = options.maxEntries ?? Number(process.env.ANALYSIS_MAX_SESSIONS || 500);
+        this.sweepIntervalMs = options.sweepIntervalMs ?? Number(process.env.ANALYSIS_SWEEP_MINUTES || 10) * MINUTE;
+        this.sweeper = null;
+        this.lastAccessTick = 0;
+
+        this.startSweeper();
     }
 
-    set(sessionId, data) {
-        this.cache.set(sessionId, {
+    /**
+     * @param {string} sessionId
+     * @param {Object} data - Analysis result
+     * @param {Object} options - { ownerId, schoolId, ttlMs }
+     */
+    set(sessionId, data, { ownerId = null, schoolId = null, ttlMs = this.ttlMs } = {}) {
+        const now = Date.now();
+        this.store.set(sessionId, {
             data,
-            timestamp: new Date().toISOString()
+            ownerId,
+            schoolId,
+            timestamp: new Date(now).toISOString(),
+            lastAccessedAt: this.accessTick(),
+            expiresAt: now + ttlMs
         });
+        this.enforceSizeLimit();
     }
 
     get(sessionId) {
-        return this.cache.get(sessionId);
+        const entry = this.store.get(sessionId);
+        if (!entry) return undefined;
+
+        if (this.isExpired(entry)) {
+            this.store.delete(sessionId);
+            return undefined;
+        }
+
+        const lastAccessedAt = this.accessTick();
+        this.store.touch(sessionId, lastAccessedAt);
+        return { ...entry, lastAccessedAt };
+    }
+
+    /**
+     * Read a live session without counting it as a use (reports, rollups)
+     */
+    peek(sessionId) {
+        const entry = this.store.get(sessionId);
+        return entry && !this.isExpired(entry) ? entry : undefined;
+    }
+
+    /**
+     * Get a session only if it belongs to ownerId within schoolId
+     * (sessions without an owner belong to nobody)
+     */
+    getOwned(sessionId, ownerId, schoolId = null) {
+        if (ownerId === undefined || ownerId === null) return undefined;
+
+        const entry = this.get(sessionId);
+        return entry && this.belongsTo(entry, ownerId, schoolId) ? entry : undefined;
+    }
+
+    isOwnedBy(sessionId, ownerId, schoolId = null) {
+        if (ownerId === undefined || ownerId === null || !this.has(sessionId)) return false;
+        return this.belongsTo(this.store.get(sessionId), ownerId, schoolId);
+    }
+
+    belongsTo(entry, ownerId, schoolId) {
+        return entry.ownerId === ownerId && (entry.schoolId ?? null) === (schoolId ?? null);
     }
 
     has(sessionId) {
-        return this.cache.has(sessionId);
+        const entry = this.store.get(sessionId);
+        if (!entry) return false;
+
+        if (this.isExpired(entry)) {
+            this.store.delete(sessionId);
+            return false;
+        }
+        return true;
     }
 
     delete(sessionId) {
-        return this.cache.delete(sessionId);
+        return this.store.delete(sessionId);
     }
 
-    getAllSessions() {
-        return Array.from(this.cache.entries()).map(([sessionId, data]) => ({
-            sessionId,
-            timestamp: data.timestamp,
-            hasData: !!data.data
-        }));
+    /**
+     * List live sessions, optionally only those matching { ownerId, schoolId }
+     */
+    getAllSessions(filter = {}) {
+        return this.store.list(filter)
+            .filter(entry => !this.isExpired(entry))
+            .map(entry => ({
+                sessionId: entry.sessionId,
+                ownerId: entry.ownerId,
+                schoolId: entry.schoolId ?? null,
+                timestamp: entry.timestamp,
+                expiresAt: new Date(entry.expiresAt).toISOString(),
+                hasData: entry.hasData ?? !!entry.data
+            }));
     }
 
     clear() {
-        this.cache.clear();
+        this.store.clear();
     }
 
     size() {
-        return this.cache.size;
+        return this.store.size();
+    }
+
+    /**
+     * Strictly increasing access time, so LRU order holds within the same millisecond
+     */
+    accessTick() {
+        this.lastAccessTick = Math.max(Date.now(), this.lastAccessTick + 1);
+        return this.lastAccessTick;
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt <= Date.now();
+    }
+
+    /**
+     * Drop least recently used sessions once the store grows past maxEntries
+     */
+    enforceSizeLimit() {
+        if (!this.maxEntries) return 0;
+
+        const overflow = this.store.size() - this.maxEntries;
+        if (overflow <= 0) return 0;
+
+        const evicted = this.store.deleteLeastRecentlyUsed(overflow);
+        console.log(`🧹 Analysis cache full: evicted ${evicted} least recently used session(s)`);
+        return evicted;
+    }
+
+    /**
+     * Remove expired sessions (also runs on the background sweeper)
+     */
+    sweep() {
+        const removed = this.store.deleteExpired(Date.now());
+        if (removed > 0) {
+            console.log(`🧹 Analysis cache sweep: removed ${removed} expired session(s)`);
+        }
+        return removed;
+    }
+
+    startSweeper() {
+        if (this.sweeper || !this.sweepIntervalMs) return;
+
+        this.sweeper = setInterval(() => {
+            try {
+                this.sweep();
+            } catch (error) {
+                console.error('Analysis cache sweep error:', error);
+            }
+        }, this.sweepIntervalMs);
+
+        // Never keep the process alive just for the sweeper
+        this.sweeper.unref();
+    }
+
+    stopSweeper() {
+        if (this.sweeper) {
+            clearInterval(this.sweeper);
+            this.sweeper = null;
+        }
     }
 }
 
 // Export singleton instance
-module.exports = new AnalysisCache();
\ No newline at end of file
+module.exports = new AnalysisCache();
@@ -0,0 +1,204 @@
+// Analysis jobs: an upload is answered with a job ID straight away and analysed in the background.
+// A job moves through stages (parsing → statistics → ai → finalising); clients follow it by polling
+// its status or over server-sent events. Jobs live in memory on the instance that runs them and are
+// dropped a while after they finish; the finished analysis itself goes to the analysis cache.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const MINUTE = 60 * 1000;
+
+// Share of the overall progress bar each stage covers, as [start, end] percentages
+const STAGES = {
+    queued: [0, 0],
+    parsing: [0, 40],
+    statistics: [40, 50],
+    ai: [50, 90],
+    finalising: [90, 100]
+};
+
+const STAGE_MESSAGES = {
+    queued: 'Waiting to start',
+    parsing: 'Reading the file',
+    statistics: 'Computing statistics',
+    ai: 'Generating insights and recommendations',
+    finalising: 'Preparing the results'
+};
+
+class AnalysisJobs {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttlMs - How long a finished job can still be looked up
+     * @param {number} options.sweepIntervalMs - How often finished jobs are purged (0 disables)
+     */
+    constructor(options = {}) {
+        this.jobs = new Map();
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+        this.ttlMs = options.ttlMs ?? Number(process.env.ANALYSIS_JOB_TTL_MINUTES || 60) * MINUTE;
+        this.sweepIntervalMs = options.sweepIntervalMs ?? 5 * MINUTE;
+        this.sweeper = null;
+
+        this.startSweeper();
+    }
+
+    /**
+     * @param {Object} owner - { ownerId, schoolId, fileName }
+     * @returns {Object} The new job (status 'queued')
+     */
+    create({ ownerId, schoolId = null, fileName = null }) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            ownerId,
+            schoolId,
+            fileName,
+            status: 'queued',
+            stage: 'queued',
+            progress: 0,
+            message: STAGE_MESSAGES.queued,
+            details: null,
+            result: null,
+            error: null,
+            errorCode: null,
+            hint: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId);
+    }
+
+    /**
+     * Get a job only if it belongs to ownerId within schoolId
+     */
+    getOwned(jobId, ownerId, schoolId = null) {
+        const job = this.jobs.get(jobId);
+        if (!job || ownerId === undefined || ownerId === null) return undefined;
+        return job.ownerId === ownerId && (job.schoolId ?? null) === (schoolId ?? null) ? job : undefined;
+    }
+
+    /**
+     * Move a job to a stage, or along within one
+     * @param {string} stage - parsing | statistics | ai | finalising
+     * @param {number} percent - How far through the stage (0–100)
+     * @param {Object} details - Stage specifics to pass on (e.g. { sheet, rowsRead })
+     */
+    progress(jobId, stage, percent = 0, details = null) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.finishedAt || !STAGES[stage]) return;
+
+        const [start, end] = STAGES[stage];
+        const overall = Math.round(start + (end - start) * Math.min(Math.max(percent, 0), 100) / 100);
+
+        // Progress never goes backwards, even if reports arrive out of order
+        this.update(job, {
+            status: 'running',
+            stage,
+            progress: Math.max(job.progress, overall),
+            message: STAGE_MESSAGES[stage],
+            details
+        });
+    }
+
+    complete(jobId, result) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.finishedAt) return;
+        this.update(job, {
+            status: 'completed',
+            stage: 'done',
+            progress: 100,
+            message: 'Analysis complete',
+            details: null,
+            result,
+            finishedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @param {Error} error - Its message and code are shown to the client
+     * @param {string} hint - What the user can do about it
+     */
+    fail(jobId, error, hint = null) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.finishedAt) return;
+        this.update(job, {
+            status: 'failed',
+            message: 'Analysis failed',
+            error: error.message,
+            errorCode: error.code || null,
+            hint,
+            finishedAt: new Date().toISOString()
+        });
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        this.events.emit(job.id, this.toPublic(job));
+    }
+
+    /**
+     * Call listener with the job's public view on every change
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(jobId, listener) {
+        this.events.on(jobId, listener);
+        return () => this.events.off(jobId, listener);
+    }
+
+    /**
+     * What a client sees of a job (the result only once it is complete)
+     */
+    toPublic(job) {
+        return {
+            jobId: job.id,
+            fileName: job.fileName,
+            status: job.status,
+            stage: job.stage,
+            progress: job.progress,
+            message: job.message,
+            ...(job.details && { details: job.details }),
+            ...(job.status === 'completed' && { result: job.result }),
+            ...(job.status === 'failed' && { error: job.error, errorCode: job.errorCode, ...(job.hint && { hint: job.hint }) }),
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+
+    /**
+     * Remove jobs that finished more than ttlMs ago
+     */
+    sweep() {
+        const cutoff = Date.now() - this.ttlMs;
+        let removed = 0;
+        this.jobs.forEach((job, jobId) => {
+            if (job.finishedAt && Date.parse(job.finishedAt) <= cutoff) {
+                this.jobs.delete(jobId);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    startSweeper() {
+        if (this.sweeper || !this.sweepIntervalMs) return;
+        this.sweeper = setInterval(() => this.sweep(), this.sweepIntervalMs);
+
+        // Never keep the process alive just for the sweeper
+        this.sweeper.unref();
+    }
+
+    stopSweeper() {
+        if (this.sweeper) {
+            clearInterval(this.sweeper);
+            this.sweeper = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new AnalysisJobs();
@@ -0,0 +1,227 @@
+// Assessment schemes: how a term score out of 100 is built from continuous assessment (CA)
+// and exam components, e.g. CA1 10 + CA2 10 + Test 20 + Exam 60.
+// Scheme shape: { id, name, components: [{ key, label, max, kind: 'ca'|'exam', aliases }] }
+
+const TERM_TOTAL = 100;
+const MAX_COMPONENTS = 8;
+
+// CA and exam percentages this far apart are reported as a component weakness
+const COMPONENT_GAP = 15;
+
+const BUILT_IN_SCHEMES = [
+    {
+        id: 'standard',
+        name: 'CA1 10, CA2 10, Test 20, Exam 60',
+        components: [
+            { key: 'CA1', label: 'CA1', max: 10, kind: 'ca', aliases: ['ca 1', 'ca i'] },
+            { key: 'CA2', label: 'CA2', max: 10, kind: 'ca', aliases: ['ca 2', 'ca ii'] },
+            { key: 'Test', label: 'Test', max: 20, kind: 'ca', aliases: ['mid term test', 'midterm test'] },
+            { key: 'Exam', label: 'Exam', max: 60, kind: 'exam', aliases: ['examination', 'exams'] }
+        ]
+    },
+    {
+        id: 'ca40',
+        name: 'CA 40, Exam 60',
+        components: [
+            { key: 'CA', label: 'CA', max: 40, kind: 'ca', aliases: ['continuous assessment', 'c a'] },
+            { key: 'Exam', label: 'Exam', max: 60, kind: 'exam', aliases: ['examination', 'exams'] }
+        ]
+    },
+    {
+        id: 'ca30',
+        name: 'CA 30, Exam 70',
+        components: [
+            { key: 'CA', label: 'CA', max: 30, kind: 'ca', aliases: ['continuous assessment', 'c a'] },
+            { key: 'Exam', label: 'Exam', max: 70, kind: 'exam', aliases: ['examination', 'exams'] }
+        ]
+    }
+];
+
+const DEFAULT_SCHEME = BUILT_IN_SCHEMES[0];
+
+function invalidScheme(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SCHEME';
+    return error;
+}
+
+function findBuiltInScheme(id) {
+    return BUILT_IN_SCHEMES.find(scheme => scheme.id === id) || null;
+}
+
+/**
+ * Check a custom scheme and fill in defaults (label, kind, aliases)
+ * @throws {Error} code 'INVALID_SCHEME'
+ */
+function validateScheme(scheme) {
+    if (!scheme || typeof scheme !== 'object' || !Array.isArray(scheme.components)) {
+        throw invalidScheme('Scheme needs a list of components');
+    }
+    if (scheme.components.length === 0 || scheme.components.length > MAX_COMPONENTS) {
+        throw invalidScheme(`Scheme needs between 1 and ${MAX_COMPONENTS} components`);
+    }
+
+    const keys = new Set();
+    const components = scheme.components.map(component => {
+        const key = String(component?.key ?? '').trim();
+        const max = Number(component?.max);
+
+        if (!/^[A-Za-z][A-Za-z0-9 ]{0,19}$/.test(key)) {
+            throw invalidScheme(`Component key "${key}" must start with a letter (up to 20 letters, digits or spaces)`);
+        }
+        if (keys.has(key.toLowerCase())) throw invalidScheme(`Component "${key}" appears twice`);
+        if (!Number.isFinite(max) || max <= 0) throw invalidScheme(`Component "${key}" needs a maximum above 0`);
+        keys.add(key.toLowerCase());
+
+        return {
+            key,
+            label: String(component.label || key).trim(),
+            max,
+            kind: component.kind === 'exam' || /exam/i.test(key) ? 'exam' : 'ca',
+            aliases: Array.isArray(component.aliases) ? component.aliases.map(String) : []
+        };
+    });
+
+    const total = components.reduce((sum, component) => sum + component.max, 0);
+    if (total !== TERM_TOTAL) {
+        throw invalidScheme(`Component maximums add up to ${total}; they must add up to ${TERM_TOTAL}`);
+    }
+
+    return {
+        id: scheme.id ? String(scheme.id) : 'custom',
+        name: String(scheme.name || components.map(component => `${component.label} ${component.max}`).join(', ')),
+        components
+    };
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(String(value).trim());
+    return Number.isNaN(number) ? NaN : number;
+}
+
+/**
+ * Term total from its component scores. Components that are missing, not numbers or out of
+ * range are left out and listed; validation reports them row by row.
+ * @param {Object} parts - { CA1: rawValue, Exam: rawValue, ... }
+ * @returns {Object} { total, counted: [keys], missing: [keys], invalid: [keys] }
+ */
+function termTotal(parts, scheme = DEFAULT_SCHEME) {
+    const result = { total: 0, counted: [], missing: [], invalid: [] };
+
+    scheme.components.forEach(({ key, max }) => {
+        const value = toNumber(parts[key]);
+        if (value === null) {
+            result.missing.push(key);
+        } else if (Number.isNaN(value) || value < 0 || value > max) {
+            result.invalid.push(key);
+        } else {
+            result.total += value;
+            result.counted.push(key);
+        }
+    });
+
+    result.total = Math.round(result.total * 10) / 10;
+    return result;
+}
+
+/**
+ * Fill each record's term scores from its components where the sheet has no total column.
+ * Only complete terms get a score: a term missing its exam would otherwise read as a fail.
+ * Incomplete terms stay in the component breakdown, and validation reports them.
+ * @param {Array} records - From applyMapping / broadsheetRecords, with optional components
+ *   ({ SS2_1st: { CA1: value, ... } }); changed in place
+ */
+function applyScheme(records, scheme = DEFAULT_SCHEME) {
+    records.forEach(record => {
+        Object.entries(record.components || {}).forEach(([term, parts]) => {
+            if (record.scores[term] !== undefined) return;
+
+            const { total, counted, missing, invalid } = termTotal(parts, scheme);
+            if (counted.length === 0 || missing.length > 0 || invalid.length > 0) return;
+
+            record.scores[term] = total;
+            record.columns.scores[term] = counted.join(' + ');
+            record.computedTerms = [...(record.computedTerms || []), term];
+        });
+    });
+    return records;
+}
+
+/**
+ * CA and exam percentages per student and subject, and per subject for the class
+ * @returns {Object|null} { students: { name: { subject: { ca, exam } } }, subjects: { subject: { ca, exam } } },
+ *   null when no record has components
+ */
+function componentBreakdown(records, scheme = DEFAULT_SCHEME) {
+    const kinds = Object.fromEntries(scheme.components.map(component => [component.key, component]));
+    const students = {};
+    const subjects = {};
+    let found = false;
+
+    const add = (bucket, kind, value, max) => {
+        bucket[kind] = bucket[kind] || { scored: 0, max: 0 };
+        bucket[kind].scored += value;
+        bucket[kind].max += max;
+    };
+
+    records.forEach(({ name, subject, components }) => {
+        if (!name || !subject || !components) return;
+
+        Object.values(components).forEach(parts => {
+            Object.entries(parts).forEach(([key, raw]) => {
+                const component = kinds[key];
+                const value = toNumber(raw);
+                if (!component || value === null || Number.isNaN(value) || value < 0 || value > component.max) return;
+
+                found = true;
+                students[name] = students[name] || {};
+                students[name][subject] = students[name][subject] || {};
+                subjects[subject] = subjects[subject] || {};
+                add(students[name][subject], component.kind, value, component.max);
+                add(subjects[subject], component.kind, value, component.max);
+            });
+        });
+    });
+
+    if (!found) return null;
+
+    const percentages = totals => ({
+        ca: totals.ca ? Math.round(totals.ca.scored / totals.ca.max * 1000) / 10 : null,
+        exam: totals.exam ? Math.round(totals.exam.scored / totals.exam.max * 1000) / 10 : null
+    });
+
+    Object.values(students).forEach(bySubject => {
+        Object.keys(bySubject).forEach(subject => {
+            bySubject[subject] = percentages(bySubject[subject]);
+        });
+    });
+    Object.keys(subjects).forEach(subject => {
+        subjects[subject] = percentages(subjects[subject]);
+    });
+
+    return { students, subjects };
+}
+
+/**
+ * "strong CA, weak exam" (or the reverse) when CA and exam percentages are far apart, else null
+ */
+function componentFlag({ ca, exam }) {
+    if (ca === null || exam === null) return null;
+    if (ca - exam >= COMPONENT_GAP) return 'strong CA, weak exam';
+    if (exam - ca >= COMPONENT_GAP) return 'weak CA, strong exam';
+    return null;
+}
+
+module.exports = {
+    TERM_TOTAL,
+    COMPONENT_GAP,
+    BUILT_IN_SCHEMES,
+    DEFAULT_SCHEME,
+    findBuiltInScheme,
+    validateScheme,
+    termTotal,
+    applyScheme,
+    componentBreakdown,
+    componentFlag
+};
@@ -0,0 +1,37 @@
+// Helpers for splitting work into batches and running them with a cap on how many run at once
+
+/**
+ * Split items into arrays of at most size items
+ */
+function chunk(items, size) {
+    const batches = [];
+    for (let start = 0; start < items.length; start += size) {
+        batches.push(items.slice(start, start + size));
+    }
+    return batches;
+}
+
+/**
+ * Run worker(item, index) for every item with at most limit running at once
+ * @returns {Promise<Array>} Results in the order of items (a rejected worker rejects the whole run)
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, run));
+    return results;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { chunk, mapWithConcurrency, delay };
@@ -0,0 +1,223 @@
+// Wide "broadsheet" results: one row per student and one column per subject.
+// The header may be a single row ("Mathematics", "English", "Physics") or two rows with the
+// term above the subjects, usually merged across them ("SS2 1st Term" over its subjects).
+// A third row under the subjects may split each one into assessment components (CA1, CA2, Test, Exam).
+// Broadsheets are turned into the same records applyMapping produces for long-format sheets.
+const { TERM_WORDS, normalizeHeader, detectScoreColumn, detectComponent } = require('./columnMapping');
+const { DEFAULT_SCHEME } = require('./assessment');
+const { canonicalSubject } = require('./subjects');
+
+// Title rows ("GOVT. COLLEGE ... SS2A BROADSHEET") can sit above the header
+const HEADER_SCAN_ROWS = 6;
+const MIN_SUBJECT_COLUMNS = 2;
+
+const NAME_HEADER = /\b(full ?names?|names?|student|pupil|surname)\b/;
+const SUBJECT_HEADER = /\b(subj|subject|subjects)\b/;
+const TERM_TEXT = /\b(1st|2nd|3rd|first|second|third|term)\b|\bs{2,3}\s?[1-3]\b/;
+
+function isBlank(cell) {
+    return cell === undefined || cell === null || String(cell).trim() === '';
+}
+
+// Merged header cells only hold text in their first column, so carry it right
+function fillRight(row, length) {
+    const filled = [];
+    let current = '';
+    for (let index = 0; index < length; index++) {
+        if (!isBlank(row[index])) current = String(row[index]).trim();
+        filled[index] = current;
+    }
+    return filled;
+}
+
+/**
+ * The subject a header names once class and term words are taken out, or null
+ *   "Mathematics" → Mathematics, "Eng. Language (SS2 1st)" → English, "Total" → null
+ */
+function subjectOf(header) {
+    const text = normalizeHeader(header)
+        .replace(/\bs{2,3}\s?[1-3]\b/g, ' ')
+        .replace(/\b(1st|2nd|3rd|first|second|third|term|t[1-3]|score)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return canonicalSubject(text);
+}
+
+// SS level (1–3) named in a sheet tag or title text, or null
+function levelOf(text) {
+    const match = normalizeHeader(text).match(/\bs{2,3}\s?([1-3])(?![0-9])/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Score column for a subject column, from the term text above or inside its header.
+ * A broadsheet that never names its class is taken as SS3, the year recommendations are made for;
+ * one with no term at all holds a single score per subject (SSx_Score).
+ */
+function scoreColumnOf(text, context) {
+    const column = detectScoreColumn(text);
+    if (column) return column;
+
+    const normalized = normalizeHeader(text);
+    const term = normalized.match(/\b(1st|2nd|3rd|first|second|third)\b/) || normalized.match(/\b(?:term|t)\s?([1-3])\b/);
+    const level = levelOf(text) || context.level || '3';
+
+    if (term) return `SS${level}_${TERM_WORDS[term[1]]}`;
+    return context.termColumn || `SS${level}_Score`;
+}
+
+// Column holding student names: a "Name" header, else the left-hand column with the most text
+function findNameColumn(grid, headerRows, dataStart, firstSubjectIndex) {
+    for (const row of headerRows) {
+        const index = row.findIndex(cell => NAME_HEADER.test(normalizeHeader(cell)) && !/\bid\b/.test(normalizeHeader(cell)));
+        if (index !== -1) return index;
+    }
+
+    let best = -1;
+    let bestCount = 0;
+    for (let index = 0; index < firstSubjectIndex; index++) {
+        const count = grid.slice(dataStart)
+            .filter(row => !isBlank(row[index]) && Number.isNaN(Number(row[index])))
+            .length;
+        if (count > bestCount) {
+            best = index;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Work out whether a sheet is a broadsheet, and how to read it
+ * @param {Array} grid - Sheet rows as arrays of cells (sheet_to_json with header: 1)
+ * @param {Object} sheet - Sheet tag from workbook.describeSheet ({ classArm, termColumn })
+ * @param {Object} scheme - Assessment scheme naming the component columns
+ * @returns {Object|null} { dataStart, nameIndex, nameHeader,
+ *   columns: [{ index, subject, scoreColumn, component, label, subjectLabel }], subjects, scoreColumns, ignoredHeaders }
+ *   – null for long-format sheets; component is null for a term total column
+ */
+function detectBroadsheet(grid, sheet = {}, scheme = DEFAULT_SCHEME) {
+    const subjectRowIndex = grid.slice(0, HEADER_SCAN_ROWS)
+        .findIndex(row => (row || []).filter(cell => subjectOf(cell)).length >= MIN_SUBJECT_COLUMNS);
+    if (subjectRowIndex === -1) return null;
+
+    const subjectRow = grid[subjectRowIndex];
+    // A "Subject" column means one row per student and subject (long format)
+    if (subjectRow.some(cell => SUBJECT_HEADER.test(normalizeHeader(cell)))) return null;
+
+    // Term row above the subjects; component row below them
+    const above = subjectRowIndex > 0 ? grid[subjectRowIndex - 1] || [] : [];
+    const termRow = above.some(cell => TERM_TEXT.test(normalizeHeader(cell))) ? above : null;
+    const below = grid[subjectRowIndex + 1] || [];
+    const componentRow = below.filter(cell => detectComponent(cell, scheme)).length >= MIN_SUBJECT_COLUMNS ? below : null;
+
+    const width = Math.max(subjectRow.length, componentRow?.length || 0);
+    const terms = termRow ? fillRight(termRow, width) : [];
+    const subjectCells = componentRow ? fillRight(subjectRow, width) : subjectRow;
+
+    const titles = grid.slice(0, termRow ? subjectRowIndex - 1 : subjectRowIndex).flat().filter(cell => !isBlank(cell)).join(' ');
+    const context = {
+        level: levelOf(sheet.termColumn || '') || levelOf(sheet.classArm || '') || levelOf(titles),
+        termColumn: sheet.termColumn || null
+    };
+
+    const dataStart = subjectRowIndex + (componentRow ? 2 : 1);
+    const firstSubjectIndex = subjectRow.findIndex(cell => subjectOf(cell));
+    const headerRows = [subjectRow, termRow, componentRow].filter(Boolean);
+    const nameIndex = findNameColumn(grid, headerRows, dataStart, firstSubjectIndex);
+
+    const columns = [];
+    const ignoredHeaders = [];
+    const seen = new Set();
+
+    for (let index = 0; index < width; index++) {
+        const cell = subjectCells[index];
+        const part = componentRow ? String(componentRow[index] ?? '').trim() : '';
+        if (index === nameIndex || isBlank(cell) || (componentRow && !part)) continue;
+
+        const label = [terms[index], String(cell).trim(), part].filter(Boolean).join(' ');
+        const subject = subjectOf(cell);
+        const scoreColumn = subject && scoreColumnOf([terms[index], cell].filter(Boolean).join(' '), context);
+        const component = componentRow ? detectComponent(part, scheme) : null;
+        const isTotal = !componentRow || /^(total|term total)$/.test(normalizeHeader(part));
+        const key = `${subject}|${scoreColumn}|${component}`;
+
+        // Columns such as Total, Average, Position or Remark; or a second column for the same subject and term
+        if (!subject || (!component && !isTotal) || seen.has(key)) {
+            ignoredHeaders.push(label);
+            continue;
+        }
+        seen.add(key);
+        columns.push({ index, subject, scoreColumn, component, label, subjectLabel: [terms[index], String(cell).trim()].filter(Boolean).join(' ') });
+    }
+
+    if (nameIndex === -1 || columns.length < MIN_SUBJECT_COLUMNS) return null;
+
+    return {
+        dataStart,
+        nameIndex,
+        nameHeader: String(headerRows.map(row => row[nameIndex]).find(cell => !isBlank(cell)) || 'Name').trim(),
+        columns,
+        subjects: [...new Set(columns.map(column => column.subject))],
+        scoreColumns: [...new Set(columns.map(column => column.scoreColumn))],
+        ignoredHeaders
+    };
+}
+
+/**
+ * Long records from a broadsheet: one per student and subject
+ * @param {Array} grid - Same grid given to detectBroadsheet
+ * @param {Object} layout - From detectBroadsheet
+ * @param {number} firstRow - Spreadsheet row number of grid[0]
+ * @returns {Array} [{ name, subject, scores, components, rowNumber, columns }] as from applyMapping
+ */
+function broadsheetRecords(grid, layout, firstRow = 1) {
+    const records = [];
+
+    grid.slice(layout.dataStart).forEach((row, offset) => {
+        if (!row || row.every(isBlank)) return;
+
+        const rawName = row[layout.nameIndex];
+        const name = isBlank(rawName) ? null : String(rawName).trim();
+        const rowNumber = firstRow + layout.dataStart + offset;
+        const bySubject = new Map();
+
+        layout.columns.forEach(({ index, subject, scoreColumn, component, label, subjectLabel }) => {
+            if (!bySubject.has(subject)) {
+                bySubject.set(subject, {
+                    name,
+                    subject,
+                    scores: {},
+                    rowNumber,
+                    columns: { name: layout.nameHeader, subject: subjectLabel, scores: {} }
+                });
+            }
+            if (isBlank(row[index])) return;
+
+            const record = bySubject.get(subject);
+            if (component) {
+                record.components = record.components || {};
+                record.columns.components = record.columns.components || {};
+                record.components[scoreColumn] = { ...record.components[scoreColumn], [component]: row[index] };
+                record.columns.components[scoreColumn] = { ...record.columns.components[scoreColumn], [component]: label };
+            } else {
+                record.scores[scoreColumn] = row[index];
+                record.columns.scores[scoreColumn] = label;
+            }
+        });
+
+        // A subject left blank for a student is a subject they do not take;
+        // a row without a name is reported once, not once per subject
+        const taken = [...bySubject.values()]
+            .filter(record => Object.keys(record.scores).length > 0 || record.components);
+        records.push(...(name ? taken : taken.slice(0, 1)));
+    });
+
+    return records;
+}
+
+module.exports = {
+    subjectOf,
+    detectBroadsheet,
+    broadsheetRecords
+};
@@ -0,0 +1,236 @@
+// Column mappings: which spreadsheet header holds each field the analyzer reads.
+// Mapping shape: { name, subject, terms: { SS1_1st: header, ... }, components: { SS1_1st: { CA1: header, ... } } }
+// Each value is a header or a list of candidate headers (the first one present in a row wins).
+// components (optional) holds the CA/exam columns a term total is built from (see utils/assessment.js).
+const { DEFAULT_SCHEME } = require('./assessment');
+
+const TERM_COLUMNS = [
+    'SS1_1st', 'SS1_2nd', 'SS1_3rd',
+    'SS2_1st', 'SS2_2nd', 'SS2_3rd',
+    'SS3_1st', 'SS3_2nd', 'SS3_3rd'
+];
+
+// One score per class level, from older templates
+const LEGACY_TERM_COLUMNS = ['SS1_Score', 'SS2_Score', 'SS3_Score'];
+
+const SCORE_COLUMNS = [...TERM_COLUMNS, ...LEGACY_TERM_COLUMNS];
+
+// The template headers the analyzer has always read
+const DEFAULT_MAPPING = {
+    name: ['Full Name', 'full_name', 'Student_ID', 'student_id'],
+    subject: ['Subject', 'subject'],
+    terms: Object.fromEntries(SCORE_COLUMNS.map(column => [column, column]))
+};
+
+const TERM_WORDS = { '1st': '1st', first: '1st', '1': '1st', '2nd': '2nd', second: '2nd', '2': '2nd', '3rd': '3rd', third: '3rd', '3': '3rd' };
+
+function invalidMapping(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MAPPING';
+    return error;
+}
+
+/**
+ * "1st Term SS2" → "1st term ss2"
+ */
+function normalizeHeader(header) {
+    return String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function candidates(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * First candidate header with a value in this row
+ * @returns {Array} [header, value], or [] when none has a value
+ */
+function pickCell(row, value) {
+    for (const header of candidates(value)) {
+        const cell = row[header];
+        if (cell !== undefined && cell !== null && String(cell).trim() !== '') return [header, cell];
+    }
+    return [];
+}
+
+/**
+ * Work out which canonical score column a header is, e.g. "1st Term SS2" → SS2_1st
+ * @returns {string|null}
+ */
+function detectScoreColumn(header) {
+    const text = normalizeHeader(header);
+
+    // "ss2", "sss 2", "ss 2"
+    const level = text.match(/\bs{2,3}\s?([1-3])\b/);
+    if (!level) return null;
+
+    const rest = text.replace(level[0], ' ');
+    const term = rest.match(/\b(1st|2nd|3rd|first|second|third)\b/) || rest.match(/\b(?:term|t)\s?([1-3])\b/);
+    if (term) return `SS${level[1]}_${TERM_WORDS[term[1]]}`;
+
+    if (/\b(score|total|average|avg)\b/.test(rest)) return `SS${level[1]}_Score`;
+    return null;
+}
+
+/**
+ * Which assessment component a header is, e.g. "SS2 1st Term CA1" → CA1
+ * @returns {string|null} component key
+ */
+function detectComponent(header, scheme = DEFAULT_SCHEME) {
+    const text = ` ${normalizeHeader(header)} `;
+    const aliases = scheme.components
+        .flatMap(component => [component.key, component.label, ...(component.aliases || [])]
+            .map(alias => [normalizeHeader(alias), component.key]))
+        .filter(([alias]) => alias)
+        .sort((a, b) => b[0].length - a[0].length);
+
+    const match = aliases.find(([alias]) => text.includes(` ${alias} `));
+    return match ? match[1] : null;
+}
+
+/**
+ * Suggest a mapping from a sheet's header row
+ * @param {string[]} headers
+ * @param {Object} options - { scheme, termColumn } – termColumn places component headers
+ *   that name no term (a sheet per term, e.g. "SS2 1st Term" with CA1, CA2, Exam columns)
+ * @returns {Object} { mapping, unmatchedHeaders, missing }
+ */
+function suggestMapping(headers, { scheme = DEFAULT_SCHEME, termColumn = null } = {}) {
+    const mapping = { name: null, subject: null, terms: {} };
+    const components = {};
+    const unmatchedHeaders = [];
+
+    const cleaned = headers.filter(header => String(header ?? '').trim() !== '');
+    const isSubject = header => /\b(subj|subject|subjects|course)\b/.test(normalizeHeader(header));
+    const isName = header => /\b(full ?names?|names?|student|pupil)\b/.test(normalizeHeader(header)) && !/\bid\b/.test(normalizeHeader(header));
+    const isStudentId = header => /\b(id|reg|registration|admission|adm)\b/.test(normalizeHeader(header));
+
+    mapping.subject = cleaned.find(isSubject) || null;
+    mapping.name = cleaned.find(header => header !== mapping.subject && isName(header))
+        || cleaned.find(header => header !== mapping.subject && isStudentId(header))
+        || null;
+
+    cleaned.forEach(header => {
+        if (header === mapping.name || header === mapping.subject) return;
+
+        const column = detectScoreColumn(header);
+        const component = detectComponent(header, scheme);
+        const componentTerm = column && !column.endsWith('_Score') ? column : termColumn;
+
+        if (component && componentTerm && !components[componentTerm]?.[component]) {
+            components[componentTerm] = { ...components[componentTerm], [component]: header };
+        } else if (column && !component && !mapping.terms[column]) {
+            mapping.terms[column] = header;
+        } else {
+            unmatchedHeaders.push(header);
+        }
+    });
+
+    if (Object.keys(components).length > 0) mapping.components = components;
+
+    const missing = [];
+    if (!mapping.name) missing.push('name');
+    if (!mapping.subject) missing.push('subject');
+    if (Object.keys(mapping.terms).length === 0 && Object.keys(components).length === 0) missing.push('terms');
+
+    return { mapping, unmatchedHeaders, missing };
+}
+
+/**
+ * Whether every field of a mapping can be found among the headers
+ */
+function mappingMatchesHeaders(mapping, headers) {
+    const present = new Set(headers.map(header => String(header)));
+    const found = value => candidates(value).some(header => present.has(header));
+
+    return found(mapping.name)
+        && found(mapping.subject)
+        && (Object.values(mapping.terms || {}).some(found)
+            || Object.values(mapping.components || {}).some(parts => Object.values(parts).some(found)));
+}
+
+/**
+ * @throws {Error} code 'INVALID_MAPPING' when a mapping cannot be used
+ */
+function validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object') throw invalidMapping('Mapping must be an object');
+    if (candidates(mapping.name).length === 0) throw invalidMapping('Mapping needs a student name column');
+    if (candidates(mapping.subject).length === 0) throw invalidMapping('Mapping needs a subject column');
+
+    if (mapping.components !== undefined && (typeof mapping.components !== 'object' || mapping.components === null
+        || Object.values(mapping.components).some(parts => !parts || typeof parts !== 'object'))) {
+        throw invalidMapping('Mapping components must be { term: { component: header } }');
+    }
+
+    const terms = [...new Set([...Object.keys(mapping.terms || {}), ...Object.keys(mapping.components || {})])];
+    if (terms.length === 0) throw invalidMapping('Mapping needs at least one term score or component column');
+
+    const unknown = terms.filter(term => !SCORE_COLUMNS.includes(term));
+    if (unknown.length > 0) {
+        throw invalidMapping(`Unknown term column(s): ${unknown.join(', ')}. Use ${SCORE_COLUMNS.join(', ')}`);
+    }
+    return mapping;
+}
+
+/**
+ * Read raw sheet rows through a mapping
+ * @returns {Array} [{ name, subject, scores: { SS1_1st: rawValue, ... }, components, rowNumber, columns }]
+ *   rowNumber is the spreadsheet row; columns records which header each field was read from;
+ *   components ({ SS1_1st: { CA1: rawValue, ... } }) only when the mapping has component columns
+ */
+function applyMapping(rows, mapping = DEFAULT_MAPPING) {
+    return rows.map((row, index) => {
+        const scores = {};
+        const columns = { scores: {} };
+        let components;
+
+        Object.entries(mapping.terms || {}).forEach(([column, header]) => {
+            const [source, value] = pickCell(row, header);
+            if (source === undefined) return;
+            scores[column] = value;
+            columns.scores[column] = source;
+        });
+
+        Object.entries(mapping.components || {}).forEach(([column, parts]) => {
+            Object.entries(parts).forEach(([key, header]) => {
+                const [source, value] = pickCell(row, header);
+                if (source === undefined) return;
+                components = components || {};
+                columns.components = columns.components || {};
+                components[column] = { ...components[column], [key]: value };
+                columns.components[column] = { ...columns.components[column], [key]: source };
+            });
+        });
+
+        const [nameSource, name] = pickCell(row, mapping.name);
+        const [subjectSource, subject] = pickCell(row, mapping.subject);
+        columns.name = nameSource ?? candidates(mapping.name)[0];
+        columns.subject = subjectSource ?? candidates(mapping.subject)[0];
+
+        return {
+            name: name !== undefined ? String(name).trim() : null,
+            subject: subject !== undefined ? String(subject).trim() : null,
+            scores,
+            ...(components && { components }),
+            // sheet_to_json keeps the 0-based sheet row; fall back to header + position
+            rowNumber: row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2,
+            columns
+        };
+    });
+}
+
+module.exports = {
+    TERM_COLUMNS,
+    LEGACY_TERM_COLUMNS,
+    SCORE_COLUMNS,
+    DEFAULT_MAPPING,
+    TERM_WORDS,
+    normalizeHeader,
+    detectScoreColumn,
+    detectComponent,
+    suggestMapping,
+    mappingMatchesHeaders,
+    validateMapping,
+    applyMapping
+};
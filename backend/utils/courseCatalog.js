@@ -0,0 +1,237 @@
+// University course catalog: which courses the rule-based recommender can suggest, where they
+// are offered, the UTME subject combination (besides Use of English), the O'level subjects that
+// need a credit and the JAMB cutoff. The catalog is a versioned JSON file
+// ({ version, updatedAt, courses: [...] }, shipped as catalog/courses.json); subject lists use the
+// same text as waec_required, e.g. "Mathematics, Physics/Further Mathematics, Chemistry".
+const fs = require('fs');
+const { requiredSubjects, creditEligibility } = require('./gradeScale');
+const { estimateUtme } = require('./jambEstimate');
+const { canonicalSubject } = require('./subjects');
+
+// UTME subjects besides English
+const UTME_COURSE_SUBJECTS = 3;
+
+// Courses suggested per student
+const RECOMMENDED_COURSES = 3;
+
+function invalidCourse(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_COURSE';
+    return error;
+}
+
+const slug = name => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function subjectList(value, field, courseName) {
+    const text = String(value ?? '').trim();
+    if (!text) throw invalidCourse(`${field} is required for "${courseName}"`);
+    return text;
+}
+
+/**
+ * Check and normalise one catalog entry
+ * @param {Object} input - { id?, course, faculty?, universities, utmeSubjects, olevelRequired, cutoff }
+ *   (universities as a list or comma-separated text; id defaults to a slug of the course name)
+ * @returns {Object} The entry as stored
+ * @throws {Error} code 'INVALID_COURSE' describing the first problem found
+ */
+function validateCourse(input) {
+    if (!input || typeof input !== 'object') throw invalidCourse('Course must be an object');
+
+    const course = String(input.course ?? '').trim();
+    if (!course) throw invalidCourse('Course name is required');
+    const id = slug(input.id || course);
+    if (!id) throw invalidCourse(`Course "${course}" needs an id of letters or digits`);
+
+    const universities = (Array.isArray(input.universities) ? input.universities : String(input.universities ?? '').split(','))
+        .map(university => String(university).trim())
+        .filter(Boolean);
+    if (universities.length === 0) throw invalidCourse(`List at least one university for "${course}"`);
+
+    const utme = subjectList(input.utmeSubjects, 'utmeSubjects', course);
+    const utmeGroups = utme.split(',');
+    const recognised = requiredSubjects(utme);
+    if (recognised.length !== utmeGroups.length) {
+        throw invalidCourse(`utmeSubjects of "${course}" names a subject that is not recognised: ${utme}`);
+    }
+    if (recognised.length !== UTME_COURSE_SUBJECTS || recognised.some(group => group.includes('English'))) {
+        throw invalidCourse(`utmeSubjects of "${course}" must name ${UTME_COURSE_SUBJECTS} subjects besides English`);
+    }
+
+    const olevelRequired = subjectList(input.olevelRequired, 'olevelRequired', course);
+    if (requiredSubjects(olevelRequired).length === 0) {
+        throw invalidCourse(`olevelRequired of "${course}" names no recognised subject`);
+    }
+
+    const cutoff = Number(input.cutoff);
+    if (!Number.isInteger(cutoff) || cutoff < 100 || cutoff > 400) {
+        throw invalidCourse(`cutoff of "${course}" must be a whole UTME score between 100 and 400`);
+    }
+
+    return {
+        id,
+        course,
+        ...(input.faculty && { faculty: String(input.faculty).trim() }),
+        universities,
+        utmeSubjects: utme,
+        olevelRequired,
+        cutoff
+    };
+}
+
+/**
+ * Check a whole catalog
+ * @returns {Object} { version, updatedAt, courses }
+ * @throws {Error} code 'INVALID_CATALOG' (the message names the course at fault)
+ */
+function validateCatalog(catalog) {
+    const invalid = message => Object.assign(new Error(`Course catalog: ${message}`), { code: 'INVALID_CATALOG' });
+
+    if (!catalog || !Array.isArray(catalog.courses)) throw invalid('needs a list of courses');
+    if (!Number.isInteger(catalog.version) || catalog.version < 1) throw invalid('needs a version number (1 or more)');
+
+    const ids = new Set();
+    const courses = catalog.courses.map((entry, index) => {
+        let course;
+        try {
+            course = validateCourse(entry);
+        } catch (error) {
+            throw invalid(`entry ${index + 1}: ${error.message}`);
+        }
+        if (ids.has(course.id)) throw invalid(`course id "${course.id}" appears twice`);
+        ids.add(course.id);
+        return course;
+    });
+
+    return { version: catalog.version, updatedAt: catalog.updatedAt || null, courses };
+}
+
+/**
+ * Read and check a catalog file
+ * @throws {Error} code 'INVALID_CATALOG' when it cannot be read or does not check out
+ */
+function loadCatalog(filePath) {
+    let catalog;
+    try {
+        catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw Object.assign(new Error(`Course catalog ${filePath} cannot be read: ${error.message}`), { code: 'INVALID_CATALOG' });
+    }
+    return validateCatalog(catalog);
+}
+
+/**
+ * A catalog entry in the shape of a course recommendation
+ */
+function toRecommendation(course) {
+    return {
+        course: course.course,
+        university: course.universities.join(', '),
+        reason: '',
+        jamb_cutoff: `${course.cutoff}+`,
+        waec_required: course.olevelRequired,
+        utme_subjects: course.utmeSubjects,
+        catalogId: course.id
+    };
+}
+
+/**
+ * The course's UTME subjects (besides English) the student takes, the best of each alternative,
+ * and the subjects the student has no scores in – English, UTME or O'level – which any judgement
+ * of the course has to assume (utmeAssumed of them are UTME subjects)
+ */
+function courseFit(course, scores) {
+    const byCanonical = new Map();
+    Object.entries(scores || {}).forEach(([subject, score]) => {
+        const value = parseFloat(score);
+        if (!isNaN(value)) byCanonical.set(canonicalSubject(subject) || subject, value);
+    });
+
+    const taken = [];
+    const assumes = byCanonical.has('English') ? [] : ['English'];
+    requiredSubjects(course.utmeSubjects).forEach(alternatives => {
+        const offered = alternatives.filter(subject => byCanonical.has(subject));
+        if (offered.length === 0) {
+            assumes.push(alternatives.join('/'));
+            return;
+        }
+        const best = offered.reduce((a, b) => (byCanonical.get(b) > byCanonical.get(a) ? b : a));
+        taken.push({ subject: best, average: byCanonical.get(best) });
+    });
+    const utmeAssumed = assumes.length;
+    // O'level subjects not taken, unless already assumed for the UTME (as one of its alternatives)
+    const covered = new Set(assumes.flatMap(group => group.split('/')));
+    creditEligibility(course.olevelRequired, scores).notTaken.forEach(group => {
+        const alternatives = group.split('/');
+        if (alternatives.some(subject => covered.has(subject))) return;
+        alternatives.forEach(subject => covered.add(subject));
+        assumes.push(group);
+    });
+
+    const fit = taken.length > 0 ? taken.reduce((sum, { average }) => sum + average, 0) / taken.length : null;
+    return { taken, fit, assumes, utmeAssumed };
+}
+
+/**
+ * Catalog courses for one student, best first. Courses needing a credit in a subject the student
+ * is below one in are left out. Courses the student has scores for throughout come first: those
+ * whose cutoff the projected UTME score reaches before those it does not; within each, the higher
+ * the student's average in the course's UTME subjects, the better the fit, and of equal fits the
+ * smaller gap to the cutoff. Courses naming a subject the student has no scores in follow, fewest
+ * such UTME subjects first, then fewest in all, then by fit; they list those subjects in `assumes`
+ * and their reason says so.
+ * @param {Array} courses - catalog entries
+ * @param {Object} scores - { subject: average }
+ * @returns {Array} Course recommendations ({ course, university, reason, jamb_cutoff, waec_required, utme_subjects, catalogId, assumes? })
+ */
+function rankCourses(courses, scores, limit = RECOMMENDED_COURSES) {
+    const round = value => Math.round(value * 10) / 10;
+    const gap = utme => utme?.gapToCutoff ?? Infinity;
+
+    return courses
+        .filter(course => creditEligibility(course.olevelRequired, scores).eligible !== false)
+        .map(course => {
+            const recommendation = toRecommendation(course);
+            return { recommendation, utme: estimateUtme(recommendation, scores), ...courseFit(course, scores) };
+        })
+        .sort((a, b) => a.utmeAssumed - b.utmeAssumed || a.assumes.length - b.assumes.length ||
+            (a.assumes.length === 0 && (gap(a.utme) > 0) - (gap(b.utme) > 0)) ||
+            (b.fit ?? -1) - (a.fit ?? -1) ||
+            gap(a.utme) - gap(b.utme))
+        .slice(0, limit)
+        .map(({ recommendation, utme, fit, taken, assumes, utmeAssumed }) => {
+            const reason = [
+                fit === null
+                    ? 'No scores in its UTME subjects'
+                    : `Averages ${round(fit)}% in ${taken.map(({ subject }) => subject).join(', ')}`,
+                ...(assumes.length > 0 ? [`assumes ${assumes.join(', ')} (no scores in this upload)`] : []),
+                // A projection standing in other subjects for UTME ones would only mislead
+                ...(utme && utmeAssumed === 0 ? [`projected UTME ${utme.estimate} against a cutoff of ${utme.cutoff}`] : [])
+            ];
+            return {
+                ...recommendation,
+                reason: reason.join('; '),
+                ...(assumes.length > 0 && { assumes })
+            };
+        });
+}
+
+/**
+ * Why rankCourses has nothing for a student: an empty catalog, or a credit missing for every course
+ */
+function noCoursesReason(courses, scores) {
+    if (courses.length === 0) return 'The course catalog has no courses';
+
+    const belowCredit = new Set(courses.flatMap(course => creditEligibility(course.olevelRequired, scores).belowCredit));
+    return `Every catalog course needs a credit (C6 or better) in a subject the student is below it in: ${[...belowCredit].join(', ')}`;
+}
+
+module.exports = {
+    RECOMMENDED_COURSES,
+    validateCourse,
+    validateCatalog,
+    loadCatalog,
+    toRecommendation,
+    rankCourses,
+    noCoursesReason
+};
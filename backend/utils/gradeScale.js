@@ -0,0 +1,121 @@
+// WAEC / NECO / GCE grade scale: score bands, letter grades (A1–F9) and credit passes.
+// A letter grade read from a sheet stands for the midpoint of its band, so "B3" counts as 67.
+const { canonicalSubject } = require('./subjects');
+
+// A credit pass (C6 or better) is what university admission asks for in each required subject
+const CREDIT_PASS_SCORE = 50;
+
+const WAEC_GRADES = [
+    { grade: 'A1', min: 75, max: 100, remark: 'Excellent' },
+    { grade: 'B2', min: 70, max: 74, remark: 'Very Good' },
+    { grade: 'B3', min: 65, max: 69, remark: 'Good' },
+    { grade: 'C4', min: 60, max: 64, remark: 'Credit' },
+    { grade: 'C5', min: 55, max: 59, remark: 'Credit' },
+    { grade: 'C6', min: 50, max: 54, remark: 'Credit' },
+    { grade: 'D7', min: 45, max: 49, remark: 'Pass' },
+    { grade: 'E8', min: 40, max: 44, remark: 'Pass' },
+    { grade: 'F9', min: 0, max: 39, remark: 'Fail' }
+].map((band, index) => ({
+    ...band,
+    points: index + 1,
+    score: Math.round((band.min + band.max) / 2),
+    credit: band.min >= CREDIT_PASS_SCORE
+}));
+
+const BY_GRADE = new Map(WAEC_GRADES.map(band => [band.grade, band]));
+
+/**
+ * The band of a letter grade ("B3", "b 3", "C6*"), or null when the value is not one
+ */
+function parseGrade(value) {
+    const match = String(value ?? '').trim().toUpperCase().match(/^([A-F])\s*([1-9])\*?$/);
+    return match ? BY_GRADE.get(`${match[1]}${match[2]}`) || null : null;
+}
+
+/**
+ * The band a score (0–100) falls in
+ */
+function gradeForScore(score) {
+    const value = Number(score);
+    if (!Number.isFinite(value)) return null;
+    return WAEC_GRADES.find(band => value >= band.min) || WAEC_GRADES[WAEC_GRADES.length - 1];
+}
+
+/**
+ * A sheet cell as a score: numbers as they are, letter grades as their band midpoint
+ * @returns {number|null} null for an empty cell, NaN for anything else
+ */
+function toScore(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    if (typeof value === 'number') return value;
+
+    const band = parseGrade(value);
+    if (band) return band.score;
+    const number = Number(String(value).trim().replace(/%$/, ''));
+    return Number.isNaN(number) ? NaN : number;
+}
+
+function isCreditPass(score) {
+    return Number(score) >= CREDIT_PASS_SCORE;
+}
+
+/**
+ * Subjects a course's O'Level requirement names, e.g.
+ * "Mathematics, Physics, Government/Commerce, Any Arts subject" → [['Mathematics'], ['Physics'], ['Government', 'Commerce']]
+ * "Any ..." entries name no subject and are left out; brackets mark alternatives, not optional subjects.
+ */
+function requiredSubjects(requirement) {
+    return String(requirement || '')
+        .replace(/[()]/g, '')
+        .split(',')
+        .map(item => item.split('/')
+            .map(subject => canonicalSubject(subject) || canonicalSubject(subject.replace(/\bmath\b/i, 'Mathematics')))
+            .filter(Boolean))
+        .filter(alternatives => alternatives.length > 0);
+}
+
+/**
+ * Whether a student has credit passes in a course's required subjects
+ * @param {string} requirement - e.g. the waec_required text of a course recommendation
+ * @param {Object} scores - { subject: score } (any subject naming; matched by canonical name)
+ * @returns {Object} { eligible, credits: ['Mathematics (B3)'], belowCredit: ['Physics (D7)'], notTaken: ['Chemistry'] }
+ *   eligible is false when a required subject is below C6, null when one has no score, else true
+ */
+function creditEligibility(requirement, scores) {
+    const byCanonical = new Map();
+    Object.entries(scores || {}).forEach(([subject, score]) => {
+        const value = toScore(score);
+        if (value !== null && !Number.isNaN(value)) byCanonical.set(canonicalSubject(subject) || subject, value);
+    });
+
+    const result = { eligible: true, credits: [], belowCredit: [], notTaken: [] };
+
+    requiredSubjects(requirement).forEach(alternatives => {
+        const taken = alternatives.filter(subject => byCanonical.has(subject));
+        if (taken.length === 0) {
+            result.notTaken.push(alternatives.join('/'));
+            return;
+        }
+
+        // With alternatives (Government/Commerce) the best one counts
+        const best = taken.reduce((a, b) => (byCanonical.get(b) > byCanonical.get(a) ? b : a));
+        const score = byCanonical.get(best);
+        const label = `${best} (${gradeForScore(score).grade})`;
+        (isCreditPass(score) ? result.credits : result.belowCredit).push(label);
+    });
+
+    if (result.belowCredit.length > 0) result.eligible = false;
+    else if (result.notTaken.length > 0) result.eligible = null;
+    return result;
+}
+
+module.exports = {
+    CREDIT_PASS_SCORE,
+    WAEC_GRADES,
+    parseGrade,
+    gradeForScore,
+    toScore,
+    isCreditPass,
+    requiredSubjects,
+    creditEligibility
+};
@@ -0,0 +1,111 @@
+// JAMB UTME estimates. The UTME is four papers of 100 marks each – Use of English and three
+// subjects the course asks for – so a student's projected score for a course comes from their
+// school averages in English and in the course's UTME subjects (utme_subjects, from the course
+// catalog), or else the three best of its O'level required subjects they take.
+// School averages run above UTME marks, so each average is scaled by UTME_SCALE, and the range
+// around the estimate is ±UTME_SPREAD. The estimate is then set against the course's JAMB cutoff:
+// the gap to it, and the subjects that need to rise most to close it.
+const { requiredSubjects } = require('./gradeScale');
+const { canonicalSubject } = require('./subjects');
+
+const UTME_SUBJECTS = 4;
+const UTME_MAX = 400;
+
+// UTME mark per school average point, and the uncertainty of an estimate in UTME points
+const UTME_SCALE = 0.8;
+const UTME_SPREAD = 25;
+
+// Weakest subjects named as priorities for a course the estimate does not clear
+const PRIORITY_SUBJECTS = 2;
+
+/**
+ * '260+', 260, 'About 250' → 260 / 260 / 250; null when no cutoff can be read
+ */
+function parseCutoff(cutoff) {
+    if (typeof cutoff === 'number') return Number.isFinite(cutoff) ? cutoff : null;
+    const match = String(cutoff ?? '').match(/\d{3}/);
+    return match ? Number(match[0]) : null;
+}
+
+/**
+ * The four UTME subjects for a course: English, then the student's best score in each of the
+ * course's other required subjects (three at most); when the course names fewer than three, the
+ * student's best remaining subjects fill in and are listed as assumed
+ * @returns {Object|null} { subjects: [{ subject, average }], assumed: [subject] }, or null
+ *   without an English score or four subjects in all
+ */
+function utmeSubjects(requirement, scores) {
+    const byCanonical = new Map();
+    Object.entries(scores || {}).forEach(([subject, score]) => {
+        const value = parseFloat(score);
+        if (!isNaN(value)) byCanonical.set(canonicalSubject(subject) || subject, value);
+    });
+    if (!byCanonical.has('English')) return null;
+
+    const chosen = ['English'];
+    requiredSubjects(requirement).forEach(alternatives => {
+        const taken = alternatives.filter(subject => byCanonical.has(subject) && !chosen.includes(subject));
+        if (taken.length === 0) return;
+        chosen.push(taken.reduce((a, b) => (byCanonical.get(b) > byCanonical.get(a) ? b : a)));
+    });
+
+    const [english, ...required] = chosen;
+    const picked = [english, ...required.sort((a, b) => byCanonical.get(b) - byCanonical.get(a)).slice(0, UTME_SUBJECTS - 1)];
+    const assumed = [...byCanonical.keys()]
+        .filter(subject => !picked.includes(subject))
+        .sort((a, b) => byCanonical.get(b) - byCanonical.get(a))
+        .slice(0, UTME_SUBJECTS - picked.length);
+    if (picked.length + assumed.length < UTME_SUBJECTS) return null;
+
+    return {
+        subjects: [...picked, ...assumed].map(subject => ({ subject, average: byCanonical.get(subject) })),
+        assumed
+    };
+}
+
+/**
+ * Projected UTME score for a course, and how far it is from the cutoff
+ * @param {Object} course - a course recommendation ({ utme_subjects?, waec_required, jamb_cutoff })
+ * @param {Object} scores - { subject: average } (any subject naming; matched by canonical name)
+ * @returns {Object|null} { subjects, assumed, estimate, low, high, cutoff, gapToCutoff, status, prioritySubjects }
+ *   – gapToCutoff is the points still needed (0 when the estimate reaches the cutoff), status is
+ *   'above' (the whole range clears it), 'borderline' (the range straddles it) or 'below';
+ *   unless it is 'above', prioritySubjects are the (at most two) weakest UTME subjects below the
+ *   average that would reach the cutoff, as { subject, average, target }.
+ *   null when there are not four subjects to estimate from
+ */
+function estimateUtme(course, scores) {
+    const picked = utmeSubjects(course?.utme_subjects || course?.waec_required, scores);
+    if (!picked) return null;
+
+    const clamp = value => Math.min(UTME_MAX, Math.max(0, Math.round(value)));
+    const estimate = clamp(picked.subjects.reduce((sum, { average }) => sum + average * UTME_SCALE, 0));
+    const result = {
+        subjects: picked.subjects.map(({ subject }) => subject),
+        assumed: picked.assumed,
+        estimate,
+        low: clamp(estimate - UTME_SPREAD),
+        high: clamp(estimate + UTME_SPREAD),
+        cutoff: parseCutoff(course.jamb_cutoff),
+        gapToCutoff: null,
+        status: null,
+        prioritySubjects: []
+    };
+    if (result.cutoff === null) return result;
+
+    // School average in each subject that, scaled, would reach the cutoff
+    const target = Math.round((result.cutoff / UTME_SUBJECTS / UTME_SCALE) * 10) / 10;
+
+    result.gapToCutoff = Math.max(0, result.cutoff - estimate);
+    result.status = result.low >= result.cutoff ? 'above' : result.high >= result.cutoff ? 'borderline' : 'below';
+    if (result.status !== 'above') {
+        result.prioritySubjects = picked.subjects
+            .filter(({ average }) => average < target)
+            .sort((a, b) => a.average - b.average)
+            .slice(0, PRIORITY_SUBJECTS)
+            .map(({ subject, average }) => ({ subject, average, target }));
+    }
+    return result;
+}
+
+module.exports = { UTME_SCALE, UTME_SPREAD, parseCutoff, utmeSubjects, estimateUtme };
@@ -0,0 +1,221 @@
+// Language model backends for services/llm.js.
+// A provider only turns a prompt into text; prompts and parsing live with the code that calls it.
+// generate(prompt, { temperature, maxOutputTokens, topP, topK }) resolves to
+// { text, finishReason, model }, where finishReason is 'stop', 'length' (cut off at
+// maxOutputTokens) or the backend's own reason in lower case.
+const crypto = require('crypto');
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash',
+    mock: 'mock-1'
+};
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+class GeminiProvider {
+    constructor(options = {}) {
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+        this.name = 'gemini';
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.model = options.model || process.env.LLM_MODEL || DEFAULT_MODELS.gemini;
+        this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+
+    async generate(prompt, options = {}) {
+        const model = this.client.getGenerativeModel({
+            model: this.model,
+            generationConfig: {
+                temperature: options.temperature,
+                maxOutputTokens: options.maxOutputTokens,
+                topK: options.topK,
+                topP: options.topP
+            }
+        });
+
+        const result = await model.generateContent(prompt);
+        const response = await result.response;
+        const finishReason = response.candidates?.[0]?.finishReason;
+
+        return {
+            text: response.text(),
+            finishReason: finishReason === 'MAX_TOKENS' ? 'length' : String(finishReason || 'stop').toLowerCase(),
+            model: this.model
+        };
+    }
+
+    async listModels() {
+        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${this.apiKey}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        return (data.models || [])
+            .filter(m => m.supportedGenerationMethods.includes('generateContent'))
+            .map(m => ({ name: m.name.replace('models/', ''), displayName: m.displayName }));
+    }
+}
+
+/**
+ * Any server with the OpenAI chat completions API – OpenAI itself, or a local
+ * Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+ */
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL).replace(/\/$/, '');
+        this.apiKey = options.apiKey ?? process.env.LLM_API_KEY;
+        this.model = options.model || process.env.LLM_MODEL;
+    }
+
+    async request(pathName, init = {}) {
+        const response = await fetch(`${this.baseUrl}${pathName}`, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            }
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`LLM request failed: HTTP ${response.status}${body ? ` ${body.slice(0, 200)}` : ''}`);
+        }
+        return response.json();
+    }
+
+    async generate(prompt, options = {}) {
+        const data = await this.request('/chat/completions', {
+            method: 'POST',
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature,
+                max_tokens: options.maxOutputTokens,
+                top_p: options.topP
+            })
+        });
+        const choice = data.choices?.[0];
+
+        return {
+            text: choice?.message?.content || '',
+            finishReason: String(choice?.finish_reason || 'stop').toLowerCase(),
+            model: data.model || this.model
+        };
+    }
+
+    async listModels() {
+        const data = await this.request('/models');
+        return (data.data || []).map(m => ({ name: m.id, displayName: m.id }));
+    }
+}
+
+/**
+ * Answers without any network – the same prompt always gets the same reply, so the
+ * whole system can run offline and in tests. Student analysis prompts (a JSON array
+ * with "student_id" entries) get one entry per student listed in the prompt; any other
+ * prompt gets a short fixed reply. options.reply(prompt, options) overrides both.
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || process.env.LLM_MODEL || DEFAULT_MODELS.mock;
+        this.reply = options.reply || mockReply;
+    }
+
+    async generate(prompt, options = {}) {
+        return { text: this.reply(prompt, options), finishReason: 'stop', model: this.model };
+    }
+
+    async listModels() {
+        return [{ name: this.model, displayName: 'Deterministic mock' }];
+    }
+}
+
+// Course the mock recommends for a student's strongest subjects
+const MOCK_COURSES = {
+    Mathematics: { course: 'Computer Science', waec_required: 'English, Mathematics, Physics, Chemistry' },
+    'Further Mathematics': { course: 'Mathematics', waec_required: 'English, Mathematics, Physics, Chemistry' },
+    Physics: { course: 'Electrical Engineering', waec_required: 'English, Mathematics, Physics, Chemistry' },
+    Chemistry: { course: 'Pharmacy', waec_required: 'English, Mathematics, Physics, Chemistry, Biology' },
+    Biology: { course: 'Medicine and Surgery', waec_required: 'English, Mathematics, Physics, Chemistry, Biology' },
+    Economics: { course: 'Economics', waec_required: 'English, Mathematics, Economics' },
+    Accounting: { course: 'Accounting', waec_required: 'English, Mathematics, Economics' },
+    Government: { course: 'Political Science', waec_required: 'English, Mathematics, Government' },
+    'Literature in English': { course: 'English and Literary Studies', waec_required: 'English, Mathematics, Literature in English' }
+};
+const MOCK_FALLBACK_COURSE = { course: 'Education', waec_required: 'English, Mathematics' };
+
+function mockReply(prompt) {
+    if (prompt.includes('"student_id"')) {
+        return JSON.stringify(mockStudents(prompt));
+    }
+    const fingerprint = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+    return `This is a mock reply (prompt ${fingerprint}). Set LLM_PROVIDER to gemini or openai for real answers.`;
+}
+
+// Students listed as "Student 1 (Name, Arm):" followed by "  Subject: 72/100 ..." lines
+function mockStudents(prompt) {
+    const students = [];
+    let current = null;
+
+    prompt.split('\n').forEach(line => {
+        const student = line.match(/^Student \d+ \((.+?)(?:, [^,()]+)?\):\s*$/);
+        if (student) {
+            current = { name: student[1], scores: [] };
+            students.push(current);
+            return;
+        }
+        const score = current && line.match(/^\s+(.+?): (\d+(?:\.\d+)?)\/100/);
+        if (score) current.scores.push([score[1], parseFloat(score[2])]);
+        else if (current && line.trim() === '') current = null;
+    });
+
+    return students.map(({ name, scores }) => {
+        const ranked = scores.sort((a, b) => b[1] - a[1]);
+        const strengths = ranked.filter(([, score]) => score >= 70).slice(0, 3).map(([subject]) => subject);
+        const average = scores.length ? scores.reduce((sum, [, score]) => sum + score, 0) / scores.length : 0;
+        const courses = [...new Set(ranked.map(([subject]) => MOCK_COURSES[subject]).filter(Boolean))].slice(0, 3);
+
+        return {
+            student_id: name,
+            strengths,
+            insight: `Averages ${average.toFixed(1)}% across ${scores.length} subjects${strengths.length ? `, strongest in ${strengths.join(', ')}` : ''}.`,
+            recommendations: (courses.length ? courses : [MOCK_FALLBACK_COURSE]).map(({ course, waec_required }) => ({
+                course,
+                university: 'UNILAG, OAU, UI',
+                reason: `Matches the student's results in ${ranked[0]?.[0] || 'their subjects'}`,
+                jamb_cutoff: average >= 70 ? '250+' : '200+',
+                waec_required
+            }))
+        };
+    });
+}
+
+/**
+ * Pick a provider from LLM_PROVIDER: 'gemini' (the default when GEMINI_API_KEY is set),
+ * 'openai', 'mock' or 'none'
+ * @returns {Object|null} The provider, or null for 'none'
+ */
+function createLLMProvider(type = process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'none')) {
+    if (type === 'none') {
+        return null;
+    }
+    if (type === 'gemini') {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('LLM_PROVIDER=gemini needs GEMINI_API_KEY.');
+        }
+        return new GeminiProvider();
+    }
+    if (type === 'openai') {
+        if (!process.env.LLM_BASE_URL || !process.env.LLM_MODEL) {
+            throw new Error('LLM_PROVIDER=openai needs LLM_BASE_URL and LLM_MODEL.');
+        }
+        return new OpenAICompatibleProvider();
+    }
+    if (type === 'mock') {
+        return new MockProvider();
+    }
+    throw new Error(`Unknown LLM_PROVIDER "${type}". Use "gemini", "openai", "mock" or "none".`);
+}
+
+module.exports = { GeminiProvider, OpenAICompatibleProvider, MockProvider, createLLMProvider };
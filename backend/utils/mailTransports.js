@@ -0,0 +1,81 @@
+// Delivery backends for the mailer.
+// A transport only delivers a message; templates and links live in services/mailer.js.
+// Message shape: { to, subject, text, html }
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prints messages to the console – handy in development
+ */
+class ConsoleMailTransport {
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { delivered: true };
+    }
+}
+
+/**
+ * Writes each message as a JSON file – lets tests and developers read the links that were sent
+ */
+class FileMailTransport {
+    constructor(directory = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail')) {
+        this.directory = directory;
+    }
+
+    async send(message) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const sentAt = new Date().toISOString();
+        const fileName = `${sentAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(this.directory, fileName);
+        fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt }, null, 2));
+
+        return { delivered: true, filePath };
+    }
+}
+
+/**
+ * Sends real mail through an SMTP server (production)
+ */
+class SmtpMailTransport {
+    constructor(options = {}) {
+        const nodemailer = require('nodemailer');
+
+        this.from = options.from || process.env.MAIL_FROM;
+        this.transporter = nodemailer.createTransport({
+            host: options.host || process.env.SMTP_HOST,
+            port: Number(options.port || process.env.SMTP_PORT || 587),
+            secure: (options.secure ?? process.env.SMTP_SECURE) === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail({ from: this.from, ...message });
+        return { delivered: true, messageId: info.messageId };
+    }
+}
+
+/**
+ * Pick a transport from MAIL_TRANSPORT ('console' by default, 'file' or 'smtp')
+ */
+function createMailTransport(type = process.env.MAIL_TRANSPORT || 'console') {
+    if (type === 'console') {
+        return new ConsoleMailTransport();
+    }
+    if (type === 'file') {
+        return new FileMailTransport();
+    }
+    if (type === 'smtp') {
+        if (!process.env.SMTP_HOST || !process.env.MAIL_FROM) {
+            throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST and MAIL_FROM.');
+        }
+        return new SmtpMailTransport();
+    }
+    throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use "console", "file" or "smtp".`);
+}
+
+module.exports = { ConsoleMailTransport, FileMailTransport, SmtpMailTransport, createMailTransport };
@@ -0,0 +1,178 @@
+// Storage backends for AnalysisCache.
+// A store only persists entries; expiry and eviction policy live in AnalysisCache.
+// Entry shape: { data, ownerId, schoolId, timestamp, expiresAt, lastAccessedAt } (times in ms since epoch, timestamp ISO)
+
+/**
+ * In-process store – fast, but sessions are lost on restart
+ */
+class MemorySessionStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(sessionId) {
+        return this.entries.get(sessionId);
+    }
+
+    set(sessionId, entry) {
+        // Re-insert so Map order stays oldest-access first
+        this.entries.delete(sessionId);
+        this.entries.set(sessionId, entry);
+    }
+
+    touch(sessionId, lastAccessedAt) {
+        const entry = this.entries.get(sessionId);
+        if (entry) this.set(sessionId, { ...entry, lastAccessedAt });
+    }
+
+    delete(sessionId) {
+        return this.entries.delete(sessionId);
+    }
+
+    list({ ownerId, schoolId } = {}) {
+        return Array.from(this.entries.entries())
+            .filter(([_, entry]) => ownerId === undefined || entry.ownerId === ownerId)
+            .filter(([_, entry]) => schoolId === undefined || (entry.schoolId ?? null) === schoolId)
+            .map(([sessionId, entry]) => ({ sessionId, ...entry }));
+    }
+
+    deleteExpired(now) {
+        let removed = 0;
+        this.entries.forEach((entry, sessionId) => {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(sessionId);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    deleteLeastRecentlyUsed(count) {
+        const victims = Array.from(this.entries.keys()).slice(0, count);
+        victims.forEach(sessionId => this.entries.delete(sessionId));
+        return victims.length;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * SQLite-backed store – sessions survive restarts and live on disk, not in the heap
+ */
+class SqliteSessionStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    get(sessionId) {
+        const row = this.db.prepare('SELECT * FROM analysis_sessions WHERE session_id = ?').get(sessionId);
+        return row ? this.toEntry(row) : undefined;
+    }
+
+    set(sessionId, entry) {
+        this.db.prepare(`
+            INSERT INTO analysis_sessions (session_id, data, owner_id, school_id, created_at, last_accessed_at, expires_at)
+            VALUES (@sessionId, @data, @ownerId, @schoolId, @createdAt, @lastAccessedAt, @expiresAt)
+            ON CONFLICT (session_id) DO UPDATE SET
+                data = excluded.data,
+                owner_id = excluded.owner_id,
+                school_id = excluded.school_id,
+                created_at = excluded.created_at,
+                last_accessed_at = excluded.last_accessed_at,
+                expires_at = excluded.expires_at
+        `).run({
+            sessionId,
+            data: JSON.stringify(entry.data),
+            ownerId: entry.ownerId ?? null,
+            schoolId: entry.schoolId ?? null,
+            createdAt: entry.timestamp,
+            lastAccessedAt: entry.lastAccessedAt,
+            expiresAt: entry.expiresAt
+        });
+    }
+
+    touch(sessionId, lastAccessedAt) {
+        this.db.prepare('UPDATE analysis_sessions SET last_accessed_at = ? WHERE session_id = ?')
+            .run(lastAccessedAt, sessionId);
+    }
+
+    delete(sessionId) {
+        return this.db.prepare('DELETE FROM analysis_sessions WHERE session_id = ?').run(sessionId).changes > 0;
+    }
+
+    list({ ownerId, schoolId } = {}) {
+        // Listing never needs the (potentially large) payload
+        const conditions = [];
+        if (ownerId !== undefined) conditions.push('owner_id = @ownerId');
+        if (schoolId !== undefined) conditions.push('school_id IS @schoolId');
+        const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.db.prepare(`
+            SELECT session_id, owner_id, school_id, created_at, last_accessed_at, expires_at, length(data) > 0 AS has_data
+            FROM analysis_sessions
+            ${filter}
+            ORDER BY last_accessed_at
+        `).all({ ownerId, schoolId }).map(row => ({
+            sessionId: row.session_id,
+            ownerId: row.owner_id,
+            schoolId: row.school_id,
+            timestamp: row.created_at,
+            lastAccessedAt: row.last_accessed_at,
+            expiresAt: row.expires_at,
+            hasData: !!row.has_data
+        }));
+    }
+
+    deleteExpired(now) {
+        return this.db.prepare('DELETE FROM analysis_sessions WHERE expires_at <= ?').run(now).changes;
+    }
+
+    deleteLeastRecentlyUsed(count) {
+        return this.db.prepare(`
+            DELETE FROM analysis_sessions WHERE session_id IN (
+                SELECT session_id FROM analysis_sessions ORDER BY last_accessed_at LIMIT ?
+            )
+        `).run(count).changes;
+    }
+
+    clear() {
+        this.db.prepare('DELETE FROM analysis_sessions').run();
+    }
+
+    size() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM analysis_sessions').get().count;
+    }
+
+    toEntry(row) {
+        return {
+            data: JSON.parse(row.data),
+            ownerId: row.owner_id,
+            schoolId: row.school_id,
+            timestamp: row.created_at,
+            lastAccessedAt: row.last_accessed_at,
+            expiresAt: row.expires_at
+        };
+    }
+}
+
+/**
+ * Pick a store from ANALYSIS_STORE ('sqlite' by default, or 'memory')
+ */
+function createSessionStore(type = process.env.ANALYSIS_STORE || 'sqlite') {
+    if (type === 'memory') {
+        return new MemorySessionStore();
+    }
+    if (type === 'sqlite') {
+        const { db } = require('../db');
+        return new SqliteSessionStore(db);
+    }
+    throw new Error(`Unknown ANALYSIS_STORE "${type}". Use "sqlite" or "memory".`);
+}
+
+module.exports = { MemorySessionStore, SqliteSessionStore, createSessionStore };
@@ -0,0 +1,65 @@
+// Class statistics per subject, over each student's average in that subject:
+// mean, median, standard deviation, quartiles, and how many reach a credit (C6, 50+),
+// a distinction (A1, 75+) or fail (F9, below 40).
+const ss = require('simple-statistics');
+const { CREDIT_PASS_SCORE } = require('./gradeScale');
+
+const DISTINCTION_SCORE = 75;
+const FAIL_BELOW = 40;
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function rate(count, total) {
+    return total > 0 ? round((count / total) * 100) : 0;
+}
+
+/**
+ * @param {Object} studentData - aggregateStudentData output: { name: { subjects: { subject: average } } }
+ * @returns {Array} One row per subject, by subject name:
+ *   { subject, students, mean, median, standardDeviation, min, max, quartiles: { q1, q2, q3 },
+ *     creditPasses, creditPassRate, distinctions, distinctionRate, failures, failureRate } (rates in %)
+ */
+function subjectStatistics(studentData) {
+    const bySubject = {};
+    Object.values(studentData || {}).forEach(student => {
+        Object.entries(student.subjects || {}).forEach(([subject, score]) => {
+            const value = parseFloat(score);
+            if (!isNaN(value)) (bySubject[subject] = bySubject[subject] || []).push(value);
+        });
+    });
+
+    return Object.entries(bySubject)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([subject, scores]) => {
+            const students = scores.length;
+            const creditPasses = scores.filter(score => score >= CREDIT_PASS_SCORE).length;
+            const distinctions = scores.filter(score => score >= DISTINCTION_SCORE).length;
+            const failures = scores.filter(score => score < FAIL_BELOW).length;
+
+            return {
+                subject,
+                students,
+                mean: round(ss.mean(scores)),
+                median: round(ss.median(scores)),
+                standardDeviation: round(ss.standardDeviation(scores)),
+                min: round(ss.min(scores)),
+                max: round(ss.max(scores)),
+                quartiles: {
+                    q1: round(ss.quantile(scores, 0.25)),
+                    q2: round(ss.quantile(scores, 0.5)),
+                    q3: round(ss.quantile(scores, 0.75))
+                },
+                creditPasses,
+                creditPassRate: rate(creditPasses, students),
+                distinctions,
+                distinctionRate: rate(distinctions, students),
+                failures,
+                failureRate: rate(failures, students)
+            };
+        });
+}
+
+module.exports = { DISTINCTION_SCORE, FAIL_BELOW, subjectStatistics };
@@ -0,0 +1,56 @@
+// Senior secondary (WAEC/NECO) subjects and the short names schools use for them.
+// Anything not listed is reported as an unknown subject when an upload is validated.
+
+const KNOWN_SUBJECTS = [
+    'English', 'Mathematics', 'Further Mathematics',
+    'Physics', 'Chemistry', 'Biology', 'Agricultural Science',
+    'Economics', 'Government', 'Literature', 'History', 'Geography',
+    'Civic Education', 'CRS', 'IRS',
+    'Commerce', 'Financial Accounting', 'Marketing', 'Office Practice',
+    'Computer Studies', 'Data Processing', 'Technical Drawing',
+    'Food and Nutrition', 'Home Management', 'Animal Husbandry',
+    'Visual Art', 'Music', 'Physical Education', 'Health Education',
+    'French', 'Arabic', 'Yoruba', 'Igbo', 'Hausa'
+];
+
+// lower-case alias → canonical name
+const SUBJECT_ALIASES = {
+    'english language': 'English',
+    'use of english': 'English',
+    'eng language': 'English',
+    'eng. language': 'English',
+    'maths': 'Mathematics',
+    'math': 'Mathematics',
+    'general mathematics': 'Mathematics',
+    'further maths': 'Further Mathematics',
+    'agric': 'Agricultural Science',
+    'agriculture': 'Agricultural Science',
+    'literature in english': 'Literature',
+    'lit in english': 'Literature',
+    'crk': 'CRS',
+    'christian religious studies': 'CRS',
+    'christian religious knowledge': 'CRS',
+    'irk': 'IRS',
+    'islamic religious studies': 'IRS',
+    'islamic studies': 'IRS',
+    'accounting': 'Financial Accounting',
+    'accounts': 'Financial Accounting',
+    'computer science': 'Computer Studies',
+    'ict': 'Computer Studies',
+    'fine art': 'Visual Art',
+    'fine arts': 'Visual Art',
+    'civic': 'Civic Education',
+    'phe': 'Physical Education'
+};
+
+const CANONICAL = new Map(KNOWN_SUBJECTS.map(subject => [subject.toLowerCase(), subject]));
+
+/**
+ * Canonical name of a subject, or null when it is not a known subject
+ */
+function canonicalSubject(subject) {
+    const key = String(subject ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return CANONICAL.get(key) || SUBJECT_ALIASES[key] || null;
+}
+
+module.exports = { KNOWN_SUBJECTS, SUBJECT_ALIASES, canonicalSubject };
@@ -0,0 +1,142 @@
+// Term-by-term trajectories: how a student's score in a subject moves from SS1 1st term to SS3 3rd term.
+// A trajectory keeps every term's score and summarises it as a slope (points gained or lost per term,
+// least squares), a volatility (standard deviation of the scores around that trend line) and the
+// best and worst terms. A sustained fall or rise at the end, or an erratic record, becomes a flag such as
+// "Declining in Chemistry since SS2 2nd term (78 → 52)".
+const { TERM_COLUMNS, LEGACY_TERM_COLUMNS } = require('./columnMapping');
+
+// Points a run of terms has to fall (or rise) by, over at least MIN_TREND_STEPS term changes, to be flagged
+const TREND_POINTS = 10;
+const MIN_TREND_STEPS = 2;
+
+// Volatility at or above this many points is flagged as inconsistent
+const VOLATILE_POINTS = 10;
+
+// Position of each score column on one axis of terms (SS1 1st term = 0 … SS3 3rd term = 8);
+// a legacy one-score-per-class column sits at that class's 2nd term
+const TERM_POSITION = {
+    ...Object.fromEntries(TERM_COLUMNS.map((column, index) => [column, index])),
+    ...Object.fromEntries(LEGACY_TERM_COLUMNS.map((column, index) => [column, index * 3 + 1]))
+};
+
+/**
+ * 'SS2_2nd' → 'SS2 2nd term', 'SS1_Score' → 'SS1'
+ */
+function termLabel(column) {
+    const [level, term] = column.split('_');
+    return term === 'Score' ? level : `${level} ${term} term`;
+}
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {Object} scores - { SS1_1st: 45, SS2_1st: 60, ... } (any known score columns)
+ * @returns {Object|null} { terms, slope, volatility, best, worst, change, trend } – trend is
+ *   { direction: 'declining'|'improving', since, from, to } for a sustained run at the end;
+ *   null when there are no scores
+ */
+function subjectTrajectory(scores) {
+    const points = Object.entries(scores || {})
+        .filter(([column, score]) => TERM_POSITION[column] !== undefined && Number.isFinite(score))
+        .map(([column, score]) => ({ term: column, x: TERM_POSITION[column], score }))
+        .sort((a, b) => a.x - b.x);
+    if (points.length === 0) return null;
+
+    const best = points.reduce((top, point) => (point.score > top.score ? point : top));
+    const worst = points.reduce((low, point) => (point.score < low.score ? point : low));
+    const trajectory = {
+        terms: Object.fromEntries(points.map(point => [point.term, round(point.score)])),
+        slope: 0,
+        volatility: 0,
+        best: { term: best.term, score: round(best.score) },
+        worst: { term: worst.term, score: round(worst.score) },
+        change: round(points[points.length - 1].score - points[0].score),
+        trend: null
+    };
+    if (points.length < 2) return trajectory;
+
+    // Least-squares line through (term position, score)
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.score, 0) / points.length;
+    const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const slope = points.reduce((sum, point) => sum + (point.x - meanX) * (point.score - meanY), 0) / sxx;
+    const residuals = points.map(point => point.score - (meanY + slope * (point.x - meanX)));
+
+    trajectory.slope = round(slope, 2);
+    trajectory.volatility = round(Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / points.length));
+    trajectory.trend = latestTrend(points);
+    return trajectory;
+}
+
+// The run of terms at the end that only falls (or only rises), if it is long and steep enough
+function latestTrend(points) {
+    const last = points.length - 1;
+    const step = Math.sign(points[last].score - points[last - 1].score);
+    if (step === 0) return null;
+
+    let start = last - 1;
+    while (start > 0 && Math.sign(points[start].score - points[start - 1].score) === step) {
+        start--;
+    }
+
+    const steps = last - start;
+    const moved = points[last].score - points[start].score;
+    if (steps < MIN_TREND_STEPS || Math.abs(moved) < TREND_POINTS) return null;
+
+    return {
+        direction: step < 0 ? 'declining' : 'improving',
+        since: points[start].term,
+        from: round(points[start].score),
+        to: round(points[last].score)
+    };
+}
+
+/**
+ * Trajectories of one student
+ * @param {Object} termScores - { subject: { SS1_1st: 45, ... } }
+ * @returns {Object} { overall, subjects: { subject: trajectory }, flags: [{ type, subject, since?, message }] } –
+ *   overall follows the student's average across subjects term by term
+ */
+function studentTrajectory(termScores) {
+    const subjects = {};
+    const byTerm = {};
+
+    Object.entries(termScores || {}).forEach(([subject, scores]) => {
+        const trajectory = subjectTrajectory(scores);
+        if (!trajectory) return;
+        subjects[subject] = trajectory;
+        Object.entries(trajectory.terms).forEach(([term, score]) => {
+            (byTerm[term] = byTerm[term] || []).push(score);
+        });
+    });
+
+    const overall = subjectTrajectory(Object.fromEntries(Object.entries(byTerm)
+        .map(([term, scores]) => [term, scores.reduce((sum, score) => sum + score, 0) / scores.length])));
+
+    const flags = [];
+    Object.entries(subjects).forEach(([subject, trajectory]) => {
+        const { trend } = trajectory;
+        if (trend) {
+            flags.push({
+                type: trend.direction,
+                subject,
+                since: trend.since,
+                message: `${trend.direction === 'declining' ? 'Declining' : 'Improving'} in ${subject} since ${termLabel(trend.since)} (${trend.from} → ${trend.to})`
+            });
+        }
+        if (trajectory.volatility >= VOLATILE_POINTS) {
+            flags.push({
+                type: 'volatile',
+                subject,
+                message: `Inconsistent in ${subject}: scores swing ±${trajectory.volatility} points around the trend`
+            });
+        }
+    });
+
+    return { overall, subjects, flags };
+}
+
+module.exports = { TREND_POINTS, VOLATILE_POINTS, TERM_POSITION, termLabel, subjectTrajectory, studentTrajectory };
@@ -0,0 +1,83 @@
+// Runs utils/uploadReader in a worker thread so a large upload does not block the event loop.
+// The worker's heap is capped; a file that needs more, or takes too long, is refused as too large.
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, '..', 'workers', 'parseUpload.js');
+const MEMORY_LIMIT_MB = parseInt(process.env.PARSE_WORKER_MEMORY_MB, 10) || 512;
+const TIMEOUT_MS = parseInt(process.env.PARSE_TIMEOUT_MS, 10) || 120000;
+
+function fileTooLarge(message) {
+    const error = new Error(message);
+    error.code = 'FILE_TOO_LARGE';
+    return error;
+}
+
+// Run one uploadReader task ('read' or 'preview') in a worker thread under the memory and time limits
+function runWorker(task, filePath, { onProgress, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: { filePath, options, task },
+            resourceLimits: { maxOldGenerationSizeMb: MEMORY_LIMIT_MB }
+        });
+        let settled = false;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            if (error) reject(error);
+            else resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            finish(fileTooLarge(`File took longer than ${Math.round(TIMEOUT_MS / 1000)}s to read. Split it by class arm or term and upload each part.`));
+        }, TIMEOUT_MS);
+
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === 'result') {
+                finish(null, message.result);
+            } else if (message.type === 'error') {
+                const error = new Error(message.error.message);
+                error.code = message.error.code;
+                finish(error);
+            }
+        });
+
+        worker.on('error', error => {
+            finish(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? fileTooLarge(`File needs more than ${MEMORY_LIMIT_MB} MB to read. Split it by class arm or term and upload each part.`)
+                : error);
+        });
+
+        worker.on('exit', code => finish(new Error(`Upload parser stopped unexpectedly (exit code ${code})`)));
+    });
+}
+
+/**
+ * Read an upload in a worker thread
+ * @param {string} filePath
+ * @param {Object} options - { mapping, scheme, raw, maxRows, onProgress } as for uploadReader.readUpload;
+ *   onProgress is called on this thread with each progress report
+ * @returns {Promise<Object>} { headers, mapping, records, sheets }
+ * @throws {Error} code 'FILE_TOO_LARGE' over the row, memory or time limit; 'INVALID_MAPPING' etc. as the reader throws them
+ */
+function parseUpload(filePath, options = {}) {
+    return runWorker('read', filePath, options);
+}
+
+/**
+ * Header row and broadsheet layout of an upload's first sheet (uploadReader.previewUpload), in a worker thread
+ * @param {string} filePath
+ * @param {Object} options - { scheme }
+ * @returns {Promise<Object>} { headers, broadsheet }
+ * @throws {Error} code 'FILE_TOO_LARGE' over the memory or time limit
+ */
+function previewUpload(filePath, options = {}) {
+    return runWorker('preview', filePath, options);
+}
+
+module.exports = { parseUpload, previewUpload, MEMORY_LIMIT_MB, TIMEOUT_MS };
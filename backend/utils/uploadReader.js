@@ -0,0 +1,353 @@
+// Reads an upload into mapped records (see columnMapping.applyMapping), or its rows as read for
+// callers that map them themselves, without holding more of the file than it has to: CSV is streamed row by row, workbooks are converted one sheet at a time,
+// and a sheet's raw rows are dropped as soon as they are mapped. Runs inside the parse worker
+// (workers/parseUpload.js), which also caps the memory it may use.
+const fs = require('fs');
+const csv = require('csv-parser');
+const {
+    DEFAULT_MAPPING,
+    suggestMapping,
+    mappingMatchesHeaders,
+    applyMapping
+} = require('./columnMapping');
+const { describeSheet, singleScoreHeader, sheetGrid, sheetRows, eachSheet } = require('./workbook');
+const { detectBroadsheet, broadsheetRecords } = require('./broadsheet');
+const { DEFAULT_SCHEME, applyScheme } = require('./assessment');
+
+// Uploads above this many data rows are refused rather than read
+const MAX_ROWS = parseInt(process.env.MAX_UPLOAD_ROWS, 10) || 200000;
+
+// Rows enough to find a broadsheet's header (title rows, term row, subjects, components)
+const PREVIEW_ROWS = 10;
+
+// Rows mapped between progress reports
+const CHUNK_ROWS = 2000;
+
+// SheetJS names the only sheet of a CSV file "Sheet1"
+const CSV_SHEET_NAME = 'Sheet1';
+
+function fileTooLarge(message) {
+    const error = new Error(message);
+    error.code = 'FILE_TOO_LARGE';
+    return error;
+}
+
+function isBlank(cell) {
+    return cell === undefined || cell === null || String(cell).trim() === '';
+}
+
+// Multer stores uploads without their extension, so tell a CSV from a workbook by its first bytes:
+// .xlsx is a zip (PK), .xls an OLE file (D0 CF 11 E0), SpreadsheetML and HTML exports start with "<"
+function isCsvFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const head = Buffer.alloc(8);
+        const length = fs.readSync(fd, head, 0, head.length, 0);
+        const bytes = head.subarray(0, length);
+        if (bytes[0] === 0x50 && bytes[1] === 0x4b) return false;
+        if (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0) return false;
+        return !/^\s*</.test(bytes.toString('utf8').replace(/^﻿/, ''));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Pick the column mapping for a sheet: the one given, the standard layout,
+ * a suggestion from its headers, or a single Score column on a sheet named after its term
+ */
+function resolveMapping(headers, mapping, sheet = null, scheme = DEFAULT_SCHEME) {
+    if (mapping) return mapping;
+    if (mappingMatchesHeaders(DEFAULT_MAPPING, headers)) return DEFAULT_MAPPING;
+
+    const suggestion = suggestMapping(headers, { scheme, termColumn: sheet?.termColumn });
+    if (suggestion.missing.length === 0) return suggestion.mapping;
+
+    // One sheet per term with a single "Score" column: the sheet name says which term it holds
+    const scoreHeader = singleScoreHeader(headers);
+    if (sheet?.termColumn && scoreHeader && suggestion.missing.join() === 'terms') {
+        return { ...suggestion.mapping, terms: { [sheet.termColumn]: scoreHeader } };
+    }
+    return DEFAULT_MAPPING;
+}
+
+// Why a sheet was left out of the analysis
+function skipReason(sheet) {
+    if (sheet.kind === 'term' && !sheet.termColumn && singleScoreHeader(sheet.headers)) {
+        return `Name the sheet with its class and term (e.g. "SS2 ${sheet.term}") so its scores can be placed`;
+    }
+    return 'Columns do not match the column mapping';
+}
+
+// Numbers in a CSV cell are read as numbers, as SheetJS reads them
+function csvCell(cell) {
+    return /^\s*-?\d+(\.\d+)?\s*$/.test(cell) ? Number(cell) : cell;
+}
+
+// Object keys sheet_to_json gives a header row: blanks become __EMPTY, repeats get _1, _2, ...
+function rowKeys(headers) {
+    const seen = new Map();
+    return headers.map(header => {
+        const base = isBlank(header) ? '__EMPTY' : String(header).trim();
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count ? `${base}_${count}` : base;
+    });
+}
+
+/**
+ * Collects records across sheets, counting rows against MAX_ROWS and reporting progress
+ */
+class RecordCollector {
+    constructor({ mapping, scheme, raw, onProgress, maxRows }) {
+        this.mapping = mapping;
+        this.scheme = scheme;
+        this.raw = raw;
+        this.onProgress = onProgress || (() => {});
+        this.maxRows = maxRows;
+        this.records = [];
+        this.sheets = [];
+        this.first = null;
+        this.rowsRead = 0;
+    }
+
+    countRows(count) {
+        this.rowsRead += count;
+        if (this.rowsRead > this.maxRows) {
+            throw fileTooLarge(`File has more than ${this.maxRows} rows. Split it by class arm or term and upload each part.`);
+        }
+    }
+
+    add(records, sheet) {
+        records.forEach(record => this.records.push({ ...record, sheet: sheet.name, classArm: sheet.classArm }));
+    }
+
+    progress(details) {
+        this.onProgress({ stage: 'parsing', rowsRead: this.rowsRead, ...details });
+    }
+
+    result(fallbackHeaders) {
+        const first = this.first || { headers: fallbackHeaders || [], mapping: this.mapping || DEFAULT_MAPPING };
+        return { ...first, records: applyScheme(this.records, this.scheme), sheets: this.sheets };
+    }
+}
+
+// ------------------------------------------------------------
+// Workbooks (.xlsx / .xls): one sheet converted at a time
+// ------------------------------------------------------------
+function readWorkbook(filePath, collector) {
+    const { mapping, scheme, raw } = collector;
+    let firstHeaders = null;
+
+    collector.onProgress({ stage: 'reading', percent: 0 });
+
+    for (const entry of eachSheet(filePath)) {
+        const { sheet: worksheet, headers, firstRow, index, count, ...tag } = entry;
+        firstHeaders = firstHeaders || headers;
+        const sheetPercent = done => Math.round(((index + done) / count) * 100);
+
+        // Only the top of the sheet is needed to tell a broadsheet from a long-format sheet
+        const grid = !mapping && detectBroadsheet(sheetGrid(worksheet, PREVIEW_ROWS), tag, scheme) ? sheetGrid(worksheet) : null;
+        const layout = grid && detectBroadsheet(grid, tag, scheme);
+
+        if (layout) {
+            const converted = broadsheetRecords(grid, layout, firstRow);
+            const rows = new Set(converted.map(record => record.rowNumber)).size;
+            collector.countRows(rows);
+            collector.first = collector.first || { headers, mapping: null };
+            collector.add(converted, tag);
+            collector.sheets.push({ ...tag, format: 'broadsheet', rows, ignoredHeaders: layout.ignoredHeaders });
+            collector.progress({ sheet: tag.name, percent: sheetPercent(1) });
+            continue;
+        }
+
+        const resolved = raw ? null : resolveMapping(headers, mapping, tag, scheme);
+
+        // Notes or summary sheets beside the data are skipped, unless they are all there is
+        if (!raw && count > 1 && !mappingMatchesHeaders(resolved, headers)) {
+            collector.sheets.push({ ...tag, format: 'long', rows: sheetRows(worksheet).length, skipped: skipReason({ ...tag, headers }) });
+            continue;
+        }
+
+        const rows = sheetRows(worksheet);
+        collector.countRows(rows.length);
+        collector.first = collector.first || { headers, mapping: resolved };
+
+        for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+            const chunk = rows.slice(start, start + CHUNK_ROWS);
+            collector.add(raw ? chunk : applyMapping(chunk, resolved), tag);
+            collector.progress({ sheet: tag.name, percent: sheetPercent(Math.min(1, (start + CHUNK_ROWS) / rows.length)) });
+        }
+        collector.sheets.push({ ...tag, format: 'long', rows: rows.length });
+    }
+
+    return collector.result(firstHeaders);
+}
+
+// ------------------------------------------------------------
+// CSV: streamed, mapping each row as it arrives
+// ------------------------------------------------------------
+async function readCsv(filePath, collector) {
+    const { mapping, scheme, raw } = collector;
+    const tag = describeSheet(CSV_SHEET_NAME);
+    const totalBytes = fs.statSync(filePath).size || 1;
+    const input = fs.createReadStream(filePath);
+
+    const preview = [];
+    let started = false;
+    let layout = null;
+    let resolved = null;
+    let keys = null;
+    let headers = [];
+    let headerIndex = -1;
+    let rowIndex = -1;
+    let dataRows = 0;
+    let pending = [];
+
+    const flush = () => {
+        if (pending.length === 0) return;
+        collector.add(raw ? pending : applyMapping(pending, resolved), tag);
+        pending = [];
+        collector.progress({ sheet: tag.name, percent: Math.min(99, Math.round(input.bytesRead / totalBytes * 100)) });
+    };
+
+    // Decide how the file reads once its top rows are in
+    const start = () => {
+        started = true;
+        layout = mapping ? null : detectBroadsheet(preview, tag, scheme);
+        headerIndex = preview.findIndex(row => row.some(cell => !isBlank(cell)));
+        headers = headerIndex === -1 ? [] : preview[headerIndex].map(cell => String(cell ?? '').trim());
+
+        if (layout) {
+            collector.first = { headers, mapping: null };
+        } else {
+            resolved = raw ? null : resolveMapping(headers, mapping, tag, scheme);
+            keys = rowKeys(headers);
+            collector.first = { headers, mapping: resolved };
+        }
+        preview.splice(0).forEach((row, index) => take(row, index));
+    };
+
+    const take = (cells, index) => {
+        if (layout) {
+            if (index < layout.dataStart || cells.every(isBlank)) return;
+            collector.countRows(1);
+            dataRows++;
+            collector.add(broadsheetRecords([cells], { ...layout, dataStart: 0 }, index + 1), tag);
+            if (dataRows % CHUNK_ROWS === 0) {
+                collector.progress({ sheet: tag.name, percent: Math.min(99, Math.round(input.bytesRead / totalBytes * 100)) });
+            }
+            return;
+        }
+
+        if (index <= headerIndex || cells.every(isBlank)) return;
+        collector.countRows(1);
+        dataRows++;
+
+        // Same shape sheet_to_json gives: empty cells left out, __rowNum__ for row numbers in reports
+        const row = {};
+        cells.forEach((cell, column) => {
+            if (!isBlank(cell) && keys[column]) row[keys[column]] = cell;
+        });
+        Object.defineProperty(row, '__rowNum__', { value: index, enumerable: false });
+        pending.push(row);
+        if (pending.length >= CHUNK_ROWS) flush();
+    };
+
+    collector.onProgress({ stage: 'reading', percent: 0 });
+
+    for await (const parsed of input.pipe(csv({ headers: false }))) {
+        rowIndex++;
+        const cells = Object.keys(parsed).map(key => csvCell(parsed[key]));
+        if (rowIndex === 0 && typeof cells[0] === 'string') cells[0] = cells[0].replace(/^﻿/, '');
+
+        if (!started) {
+            preview.push(cells);
+            if (preview.length === PREVIEW_ROWS) start();
+            continue;
+        }
+        take(cells, rowIndex);
+    }
+
+    if (!started) start();
+    flush();
+
+    if (headers.some(Boolean)) {
+        collector.sheets.push({ ...tag, format: layout ? 'broadsheet' : 'long', rows: dataRows, ...(layout && { ignoredHeaders: layout.ignoredHeaders }) });
+    }
+    return collector.result(headers);
+}
+
+// Top PREVIEW_ROWS rows of a CSV file, leaving the rest of it unread
+async function csvPreview(filePath) {
+    const input = fs.createReadStream(filePath);
+    const grid = [];
+    try {
+        for await (const parsed of input.pipe(csv({ headers: false }))) {
+            const cells = Object.keys(parsed).map(key => csvCell(parsed[key]));
+            if (grid.length === 0 && typeof cells[0] === 'string') cells[0] = cells[0].replace(/^﻿/, '');
+            grid.push(cells);
+            if (grid.length === PREVIEW_ROWS) break;
+        }
+    } finally {
+        input.destroy();
+    }
+    return grid;
+}
+
+/**
+ * Header row of an upload's first sheet and, for a broadsheet, how it reads – from the top rows only
+ * (for mapping suggestions)
+ * @param {string} filePath
+ * @param {Object} options - { scheme }
+ * @returns {Promise<Object>} { headers, broadsheet } – broadsheet is { nameHeader, subjects, scoreColumns, ignoredHeaders },
+ *   or null for long-format files
+ */
+async function previewUpload(filePath, { scheme = DEFAULT_SCHEME } = {}) {
+    let sheet = null;
+    if (isCsvFile(filePath)) {
+        const grid = await csvPreview(filePath);
+        const headerCells = grid.find(row => row.some(cell => !isBlank(cell)));
+        if (headerCells) {
+            sheet = { ...describeSheet(CSV_SHEET_NAME), headers: headerCells.map(cell => String(cell ?? '').trim()), grid };
+        }
+    } else {
+        const first = eachSheet(filePath, { sheetRows: PREVIEW_ROWS }).next().value;
+        if (first) {
+            const { sheet: worksheet, headers, firstRow, index, count, ...tag } = first;
+            sheet = { ...tag, headers, grid: sheetGrid(worksheet, PREVIEW_ROWS) };
+        }
+    }
+    if (!sheet) return { headers: [], broadsheet: null };
+
+    const layout = detectBroadsheet(sheet.grid, sheet, scheme);
+    if (!layout) return { headers: sheet.headers, broadsheet: null };
+
+    const { nameHeader, subjects, scoreColumns, ignoredHeaders } = layout;
+    return { headers: sheet.headers, broadsheet: { nameHeader, subjects, scoreColumns, ignoredHeaders } };
+}
+
+/**
+ * Read an upload through a column mapping
+ * @param {string} filePath
+ * @param {Object} options - { mapping, scheme, raw, onProgress, maxRows }
+ *   raw: long-format rows are returned as read ({ header: cell }) instead of mapped, and every sheet is kept;
+ *   broadsheets are still converted to records
+ *   onProgress({ stage: 'reading'|'parsing', sheet, rowsRead, percent })
+ * @returns {Promise<Object>} { headers, mapping, records, sheets } – headers/mapping of the first sheet read;
+ *   records tagged with their sheet and class arm, term totals built from components with the scheme
+ * @throws {Error} code 'FILE_TOO_LARGE' above MAX_ROWS data rows
+ */
+async function readUpload(filePath, { mapping = null, scheme = DEFAULT_SCHEME, raw = false, onProgress = null, maxRows = MAX_ROWS } = {}) {
+    const collector = new RecordCollector({ mapping, scheme, raw, onProgress, maxRows });
+    return isCsvFile(filePath) ? readCsv(filePath, collector) : readWorkbook(filePath, collector);
+}
+
+module.exports = {
+    MAX_ROWS,
+    isCsvFile,
+    resolveMapping,
+    skipReason,
+    readUpload,
+    previewUpload
+};
@@ -0,0 +1,123 @@
+// Row-by-row checks on an upload, run before (and independently of) the full analysis.
+// Works on records from columnMapping.applyMapping, so it sees exactly what the analyzer reads.
+const { canonicalSubject } = require('./subjects');
+const { DEFAULT_SCHEME, termTotal } = require('./assessment');
+const { toScore } = require('./gradeScale');
+
+const MAX_SCORE = 100;
+const MAX_ISSUES = 500;
+
+/**
+ * @param {Array} records - Mapped rows ({ name, subject, scores, components, rowNumber, columns, sheet })
+ * @param {Object} options - { maxIssues, scheme } – scheme gives each assessment component's maximum
+ * @returns {Object} { valid, summary, issues, truncated }
+ *   issues: [{ sheet, row, column, field, code, severity: 'error'|'warning', message, value }]
+ */
+function validateRecords(records, { maxIssues = MAX_ISSUES, scheme = DEFAULT_SCHEME } = {}) {
+    const componentsByKey = new Map(scheme.components.map(component => [component.key, component]));
+    const issues = [];
+    const seen = new Map();
+    const counts = { error: 0, warning: 0 };
+    const students = new Set();
+    const subjects = new Set();
+
+    const report = (record, field, column, code, severity, message, value) => {
+        counts[severity]++;
+        if (issues.length < maxIssues) {
+            issues.push({ sheet: record.sheet ?? null, row: record.rowNumber, column, field, code, severity, message, value });
+        }
+    };
+
+    records.forEach(record => {
+        const { name, subject, scores, columns } = record;
+
+        if (!name) {
+            report(record, 'name', columns.name, 'MISSING_NAME', 'error', 'Student name is empty');
+        }
+        if (!subject) {
+            report(record, 'subject', columns.subject, 'MISSING_SUBJECT', 'error', 'Subject is empty');
+        } else if (!canonicalSubject(subject)) {
+            report(record, 'subject', columns.subject, 'UNKNOWN_SUBJECT', 'warning',
+                `"${subject}" is not a recognised WAEC/NECO subject – check the spelling`, subject);
+        }
+
+        Object.entries(scores).forEach(([term, value]) => {
+            const column = columns.scores[term];
+            // A WAEC/NECO letter grade ("B3") is read as the middle of its band
+            const score = toScore(value);
+
+            if (Number.isNaN(score)) {
+                report(record, term, column, 'NON_NUMERIC_SCORE', 'error', `Score "${value}" is not a number or a WAEC grade (A1–F9)`, value);
+            } else if (score > MAX_SCORE) {
+                report(record, term, column, 'SCORE_OUT_OF_RANGE', 'error', `Score ${score} is over ${MAX_SCORE}`, value);
+            } else if (score < 0) {
+                report(record, term, column, 'SCORE_OUT_OF_RANGE', 'error', `Score ${score} is negative`, value);
+            }
+        });
+
+        Object.entries(record.components || {}).forEach(([term, parts]) => {
+            const headers = columns.components?.[term] || {};
+
+            Object.entries(parts).forEach(([key, value]) => {
+                const component = componentsByKey.get(key);
+                const score = Number(String(value).trim());
+
+                if (!component) {
+                    report(record, term, headers[key], 'UNKNOWN_COMPONENT', 'warning',
+                        `"${key}" is not part of the ${scheme.name} scheme and is left out of the total`, value);
+                } else if (Number.isNaN(score)) {
+                    report(record, term, headers[key], 'NON_NUMERIC_SCORE', 'error', `${key} score "${value}" is not a number`, value);
+                } else if (score > component.max || score < 0) {
+                    report(record, term, headers[key], 'COMPONENT_OUT_OF_RANGE', 'error',
+                        `${key} score ${score} is outside 0–${component.max}`, value);
+                }
+            });
+
+            const { total, counted, missing, invalid } = termTotal(parts, scheme);
+            if (counted.length > 0 && missing.length > 0) {
+                report(record, term, null, 'INCOMPLETE_COMPONENTS', 'warning',
+                    `${term} is missing ${missing.join(', ')}, so it has no total and is left out of the scores`);
+            }
+
+            // A total column next to complete components should agree with them
+            const given = Number(String(scores[term] ?? '').trim());
+            if (!(record.computedTerms || []).includes(term) && scores[term] !== undefined && !Number.isNaN(given)
+                && missing.length === 0 && invalid.length === 0 && Math.abs(given - total) > 0.5) {
+                report(record, term, columns.scores[term], 'TOTAL_MISMATCH', 'warning',
+                    `Total ${given} does not match its components (${total})`, scores[term]);
+            }
+        });
+
+        if (name && subject && Object.keys(scores).length === 0) {
+            report(record, 'scores', null, 'NO_SCORES', 'warning', 'Row has no term scores and will be skipped');
+        }
+
+        if (name && subject) {
+            // "Maths" and "Mathematics" are the same subject; each sheet (term or class arm) is checked on its own
+            const key = `${record.sheet ?? ''}|${name.toLowerCase()}|${(canonicalSubject(subject) || subject).toLowerCase()}`;
+            if (seen.has(key)) {
+                report(record, 'subject', columns.subject, 'DUPLICATE_ROW', 'error',
+                    `${name} already has a ${subject} row (row ${seen.get(key)})`, subject);
+            } else {
+                seen.set(key, record.rowNumber);
+            }
+            students.add(name);
+            subjects.add(subject);
+        }
+    });
+
+    return {
+        valid: counts.error === 0,
+        summary: {
+            rows: records.length,
+            students: students.size,
+            subjects: subjects.size,
+            errors: counts.error,
+            warnings: counts.warning
+        },
+        issues,
+        truncated: counts.error + counts.warning > issues.length
+    };
+}
+
+module.exports = { validateRecords, MAX_SCORE };
@@ -0,0 +1,131 @@
+// WAEC/SSCE outcome forecasts from the SS1–SS3 term series. For each subject a straight line is
+// fitted by least squares through the student's term scores and read off at the WAEC sitting
+// (SS3 3rd term), with an 80% prediction interval around it. Nothing is guessed by a model and
+// nothing leaves the server: the slope, the number of terms and the interval are all in the output,
+// so a counselor can see why a student is predicted to miss a credit.
+const ss = require('simple-statistics');
+const { TERM_POSITION } = require('./trajectory');
+const { CREDIT_PASS_SCORE, gradeForScore } = require('./gradeScale');
+const { canonicalSubject } = require('./subjects');
+
+// WAEC is sat during SS3 3rd term
+const WAEC_TERM = 'SS3_3rd';
+
+// Subjects every course asks for a credit in
+const REQUIRED_SUBJECTS = ['English', 'Mathematics'];
+
+// Two-sided 80% interval: 0.90 quantile of Student's t by degrees of freedom, normal beyond
+const INTERVAL_PERCENT = 80;
+const T_90 = [null, 3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397, 1.383, 1.372];
+const Z_90 = 1.282;
+
+// A line needs at least this many terms; with fewer the forecast is their mean ± DEFAULT_SPREAD
+const MIN_REGRESSION_TERMS = 3;
+const DEFAULT_SPREAD = 10;
+
+// Narrowest half-width of an interval: even a perfectly steady record can move on the day
+const MIN_SPREAD = 3;
+
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+const clamp = score => Math.min(100, Math.max(0, score));
+
+/**
+ * @param {Object} scores - { SS1_1st: 45, SS2_1st: 60, ... } (any known score columns)
+ * @returns {Object|null} { predictedScore, low, high, grade, gradeRange: { best, worst }, chanceOfCredit,
+ *   method: 'regression'|'mean', terms, slope } – chanceOfCredit is the % chance of 50 or more;
+ *   null when there are no scores
+ */
+function subjectForecast(scores) {
+    const points = Object.entries(scores || {})
+        .filter(([column, score]) => TERM_POSITION[column] !== undefined && Number.isFinite(score))
+        .map(([column, score]) => [TERM_POSITION[column], score]);
+    if (points.length === 0) return null;
+
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const meanX = ss.mean(xs);
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+
+    let predicted;
+    let sigma;
+    let halfWidth;
+    let slope = null;
+    if (points.length >= MIN_REGRESSION_TERMS && sxx > 0) {
+        const line = ss.linearRegression(points);
+        const target = TERM_POSITION[WAEC_TERM];
+        const degrees = points.length - 2;
+        const residual = Math.sqrt(points.reduce((sum, [x, y]) => sum + (y - (line.b + line.m * x)) ** 2, 0) / degrees);
+
+        predicted = line.b + line.m * target;
+        sigma = residual * Math.sqrt(1 + 1 / points.length + (target - meanX) ** 2 / sxx);
+        halfWidth = Math.max(MIN_SPREAD, (T_90[degrees] || Z_90) * sigma);
+        slope = round(line.m, 2);
+    } else {
+        predicted = ss.mean(ys);
+        halfWidth = DEFAULT_SPREAD;
+    }
+    // The chance of a credit reads the interval as a normal spread of the same width
+    sigma = halfWidth / Z_90;
+
+    const predictedScore = round(clamp(predicted));
+    const low = round(clamp(predicted - halfWidth));
+    const high = round(clamp(predicted + halfWidth));
+    const chance = 1 - ss.cumulativeStdNormalProbability((CREDIT_PASS_SCORE - predicted) / sigma);
+
+    return {
+        predictedScore,
+        low,
+        high,
+        grade: gradeForScore(predictedScore).grade,
+        gradeRange: { best: gradeForScore(high).grade, worst: gradeForScore(low).grade },
+        chanceOfCredit: Math.round(Math.min(1, Math.max(0, chance)) * 100),
+        method: slope === null ? 'mean' : 'regression',
+        terms: points.length,
+        slope
+    };
+}
+
+/**
+ * Forecasts for one student
+ * @param {Object} termScores - { subject: { SS1_1st: 45, ... } }
+ * @returns {Object} { subjects: { subject: forecast }, belowCredit: [{ subject, ...forecast }] } –
+ *   belowCredit lists the REQUIRED_SUBJECTS predicted below C6
+ */
+function studentForecast(termScores) {
+    const subjects = {};
+    Object.entries(termScores || {}).forEach(([subject, scores]) => {
+        const forecast = subjectForecast(scores);
+        if (forecast) subjects[subject] = forecast;
+    });
+
+    const belowCredit = Object.entries(subjects)
+        .filter(([subject, forecast]) => REQUIRED_SUBJECTS.includes(canonicalSubject(subject)) &&
+            forecast.predictedScore < CREDIT_PASS_SCORE)
+        .map(([subject, forecast]) => ({ subject, ...forecast }));
+
+    return { subjects, belowCredit };
+}
+
+/**
+ * Students predicted below C6 in a required subject, lowest predicted score first
+ * @param {Object} forecasts - { studentName: studentForecast(...) }
+ * @returns {Object} { target, intervalPercent, requiredSubjects, atRisk: [{ studentName, subject, ...forecast }] }
+ */
+function classForecast(forecasts) {
+    const atRisk = Object.entries(forecasts || {})
+        .flatMap(([studentName, forecast]) => forecast.belowCredit.map(entry => ({ studentName, ...entry })))
+        .sort((a, b) => a.predictedScore - b.predictedScore);
+
+    return {
+        target: WAEC_TERM,
+        intervalPercent: INTERVAL_PERCENT,
+        requiredSubjects: REQUIRED_SUBJECTS,
+        atRisk
+    };
+}
+
+module.exports = { WAEC_TERM, REQUIRED_SUBJECTS, INTERVAL_PERCENT, subjectForecast, studentForecast, classForecast };
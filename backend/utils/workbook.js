@@ -0,0 +1,124 @@
+// Workbooks with several sheets: class masters keep one sheet per class arm (SS3A, SS3B, SS3C)
+// or one sheet per term in the same file. Every visible sheet with data is read and tagged.
+const XLSX = require('xlsx');
+const { TERM_WORDS, normalizeHeader, detectScoreColumn } = require('./columnMapping');
+
+// A single score column on a one-term sheet ("Score", "Total", "Marks")
+const SINGLE_SCORE_HEADER = /^(score|scores|total|total score|marks?|mark obtained|average)$/;
+
+// Rows searched for the header before the whole sheet is
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * What a sheet name says about its rows
+ *   "SS3A" / "SS 3 Gold" → { kind: 'classArm', classArm: 'SS3A' / 'SS3 Gold' }
+ *   "First Term" → { kind: 'term', term: '1st Term', termColumn: null }
+ *   "SS2 2nd Term" → { kind: 'term', term: 'SS2 2nd Term', termColumn: 'SS2_2nd' }
+ *   anything else → { kind: 'sheet' }
+ * @returns {Object} { name, kind, classArm, term, termColumn }
+ */
+function describeSheet(name) {
+    const text = normalizeHeader(name);
+    const tag = { name, kind: 'sheet', classArm: null, term: null, termColumn: null };
+
+    const term = text.match(/\b(1st|2nd|3rd|first|second|third)\b(?:\s+term)?/) || text.match(/\bterm\s?([1-3])\b/);
+    if (term) {
+        const column = detectScoreColumn(name);
+        tag.kind = 'term';
+        tag.termColumn = column && !column.endsWith('_Score') ? column : null;
+        tag.term = `${tag.termColumn ? tag.termColumn.split('_')[0] + ' ' : ''}${TERM_WORDS[term[1]]} Term`;
+        return tag;
+    }
+
+    const arm = text.match(/^(j?s{2,3})\s?([1-3])\s?([a-z]+)?$/);
+    if (arm) {
+        tag.kind = 'classArm';
+        const suffix = arm[3] || '';
+        tag.classArm = `${arm[1].toUpperCase()}${arm[2]}` +
+            (suffix.length === 1 ? suffix.toUpperCase() : suffix ? ` ${suffix[0].toUpperCase()}${suffix.slice(1)}` : '');
+    }
+    return tag;
+}
+
+/**
+ * The lone score header of a one-term sheet, or null
+ */
+function singleScoreHeader(headers) {
+    return headers.find(header => SINGLE_SCORE_HEADER.test(normalizeHeader(header))) || null;
+}
+
+/**
+ * Header row of a sheet (first non-empty row)
+ */
+function headerRow(sheet) {
+    // Look at the top of the sheet first rather than converting every row
+    const top = { header: 1, blankrows: false };
+    if (sheet['!ref']) {
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        range.e.r = Math.min(range.e.r, range.s.r + HEADER_SCAN_ROWS - 1);
+        top.range = range;
+    }
+    const rows = XLSX.utils.sheet_to_json(sheet, top);
+    const first = rows[0] || XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false })[0] || [];
+    return first.map(header => String(header ?? '').trim());
+}
+
+// Names of the sheets a reader can see, in workbook order
+function visibleSheetNames(workbook) {
+    const hidden = new Set((workbook.Workbook?.Sheets || [])
+        .filter(sheet => sheet.Hidden)
+        .map(sheet => sheet.name));
+    return workbook.SheetNames.filter(name => !hidden.has(name));
+}
+
+// Spreadsheet row number of a sheet's first row
+function firstRowOf(sheet) {
+    return sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r + 1 : 1;
+}
+
+/**
+ * Rows of a sheet as arrays of cells, blank rows included; only the first maxRows when given
+ */
+function sheetGrid(sheet, maxRows = null) {
+    const options = { header: 1, defval: '', blankrows: true };
+    if (maxRows && sheet['!ref']) {
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        range.e.r = Math.min(range.e.r, range.s.r + maxRows - 1);
+        options.range = range;
+    }
+    return XLSX.utils.sheet_to_json(sheet, options);
+}
+
+/**
+ * Rows of a sheet keyed by its header row (as sheet_to_json gives them)
+ */
+function sheetRows(sheet) {
+    return XLSX.utils.sheet_to_json(sheet);
+}
+
+/**
+ * Visible sheets with data, one at a time and with their cells left unconverted. Each sheet is
+ * dropped from the workbook once handed out, so a large file never holds every sheet's rows at once.
+ * @returns {Generator} { name, kind, classArm, term, termColumn, headers, sheet, firstRow, index, count }
+ */
+function* eachSheet(filePath, options = {}) {
+    const workbook = XLSX.readFile(filePath, options);
+    const sheets = visibleSheetNames(workbook)
+        .map(name => ({ name, headers: headerRow(workbook.Sheets[name]) }))
+        .filter(({ headers }) => headers.some(Boolean));
+
+    for (const [index, { name, headers }] of sheets.entries()) {
+        const sheet = workbook.Sheets[name];
+        delete workbook.Sheets[name];
+        yield { ...describeSheet(name), headers, sheet, firstRow: firstRowOf(sheet), index, count: sheets.length };
+    }
+}
+
+module.exports = {
+    describeSheet,
+    singleScoreHeader,
+    headerRow,
+    sheetGrid,
+    sheetRows,
+    eachSheet
+};
@@ -0,0 +1,15 @@
+// Worker thread that reads an upload (utils/uploadReader) off the request thread: the whole of it
+// (task 'read'), or the top of its first sheet for mapping suggestions (task 'preview').
+// Messages to the parent: { type: 'progress', progress }, then { type: 'result', result } or { type: 'error', error }
+const { parentPort, workerData } = require('worker_threads');
+const { readUpload, previewUpload } = require('../utils/uploadReader');
+
+const { filePath, options, task = 'read' } = workerData;
+const run = task === 'preview' ? previewUpload : readUpload;
+
+run(filePath, {
+    ...options,
+    onProgress: progress => parentPort.postMessage({ type: 'progress', progress })
+})
+    .then(result => parentPort.postMessage({ type: 'result', result }))
+    .catch(error => parentPort.postMessage({ type: 'error', error: { message: error.message, code: error.code } }));
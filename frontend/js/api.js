@@ -6,10 +6,16 @@ const API_CONFIG = {
     RETRY_DELAY: 1000
 };
 
+// Analysis jobs: how often to poll when the progress stream is unavailable, and for how long
+const JOB_POLL_INTERVAL = 2000;
+const JOB_POLL_LIMIT = 15 * 60 * 1000;
+
 class ApiService {
     constructor() {
         this.baseUrl = 'https://edu-aid.onrender.com/api';
         this.token = localStorage.getItem('token');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        this.refreshPromise = null;
         this.requestQueue = new Map();
     }
 
@@ -59,7 +65,9 @@ class ApiService {
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
             return await response.json();
@@ -73,8 +81,13 @@ class ApiService {
                 return this._executeRequest(url, options, attempt + 1);
             }
 
-            // Handle token expiration
-            if (error.message?.includes('token') && error.message?.includes('expired')) {
+            // Access tokens are short-lived: refresh once and replay the request
+            if (error.status === 401 && !options.skipAuth && !options.isRetry && await this._refreshAccessToken()) {
+                return this._executeRequest(url, { ...options, isRetry: true });
+            }
+
+            // Handle token expiration (login/register failures are not expirations)
+            if (error.status === 401 && !options.skipAuth) {
                 this._handleTokenExpiration();
             }
 
@@ -95,6 +108,47 @@ class ApiService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Swap the refresh token for a new pair; concurrent 401s share one refresh
+    async _refreshAccessToken() {
+        if (!this.refreshToken) return false;
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken }),
+                credentials: 'include'
+            })
+                .then(async response => {
+                    if (!response.ok) return false;
+                    const data = await response.json();
+                    this._storeTokens(data.token, data.refreshToken);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    // fetch() with the bearer token, refreshing it once if it has expired (uploads and downloads)
+    async _authorizedFetch(url, init = {}) {
+        const send = () => fetch(url, {
+            ...init,
+            headers: { ...init.headers, 'Authorization': `Bearer ${this.token}` },
+            credentials: 'include'
+        });
+
+        let response = await send();
+        if (response.status === 401 && await this._refreshAccessToken()) {
+            response = await send();
+        }
+        return response;
+    }
+
     _handleTokenExpiration() {
         console.warn('Token expired, logging out user');
         this.logout();
@@ -103,107 +157,302 @@ class ApiService {
 
     // Authentication methods
     async login(email, password) {
-        try {
-            // Use the loginUser function from auth.js
-            return await loginUser(email, password);
-        } catch (error) {
-            console.error('Login error:', error);
-            throw error;
-        }
+        const data = await this.request('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password }),
+            skipAuth: true
+        });
+
+        this._storeSession(data, data.user);
+        return data;
     }
 
-    async _mockLogin(email, password) {
-        // Simulate API delay
-        await this._delay(1000);
+    // Founders pass a new school name; invited staff pass the inviteToken from their email instead
+    async register({ email, password, name, school, phone, inviteToken }) {
+        return this.request('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ email, password, name, school, phone, inviteToken }),
+            skipAuth: true
+        });
+    }
 
-        const validCredentials = [
-            { email: 'admin@edu-aid.com', password: 'admin123', role: 'admin' },
-            { email: 'teacher@edu-aid.com', password: 'teacher123', role: 'teacher' },
-            { email: 'teacher@edu-aid.com', password: 'password', role: 'teacher' }
-        ];
+    async getInvitation(token) {
+        return this.request(`/schools/invitations/${encodeURIComponent(token)}`, { skipAuth: true });
+    }
 
-        const user = validCredentials.find(u => u.email === email && u.password === password);
+    // School administration
+    async getCurrentSchool() {
+        return this.request('/schools/current');
+    }
 
-        if (!user) {
-            throw new Error('Invalid credentials');
-        }
+    async inviteStaff(schoolId, { email, role, subjects }) {
+        return this.request(`/schools/${schoolId}/invitations`, {
+            method: 'POST',
+            body: JSON.stringify({ email, role, subjects })
+        });
+    }
 
-        const mockToken = btoa(JSON.stringify({
-            email: user.email,
-            role: user.role,
-            exp: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-        }));
-
-        const mockUser = {
-            id: Date.now().toString(),
-            email: user.email,
-            role: user.role,
-            name: user.email.split('@')[0]
-        };
+    async getInvitations(schoolId) {
+        return this.request(`/schools/${schoolId}/invitations`);
+    }
 
-        this.token = mockToken;
-        localStorage.setItem('token', mockToken);
-        localStorage.setItem('user', JSON.stringify(mockUser));
+    async revokeInvitation(schoolId, invitationId) {
+        return this.request(`/schools/${schoolId}/invitations/${invitationId}`, { method: 'DELETE' });
+    }
 
-        return {
-            success: true,
-            token: mockToken,
-            user: mockUser,
-            message: 'Login successful (mock mode)'
-        };
+    async forgotPassword(email) {
+        return this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+            skipAuth: true
+        });
+    }
+
+    async resetPassword(token, password) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, password }),
+            skipAuth: true
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token }),
+            skipAuth: true
+        });
+    }
+
+    async resendVerificationEmail() {
+        return this.request('/auth/resend-verification', { method: 'POST' });
     }
 
     async verifyToken() {
+        const data = await this.request('/auth/verify');
+        // Keep the cached profile in step with the server
+        if (data.user) {
+            localStorage.setItem('user', JSON.stringify(data.user));
+        }
+        return data;
+    }
+
+    // Page-load check: the token must still be accepted by the backend
+    async verifySession() {
         try {
-            return await this.request('/auth/verify');
+            await this.verifyToken();
+            return true;
         } catch (error) {
-            // Mock token verification
-            const token = localStorage.getItem('token');
-            if (token) {
-                try {
-                    const decoded = JSON.parse(atob(token));
-                    if (decoded.exp > Date.now()) {
-                        return { success: true, user: JSON.parse(localStorage.getItem('user')) };
-                    }
-                } catch (e) {
-                    // Invalid token
-                }
+            console.warn('Session verification failed:', error.message);
+            // Only a rejected token ends the session; an unreachable backend does not
+            if (error.status === 401) {
+                this.logout();
+                window.location.href = 'login.html';
+                return false;
             }
-            throw new Error('Token invalid or expired');
+            return true;
         }
     }
 
+    _storeSession({ token, refreshToken }, user) {
+        this._storeTokens(token, refreshToken);
+        localStorage.setItem('user', JSON.stringify(user));
+    }
+
+    _storeTokens(token, refreshToken) {
+        this.token = token;
+        this.refreshToken = refreshToken;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+    }
+
     logout() {
+        // Revoke this device's session on the server; signing out locally must not wait for it
+        if (this.token) {
+            fetch(`${this.baseUrl}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.token}` },
+                credentials: 'include',
+                keepalive: true
+            }).catch(() => {});
+        }
+
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         localStorage.removeItem('rememberMe');
     }
 
+    // Devices signed in to this account
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    // Sign out another device
+    async revokeSession(sessionId) {
+        return this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    }
+
     // File Analysis Methods
-    async analyzeFile(file, onProgress = null) {
+    // The upload starts an analysis job on the server; this follows the job and resolves with its result.
+    // onProgress(job) hears each change: { status, stage, progress (0–100), message, details }
+    // options: { mappingProfileId } to read the file with a saved column mapping, or { mapping } for a one-off one
+    async analyzeFile(file, onProgress = null, options = {}) {
         const formData = new FormData();
         formData.append('file', file);
+        if (options.mappingProfileId) formData.append('mappingProfileId', options.mappingProfileId);
+        if (options.mapping) formData.append('mapping', JSON.stringify(options.mapping));
 
+        let response;
         try {
-            const response = await fetch(`${this.baseUrl}/analysis/analyze`, {
+            response = await this._authorizedFetch(`${this.baseUrl}/analysis/analyze`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                },
-                body: formData,
-                credentials: 'include'
+                body: formData
             });
-
-            if (!response.ok) {
-                throw new Error('File analysis failed');
-            }
-
-            return await response.json();
         } catch (error) {
             console.error('Analysis error:', error);
             throw new Error('Network error during upload');
         }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'File analysis failed');
+        }
+
+        const { jobId } = await response.json();
+        const job = await this.followAnalysisJob(jobId, onProgress);
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'File analysis failed');
+        }
+        return job.result;
+    }
+
+    async getAnalysisJob(jobId) {
+        return this.request(`/analysis/jobs/${jobId}`);
+    }
+
+    // Follow a job over server-sent events until it finishes; poll its status if the stream drops
+    async followAnalysisJob(jobId, onProgress = null) {
+        const report = job => { if (onProgress) onProgress(job); };
+
+        try {
+            const finished = await this._streamJobEvents(jobId, report);
+            if (finished) return finished;
+        } catch (error) {
+            console.warn('Progress stream unavailable, polling instead:', error.message);
+        }
+
+        const deadline = Date.now() + JOB_POLL_LIMIT;
+        while (Date.now() < deadline) {
+            const job = await this.getAnalysisJob(jobId);
+            report(job);
+            if (job.status === 'completed' || job.status === 'failed') return job;
+            await this._delay(JOB_POLL_INTERVAL);
+        }
+        throw new Error('Analysis is taking too long. Please try again later.');
+    }
+
+    // EventSource cannot send the bearer token, so the stream is read with fetch
+    async _streamJobEvents(jobId, onEvent) {
+        const response = await this._authorizedFetch(`${this.baseUrl}/analysis/jobs/${jobId}/events`, {
+            headers: { 'Accept': 'text/event-stream' }
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return null;
+            buffer += decoder.decode(value, { stream: true });
+
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const data = buffer.slice(0, end).split('\n')
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trim())
+                    .join('\n');
+                buffer = buffer.slice(end + 2);
+                if (!data) continue; // keep-alive comment
+
+                const job = JSON.parse(data);
+                onEvent(job);
+                if (job.status === 'completed' || job.status === 'failed') {
+                    reader.cancel().catch(() => {});
+                    return job;
+                }
+            }
+        }
+    }
+
+    // Dry run: row-by-row problems in a file, without running the analysis
+    async validateFile(file, options = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (options.mappingProfileId) formData.append('mappingProfileId', options.mappingProfileId);
+        if (options.mapping) formData.append('mapping', JSON.stringify(options.mapping));
+
+        const response = await this._authorizedFetch(`${this.baseUrl}/analysis/validate`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Could not validate the file');
+        return data;
+    }
+
+    // Column mapping: suggest one from the file's header row, and manage the school's saved profiles
+    async suggestMapping(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await this._authorizedFetch(`${this.baseUrl}/analysis/suggest-mapping`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Could not read the file headers');
+        return data;
+    }
+
+    async getMappingProfiles() {
+        return this.request('/analysis/mapping-profiles');
+    }
+
+    async saveMappingProfile(name, mapping) {
+        return this.request('/analysis/mapping-profiles', {
+            method: 'POST',
+            body: JSON.stringify({ name, mapping })
+        });
+    }
+
+    async deleteMappingProfile(profileId) {
+        return this.request(`/analysis/mapping-profiles/${profileId}`, { method: 'DELETE' });
+    }
+
+    // Reports are owner-only, so the PDF is fetched with the token rather than opened as a plain link
+    async downloadReport(sessionId) {
+        const response = await this._authorizedFetch(`${this.baseUrl}/analysis/download-pdf/${sessionId}`);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to download PDF report');
+        }
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `analysis-report-${sessionId.substring(0, 8)}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
     }
 
     async _mockAnalysis(file, onProgress = null) {
@@ -375,9 +624,19 @@ class ApiService {
         }
     }
 
-    // Check if user is authenticated
+    // Check if user is authenticated (token present and not past its exp claim)
     isAuthenticated() {
-        return !!(this.token && this.getCurrentUser());
+        // An expired access token is fine while a refresh token can renew it
+        return !!(this.token && this.getCurrentUser() && (this.refreshToken || !this._isTokenExpired(this.token)));
+    }
+
+    _isTokenExpired(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 <= Date.now() : false;
+        } catch (error) {
+            return true;
+        }
     }
 }
 
@@ -1,33 +1,11 @@
 /**
  * Authentication logic for EDU_AID.
- * Handles login, signup, and logout with mock authentication for development.
- * Stores JWT in localStorage for session management.
+ * Handles login, signup, and logout against the backend /api/auth endpoints.
+ * Requires js/api.js (ApiService) to be loaded; the JWT is stored in localStorage.
  */
 
 /**
- * Mock user database for development/testing
- */
-const MOCK_USERS = {
-    'admin@edu-aid.com': {
-        id: 'admin_001',
-        email: 'admin@edu-aid.com',
-        password: 'admin123',
-        name: 'Administrator',
-        role: 'admin',
-        avatar: 'A'
-    },
-    'teacher@edu-aid.com': {
-        id: 'teacher_001',
-        email: 'teacher@edu-aid.com',
-        password: 'teacher123',
-        name: 'Teacher Demo',
-        role: 'teacher',
-        avatar: 'T'
-    }
-};
-
-/**
- * Validates login credentials against mock database
+ * Authenticates against /api/auth/login and stores the real token
  * @param {string} email - User email
  * @param {string} password - User password
  * @returns {Promise} Authentication response
@@ -35,50 +13,11 @@ const MOCK_USERS = {
 async function loginUser(email, password) {
     try {
         console.log('Attempting login for:', email);
-        
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
 
-        // Validate credentials
-        const user = MOCK_USERS[email];
-        if (!user || user.password !== password) {
-            console.log('Invalid credentials for:', email);
-            throw new Error('Invalid email or password. Please check your credentials.');
-        }
+        const response = await api.login(email, password);
 
         console.log('Login successful for:', email);
-
-        // Generate mock JWT token
-        const token = btoa(JSON.stringify({
-            userId: user.id,
-            email: user.email,
-            role: user.role,
-            exp: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-        }));
-
-        // Store authentication data
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify({
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role,
-            avatar: user.avatar
-        }));
-
-        console.log('User data stored:', user);
-
-        // Return success response
-        return {
-            success: true,
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            },
-            token: token
-        };
+        return response;
 
     } catch (error) {
         console.error('Login error:', error);
@@ -87,60 +26,34 @@ async function loginUser(email, password) {
 }
 
 /**
- * Mock signup function for development
+ * Creates an account through /api/auth/register
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @param {string} name - Display name
+ * @param {Object} profile - { school } for a new school, or { inviteToken } when invited; optional phone
  */
-async function signupUser(email, password, name) {
-    try {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Check if user already exists
-        if (MOCK_USERS[email]) {
-            throw new Error('User already exists with this email address.');
-        }
-
-        // In a real implementation, you would save to database
-        // For now, just return success
-        return {
-            success: true,
-            message: 'Account created successfully! Please sign in.'
-        };
-
-    } catch (error) {
-        throw error;
-    }
+async function signupUser(email, password, name, profile = {}) {
+    const response = await api.register({ email, password, name, ...profile });
+
+    return {
+        success: true,
+        message: 'Account created! Check your email to confirm your address, then sign in.',
+        user: response.user
+    };
 }
 
 /**
- * Checks if user is authenticated
+ * Checks if user is authenticated (token present and not expired)
  */
 function isAuthenticated() {
-    const token = localStorage.getItem('token');
-    const user = localStorage.getItem('user');
-    
-    console.log('Checking authentication - token:', !!token, 'user:', !!user);
-    
-    if (!token || !user) {
-        return false;
-    }
+    const authenticated = api.isAuthenticated();
+    console.log('Checking authentication:', authenticated);
 
-    try {
-        // Validate token expiry
-        const tokenData = JSON.parse(atob(token));
-        if (tokenData.exp < Date.now()) {
-            console.log('Token expired');
-            // Token expired
-            logoutUser();
-            return false;
-        }
-        console.log('User is authenticated');
-        return true;
-    } catch (error) {
-        console.log('Invalid token:', error);
-        // Invalid token
+    if (!authenticated && localStorage.getItem('token')) {
+        console.log('Token expired or invalid');
         logoutUser();
-        return false;
     }
+    return authenticated;
 }
 
 /**
@@ -166,16 +79,12 @@ function getCurrentUser() {
  */
 function logoutUser() {
     console.log('Logging out user');
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    localStorage.removeItem('rememberMe');
-    localStorage.removeItem('mockAuthToken');
-    localStorage.removeItem('userSession');
+    api.logout();
     window.location.href = 'index.html';
 }
 
 /**
- * Submits login form data to /login endpoint.
+ * Submits login form data to /api/auth/login.
  * Stores JWT in localStorage and redirects to dashboard.html on success.
  */
 async function login() {
@@ -202,14 +111,7 @@ async function login() {
             throw new Error('Invalid email format. Please enter a valid email address.');
         }
 
-        // For development: bypass authentication and set mock data
-        localStorage.setItem('mockAuthToken', 'mock-token-123');
-        localStorage.setItem('userSession', JSON.stringify({
-            email: email,
-            id: 'mock-user-123'
-        }));
-
-        // Authenticate user (replace with real API call in production)
+        // Authenticate user against the backend
         const response = await loginUser(email, password);
         if (!response.success) {
             throw new Error('Login failed. Please check your credentials and try again.');
@@ -8,6 +8,8 @@ class DashboardController {
     this.currentAnalysis = null;
     this.currentSessionId = null;
     this.selectedFile = null;
+    this.suggestedMapping = null;
+    this.validationReport = null;
     this.init();
   }
 
@@ -21,6 +23,9 @@ class DashboardController {
       return;
     }
 
+    // Confirm the token with the backend (redirects to login if rejected)
+    api.verifySession();
+
     this.setupUI();
     this.setupEventListeners();
     this.loadDashboardData();
@@ -35,6 +40,11 @@ class DashboardController {
     if (user) {
       document.getElementById('userName').textContent = user.name || user.email.split('@')[0];
       document.getElementById('userAvatar').textContent = (user.name || user.email).charAt(0).toUpperCase();
+
+      // School admins invite their colleagues from the user menu
+      if (['school_admin', 'admin'].includes(user.role) && user.schoolId) {
+        document.getElementById('inviteStaffBtn').classList.remove('hidden');
+      }
     }
 
     document.getElementById('currentDate').textContent = new Date().toLocaleDateString('en-US', {
@@ -76,6 +86,8 @@ class DashboardController {
     fileInput.addEventListener('change', e => e.target.files[0] && this.handleFile(e.target.files[0]));
     removeBtn.addEventListener('click', () => this.removeFile());
     analyzeBtn.addEventListener('click', () => this.analyzeFile());
+    document.getElementById('saveMappingBtn').addEventListener('click', () => this.saveMappingProfile());
+    document.getElementById('mappingProfile').addEventListener('change', () => this.validateSelectedFile());
   }
 
   /* ---------- General UI ---------- */
@@ -84,6 +96,9 @@ class DashboardController {
     document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
     document.getElementById('sampleDataBtn').addEventListener('click', () => this.showSampleModal());
     document.getElementById('closeSampleModal').addEventListener('click', () => this.hideSampleModal());
+    document.getElementById('inviteStaffBtn').addEventListener('click', () => this.showInviteModal());
+    document.getElementById('closeInviteModal').addEventListener('click', () => this.hideInviteModal());
+    document.getElementById('inviteForm').addEventListener('submit', e => this.inviteStaff(e));
     document.getElementById('closeToast').addEventListener('click', () => this.hideToast());
 
     // Close dropdown / modal on outside click
@@ -125,6 +140,124 @@ class DashboardController {
     document.getElementById('analyzeBtn').classList.remove('hidden');
     document.getElementById('analyzeBtn').disabled = false;
     this.showToast('File selected successfully', 'success');
+    this.detectColumns(file);
+  }
+
+  /* ---------- Column mapping ---------- */
+  async loadMappingProfiles(selectedId = '') {
+    try {
+      const { profiles } = await api.getMappingProfiles();
+      const select = document.getElementById('mappingProfile');
+      select.innerHTML = '<option value="">Auto-detect from headers</option>' +
+        profiles.map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('');
+      select.value = String(selectedId);
+    } catch (e) {
+      console.warn('Could not load mapping profiles', e);
+    }
+  }
+
+  // Read the header row on the server and show which columns will be used
+  async detectColumns(file) {
+    const summary = document.getElementById('mappingSummary');
+    const saveBtn = document.getElementById('saveMappingBtn');
+    this.suggestedMapping = null;
+    saveBtn.classList.add('hidden');
+    summary.textContent = 'Reading column headers...';
+
+    try {
+      const result = await api.suggestMapping(file);
+      await this.loadMappingProfiles(result.matchingProfiles[0]?.id || '');
+
+      // One column per subject: the server reads it as it is, no mapping needed
+      if (result.broadsheet) {
+        const { nameHeader, subjects, scoreColumns, ignoredHeaders } = result.broadsheet;
+        summary.textContent = `Broadsheet · Student: "${nameHeader}" · ${subjects.length} subject(s) · ${scoreColumns.join(', ')}` +
+          (ignoredHeaders.length ? ` · Ignored: ${ignoredHeaders.join(', ')}` : '');
+        return;
+      }
+
+      if (result.missing.length > 0) {
+        summary.textContent = `Could not find: ${result.missing.join(', ')}. Pick a saved profile for this file.`;
+        return;
+      }
+
+      const { name, subject, terms } = result.mapping;
+      this.suggestedMapping = result.mapping;
+      summary.textContent = `Student: "${name}" · Subject: "${subject}" · ${Object.keys(terms).length} term column(s)` +
+        (result.unmatchedHeaders.length ? ` · Ignored: ${result.unmatchedHeaders.join(', ')}` : '');
+      if (!result.matchingProfiles.length) saveBtn.classList.remove('hidden');
+    } catch (e) {
+      summary.textContent = '';
+      console.warn('Column detection failed', e);
+    } finally {
+      this.validateSelectedFile();
+    }
+  }
+
+  // Mapping the analysis will use: the chosen profile, else the detected columns
+  mappingOptions() {
+    const profileId = document.getElementById('mappingProfile').value;
+    return profileId ? { mappingProfileId: profileId } : { mapping: this.suggestedMapping };
+  }
+
+  /* ---------- Dry-run validation ---------- */
+  async validateSelectedFile() {
+    if (!this.selectedFile) return;
+    const file = this.selectedFile;
+
+    try {
+      const report = await api.validateFile(file, this.mappingOptions());
+      if (file !== this.selectedFile) return; // a different file was chosen meanwhile
+      this.validationReport = report;
+      this.renderValidationReport(report);
+    } catch (e) {
+      this.validationReport = null;
+      this.renderValidationReport(null, e.message);
+    }
+  }
+
+  renderValidationReport(report, errorMessage = '') {
+    const panel = document.getElementById('validationReport');
+    const summary = document.getElementById('validationSummary');
+    const body = document.getElementById('validationIssues');
+    panel.classList.remove('hidden');
+
+    if (!report) {
+      summary.className = 'text-sm font-medium text-red-700';
+      summary.textContent = errorMessage || 'Could not check this file';
+      body.innerHTML = '';
+      return;
+    }
+
+    const { rows, students, subjects, errors, warnings } = report.summary;
+    const skipped = (report.sheets || []).filter(sheet => sheet.skipped);
+    summary.className = `text-sm font-medium ${errors ? 'text-red-700' : warnings ? 'text-yellow-700' : 'text-green-700'}`;
+    summary.textContent = (errors || warnings
+      ? `${rows} rows checked: ${errors} error(s), ${warnings} warning(s)${report.truncated ? ' (first ' + report.issues.length + ' shown)' : ''}`
+      : `${rows} rows, ${students} students, ${subjects} subjects – no problems found`) +
+      (skipped.length ? `. Sheets left out: ${skipped.map(sheet => `${sheet.name} (${sheet.skipped})`).join('; ')}` : '');
+
+    body.innerHTML = report.issues.map(issue => `
+      <tr class="border-b border-blue-100">
+        <td class="px-2 py-1">${report.sheets?.length > 1 ? this.escapeHtml(issue.sheet) + ' · ' : ''}${issue.row}</td>
+        <td class="px-2 py-1">${this.escapeHtml(issue.column || '')}</td>
+        <td class="px-2 py-1 ${issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}">${this.escapeHtml(issue.message)}</td>
+      </tr>`).join('');
+  }
+
+  async saveMappingProfile() {
+    if (!this.suggestedMapping) return;
+    const name = prompt('Name this column mapping (e.g. your school\'s export format):');
+    if (!name) return;
+
+    try {
+      const { profile } = await api.saveMappingProfile(name, this.suggestedMapping);
+      await this.loadMappingProfiles(profile.id);
+      document.getElementById('saveMappingBtn').classList.add('hidden');
+      this.showToast(`Saved mapping profile "${profile.name}"`, 'success');
+    } catch (e) {
+      this.showToast(e.message || 'Could not save the mapping profile', 'error');
+    }
   }
 
   removeFile() {
@@ -133,6 +266,11 @@ class DashboardController {
     document.getElementById('fileInfo').classList.add('hidden');
     document.getElementById('analyzeBtn').classList.add('hidden');
     document.getElementById('uploadProgress').classList.add('hidden');
+    document.getElementById('mappingSummary').textContent = '';
+    document.getElementById('saveMappingBtn').classList.add('hidden');
+    document.getElementById('validationReport').classList.add('hidden');
+    this.suggestedMapping = null;
+    this.validationReport = null;
   }
 
   /*---------------------------------------------------------------*/
@@ -147,17 +285,33 @@ class DashboardController {
     const prog = document.getElementById('uploadProgress');
     const bar = document.getElementById('progressBar');
     const pct = document.getElementById('progressPercent');
+    const label = document.getElementById('progressLabel');
+
+    // The dry run found problems: the teacher decides whether to fix the file first
+    const errors = this.validationReport?.summary.errors || 0;
+    if (errors > 0 && !confirm(`This file has ${errors} error(s). Affected rows may be skipped or skew the results. Analyze anyway?`)) {
+      return;
+    }
 
     try {
       analyzeBtn.disabled = true;
       txt.textContent = 'Analyzing...';
       spinner.classList.remove('hidden');
       prog.classList.remove('hidden');
+      bar.style.width = '0%';
+      pct.textContent = '0%';
+      label.textContent = 'Uploading...';
 
-      const result = await api.analyzeFile(this.selectedFile, p => {
-        bar.style.width = `${p}%`;
-        pct.textContent = `${Math.round(p)}%`;
-      });
+      // Send the same mapping the dry run used so the server reads the same columns;
+      // the bar follows the server's analysis job stage by stage
+      const result = await api.analyzeFile(this.selectedFile, job => {
+        bar.style.width = `${job.progress}%`;
+        pct.textContent = `${Math.round(job.progress)}%`;
+        const details = job.details || {};
+        const rows = details.rowsRead ? ` (${details.rowsRead.toLocaleString()} rows)` : '';
+        const batches = details.batches > 1 ? ` (batch ${details.batch} of ${details.batches})` : '';
+        label.textContent = `${job.message || 'Analyzing'}${rows}${batches}...`;
+      }, this.mappingOptions());
 
       if (result.success) {
         this.currentAnalysis = result;
@@ -182,6 +336,16 @@ class DashboardController {
     }
   }
 
+  async downloadReport() {
+    if (!this.currentSessionId) return;
+    try {
+      await api.downloadReport(this.currentSessionId);
+      this.showToast('Downloading PDF report...', 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to download PDF report', 'error');
+    }
+  }
+
   /*---------------------------------------------------------------*/
   /*  Render results (merged from old DashboardManager)           */
   /*---------------------------------------------------------------*/
@@ -218,12 +382,12 @@ class DashboardController {
                   </svg>
                   ${analysisType}
                 </span>
-                <span class="text-xs text-gray-500">⚙️ Configure GEMINI_API_KEY for AI insights</span>
+                <span class="text-xs text-gray-500">⚙️ Configure an AI provider for AI insights</span>
               `}
             </div>
           </div>
           <div class="flex space-x-2">
-            <button class="btn-secondary" onclick="window.open('${data.downloadUrl || '#'}','_blank')">
+            <button class="btn-secondary" onclick="dashboard.downloadReport()">
               <i data-lucide="download" class="w-4 h-4 mr-2"></i> Download PDF
             </button>
             <button class="btn-secondary"><i data-lucide="share-2" class="w-4 h-4 mr-2"></i> Share</button>
@@ -256,6 +420,10 @@ class DashboardController {
         </div>
 
         ${this.renderOverallAssessment(oa)}
+        ${this.renderSheetBreakdown(data.sheets)}
+        ${this.renderComponentBreakdown(data.components)}
+        ${this.renderSubjectStatistics(data.subjectStatistics)}
+        ${this.renderWaecForecast(data.waecForecast || data.analysisResults?.waecForecast)}
         ${this.renderInsightsSection(insights)}
         ${this.renderIndividualInsights(individuals)}
         ${this.renderPatternsSection(patterns)}
@@ -286,6 +454,183 @@ class DashboardController {
       </div>`;
   }
 
+  // One row per sheet of a multi-sheet workbook (class arms or terms)
+  renderSheetBreakdown(sheets) {
+    if (!sheets || sheets.length < 2) return '';
+    return `
+      <div class="analysis-section mb-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <i data-lucide="layers" class="w-6 h-6 mr-2 text-indigo-600"></i> By Sheet
+        </h3>
+        <div class="overflow-x-auto border border-gray-200 rounded-xl">
+          <table class="min-w-full text-sm">
+            <thead class="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th class="px-4 py-2">Sheet</th>
+                <th class="px-4 py-2">Class arm / term</th>
+                <th class="px-4 py-2">Students</th>
+                <th class="px-4 py-2">Subjects</th>
+                <th class="px-4 py-2">Average</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sheets.map(s => `
+                <tr class="border-t border-gray-100">
+                  <td class="px-4 py-2 font-medium">${this.escapeHtml(s.name)}</td>
+                  ${s.skipped
+                    ? `<td class="px-4 py-2 text-yellow-700" colspan="4">Skipped: ${this.escapeHtml(s.skipped)}</td>`
+                    : `<td class="px-4 py-2">${this.escapeHtml(s.classArm || s.term || '–')}</td>
+                       <td class="px-4 py-2">${s.students}</td>
+                       <td class="px-4 py-2">${s.subjects}</td>
+                       <td class="px-4 py-2">${s.averageScore ?? 'N/A'}</td>`}
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>`;
+  }
+
+  // CA vs exam percentage per subject, when the file had assessment component columns
+  renderComponentBreakdown(components) {
+    if (!components?.subjects?.length) return '';
+    return `
+      <div class="analysis-section mb-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <i data-lucide="split" class="w-6 h-6 mr-2 text-orange-600"></i> CA vs Exam
+        </h3>
+        <p class="text-sm text-gray-600 mb-3">Scheme: ${this.escapeHtml(components.scheme.name)}</p>
+        <div class="overflow-x-auto border border-gray-200 rounded-xl">
+          <table class="min-w-full text-sm">
+            <thead class="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th class="px-4 py-2">Subject</th>
+                <th class="px-4 py-2">CA</th>
+                <th class="px-4 py-2">Exam</th>
+                <th class="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${components.subjects.map(s => `
+                <tr class="border-t border-gray-100">
+                  <td class="px-4 py-2 font-medium">${this.escapeHtml(s.subject)}</td>
+                  <td class="px-4 py-2">${s.caPercent ?? '–'}%</td>
+                  <td class="px-4 py-2">${s.examPercent ?? '–'}%</td>
+                  <td class="px-4 py-2 ${s.flag ? 'text-orange-700 font-medium' : 'text-gray-400'}">${s.flag || 'balanced'}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>`;
+  }
+
+  // Class mean, spread and pass rates per subject
+  renderSubjectStatistics(stats) {
+    if (!stats?.length) return '';
+    return `
+      <div class="analysis-section mb-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <i data-lucide="bar-chart-3" class="w-6 h-6 mr-2 text-teal-600"></i> Subject Statistics
+        </h3>
+        <p class="text-sm text-gray-600 mb-3">Credit = 50 and above (C6 or better), distinction = 75 and above (A1), fail = below 40 (F9).</p>
+        <div class="overflow-x-auto border border-gray-200 rounded-xl">
+          <table class="min-w-full text-sm">
+            <thead class="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th class="px-4 py-2">Subject</th>
+                <th class="px-4 py-2">Students</th>
+                <th class="px-4 py-2">Mean</th>
+                <th class="px-4 py-2">Median</th>
+                <th class="px-4 py-2">Std dev</th>
+                <th class="px-4 py-2">Q1 – Q3</th>
+                <th class="px-4 py-2">Credit rate</th>
+                <th class="px-4 py-2">Distinction rate</th>
+                <th class="px-4 py-2">Fails</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${stats.map(s => `
+                <tr class="border-t border-gray-100">
+                  <td class="px-4 py-2 font-medium">${this.escapeHtml(s.subject)}</td>
+                  <td class="px-4 py-2">${s.students}</td>
+                  <td class="px-4 py-2">${s.mean}</td>
+                  <td class="px-4 py-2">${s.median}</td>
+                  <td class="px-4 py-2">${s.standardDeviation}</td>
+                  <td class="px-4 py-2">${s.quartiles.q1} – ${s.quartiles.q3}</td>
+                  <td class="px-4 py-2 ${s.creditPassRate < 50 ? 'text-red-700 font-medium' : ''}">${s.creditPassRate}%</td>
+                  <td class="px-4 py-2">${s.distinctionRate}%</td>
+                  <td class="px-4 py-2 ${s.failures ? 'text-red-700' : 'text-gray-400'}">${s.failures}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>`;
+  }
+
+  // Students predicted below C6 in a required subject (regression on their term scores)
+  renderWaecForecast(forecast) {
+    if (!forecast) return '';
+    const subjects = forecast.requiredSubjects.map(subject => this.escapeHtml(subject)).join(' or ');
+    return `
+      <div class="analysis-section mb-8">
+        <h3 class="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <i data-lucide="target" class="w-6 h-6 mr-2 text-red-600"></i> WAEC Credit Risk
+        </h3>
+        <p class="text-sm text-gray-600 mb-3">Predicted for SS3 3rd term from each student's term-by-term scores, with a ${forecast.intervalPercent}% range.</p>
+        ${forecast.atRisk.length === 0
+          ? `<p class="text-sm text-green-700">No student is predicted below C6 in ${subjects}.</p>`
+          : `<div class="overflow-x-auto border border-gray-200 rounded-xl">
+              <table class="min-w-full text-sm">
+                <thead class="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2">Student</th>
+                    <th class="px-4 py-2">Subject</th>
+                    <th class="px-4 py-2">Predicted</th>
+                    <th class="px-4 py-2">Range</th>
+                    <th class="px-4 py-2">Chance of credit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${forecast.atRisk.map(r => `
+                    <tr class="border-t border-gray-100">
+                      <td class="px-4 py-2 font-medium">${this.escapeHtml(r.studentName)}</td>
+                      <td class="px-4 py-2">${this.escapeHtml(r.subject)}</td>
+                      <td class="px-4 py-2 text-red-700 font-medium">${r.grade} (${r.predictedScore})</td>
+                      <td class="px-4 py-2">${r.low}–${r.high} (${r.gradeRange.best}–${r.gradeRange.worst})</td>
+                      <td class="px-4 py-2">${r.chanceOfCredit}%</td>
+                    </tr>`).join('')}
+                </tbody>
+              </table>
+            </div>`}
+      </div>`;
+  }
+
+  // Credit passes (C6 or better) the student has, or lacks, in a course's required subjects
+  renderEligibility(eligibility) {
+    if (!eligibility) return '';
+    const list = items => items.map(item => this.escapeHtml(item)).join(', ');
+    if (eligibility.eligible === false) {
+      return `<p class="text-xs text-red-700 mt-1">⚠️ Below credit (C6) in ${list(eligibility.belowCredit)}</p>`;
+    }
+    if (eligibility.eligible === null) {
+      return `<p class="text-xs text-amber-700 mt-1">❔ No result yet for ${list(eligibility.notTaken)}</p>`;
+    }
+    return `<p class="text-xs text-green-700 mt-1">✅ Credits in ${list(eligibility.credits)}</p>`;
+  }
+
+  // Projected UTME range for a course against its JAMB cutoff, and the subjects to work on first
+  renderUtmeEstimate(rec) {
+    const utme = rec.utmeEstimate;
+    if (!utme) return '';
+    const range = `UTME estimate ${utme.low}–${utme.high}`;
+    if (utme.cutoff === null) return `<p class="text-xs text-gray-600 mt-1">🎓 ${range}</p>`;
+    const priorities = rec.prioritySubjects?.length
+      ? `; focus on ${rec.prioritySubjects.map(p => `${this.escapeHtml(p.subject)} (${p.average} → ${p.target})`).join(', ')}`
+      : '';
+    const colour = { above: 'text-green-700', borderline: 'text-amber-700', below: 'text-red-700' }[utme.status];
+    const gap = rec.gapToCutoff > 0 ? `${rec.gapToCutoff} points short of ${utme.cutoff}` : `reaches the ${utme.cutoff} cutoff`;
+    return `<p class="text-xs ${colour} mt-1">🎓 ${range}: ${gap}${priorities}</p>`;
+  }
+
   renderInsightsSection(list) {
     if (!list?.length) return '';
     return `
@@ -338,6 +683,11 @@ renderIndividualInsights(list) {
                 ${strengths ? `<div><span class="text-green-600 font-medium">💪 Strengths:</span> <span class="text-gray-700">${strengths}</span></div>` : ''}
                 ${s.insight ? `<div class="mt-2 p-2 bg-blue-50 rounded-lg"><span class="text-blue-600 font-medium">💡 Insight:</span> <span class="text-gray-700">${s.insight}</span></div>` : ''}
                 ${concerns  ? `<div><span class="text-red-600 font-medium">⚠️ Concerns:</span> <span class="text-gray-700">${concerns}</span></div>` : ''}
+                ${s.componentFlags?.length ? `<div><span class="text-orange-600 font-medium">📝 CA vs Exam:</span> <span class="text-gray-700">${s.componentFlags.join('; ')}</span></div>` : ''}
+                ${s.trajectoryFlags?.length ? `<div><span class="text-teal-600 font-medium">📈 Trends:</span> <span class="text-gray-700">${s.trajectoryFlags.map(f => this.escapeHtml(f.message)).join('; ')}</span></div>` : ''}
+                ${s.dataConflicts?.length ? `<div><span class="text-amber-600 font-medium">🔎 AI vs scores:</span> <span class="text-gray-700">${s.dataConflicts.map(c => this.escapeHtml(c.message)).join('; ')}</span></div>` : ''}
+                ${s.waecForecast ? `<div><span class="text-indigo-600 font-medium">🎯 Predicted WAEC:</span> <span class="text-gray-700">${Object.entries(s.waecForecast).map(([subject, f]) => `${this.escapeHtml(subject)} ${f.grade} (${f.gradeRange.best}–${f.gradeRange.worst})`).join(', ')}</span>${s.waecRisks?.length ? `<p class="text-xs text-red-700 mt-1">⚠️ Likely below credit in ${s.waecRisks.map(r => `${this.escapeHtml(r.subject)} (${r.chanceOfCredit}% chance of C6 or better)`).join(', ')}</p>` : ''}</div>` : ''}
+                ${s.subjectGrades ? `<div><span class="text-indigo-600 font-medium">📜 WAEC grades:</span> <span class="text-gray-700">${Object.entries(s.subjectGrades).map(([subject, grade]) => `${this.escapeHtml(subject)} ${grade}`).join(', ')}${s.creditPasses !== undefined ? ` (${s.creditPasses} credit${s.creditPasses === 1 ? '' : 's'})` : ''}</span></div>` : ''}
                 ${hasDetailedCourses ? `
                   <div class="mt-4 space-y-3">
                     <div class="font-medium text-purple-600 mb-2 flex items-center">
@@ -378,6 +728,8 @@ renderIndividualInsights(list) {
                           <p class="text-xs text-gray-600">
                             <span class="font-medium">📋 WAEC Required:</span> ${rec.waec_required}
                           </p>
+                          ${this.renderEligibility(rec.eligibility)}
+                          ${this.renderUtmeEstimate(rec)}
                         </div>
                       </div>
                     `).join('')}
@@ -389,7 +741,7 @@ renderIndividualInsights(list) {
                       ${courseRecs.map(rec => `<li>${rec}</li>`).join('')}
                     </ul>
                   </div>
-                ` : ''}
+                ` : s.courseRecommendationsNote ? `<div class="mt-3 text-xs text-gray-600"><span class="font-medium text-purple-600">No course recommendations:</span> ${this.escapeHtml(s.courseRecommendationsNote)}</div>` : ''}
               </div>
             </div>`;
         }).join('')}
@@ -597,6 +949,10 @@ renderIndividualInsights(list) {
       fileSize: this.selectedFile.size,
       totalStudents: result.totalStudents,
       totalSubjects: result.totalSubjects,
+      sheets: result.sheets,
+      components: result.components,
+      subjectStatistics: result.subjectStatistics,
+      waecForecast: result.waecForecast,
       analysisResults: result.analysisResults,
       overallAssessment: result.overallAssessment,
       individualInsights: result.individualInsights,
@@ -648,12 +1004,43 @@ renderIndividualInsights(list) {
   showSampleModal() { document.getElementById('sampleModal').classList.remove('hidden'); }
   hideSampleModal() { document.getElementById('sampleModal').classList.add('hidden'); }
 
+  showInviteModal() {
+    const user = api.getCurrentUser();
+    if (user?.school) document.getElementById('inviteSchoolName').textContent = `They will join ${user.school}`;
+    document.getElementById('inviteModal').classList.remove('hidden');
+  }
+
+  hideInviteModal() { document.getElementById('inviteModal').classList.add('hidden'); }
+
+  async inviteStaff(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+
+    try {
+      const data = await api.inviteStaff(api.getCurrentUser().schoolId, {
+        email: document.getElementById('inviteEmail').value.trim(),
+        role: document.getElementById('inviteRole').value,
+        subjects: document.getElementById('inviteSubjects').value
+      });
+      this.showToast(data.message, 'success');
+      form.reset();
+      this.hideInviteModal();
+    } catch (err) {
+      this.showToast(err.message || 'Could not send the invitation', 'error');
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
   handleOutsideClick(e) {
     const dropdown = document.getElementById('userDropdown');
     const btn = document.getElementById('userMenuBtn');
     const modal = document.getElementById('sampleModal');
     if (!btn.contains(e.target)) dropdown.classList.add('hidden');
     if (e.target === modal) this.hideSampleModal();
+    if (e.target === document.getElementById('inviteModal')) this.hideInviteModal();
   }
 
   showToast(msg, type = 'info') {
@@ -12,6 +12,10 @@ window.api = {
     return window.auth.isAuthenticated();
   },
 
+  async verifySession() {
+    return await window.auth.verifySession();
+  },
+
   getCurrentUser() {
     return window.auth.getCurrentUser();
   },
@@ -1,35 +1,35 @@
 /**
  * EDU_AID Authentication Module
  * Handles login, signup, session management, and logout.
- * Uses mock data for development. Replace with real API later.
+ * Talks to the backend /api/auth endpoints and keeps the issued JWT in localStorage.
  */
 
-const MOCK_USERS = {
-  'admin@edu-aid.com': {
-    id: 'admin_001',
-    email: 'admin@edu-aid.com',
-    password: 'admin123',
-    name: 'Administrator',
-    role: 'admin',
-    avatar: 'A'
-  },
-  'teacher@edu-aid.com': {
-    id: 'teacher_001',
-    email: 'teacher@edu-aid.com',
-    password: 'teacher123',
-    name: 'Teacher Demo',
-    role: 'teacher',
-    avatar: 'T'
-  },
-  'student@edu-aid.com': {
-    id: 'student_001',
-    email: 'student@edu-aid.com',
-    password: 'student123',
-    name: 'Student Demo',
-    role: 'student',
-    avatar: 'S'
+const AUTH_API_URL = 'https://edu-aid.onrender.com/api/auth';
+
+/**
+ * POST JSON to an auth endpoint and unwrap the backend's { success, error } envelope
+ */
+async function authRequest(path, body) {
+  const response = await fetch(`${AUTH_API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}`);
   }
-};
+  return data;
+}
+
+/**
+ * Read the claims from a JWT without verifying it (the backend verifies)
+ */
+function decodeToken(token) {
+  const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(atob(payload));
+}
 
 /**
  * Login user with email/password
@@ -41,46 +41,16 @@ async function loginUser(email, password) {
   try {
     console.log('[Auth] Login attempt:', email);
 
-    // Simulate network delay
-    await new Promise(r => setTimeout(r, 800));
-
-    const user = MOCK_USERS[email];
-    if (!user || user.password !== password) {
-      throw new Error('Invalid email or password.');
-    }
-
-    // Generate JWT-style token (base64)
-    const payload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      iat: Date.now(),
-      exp: Date.now() + 24 * 60 * 60 * 1000 // 24h
-    };
-    const token = btoa(JSON.stringify(payload));
+    const { token, refreshToken, user } = await authRequest('/login', { email, password });
 
     // Store session
     localStorage.setItem('token', token);
-    localStorage.setItem('user', JSON.stringify({
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      avatar: user.avatar
-    }));
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
 
     console.log('[Auth] Login successful:', user.role);
 
-    return {
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      token
-    };
+    return { success: true, user, token };
 
   } catch (error) {
     console.error('[Auth] Login failed:', error.message);
@@ -89,31 +59,30 @@ async function loginUser(email, password) {
 }
 
 /**
- * Mock signup (development only)
+ * Create an account
+ * @param {Object} profile - { school } to register a new school, or { inviteToken } from an invitation email
  */
-async function signupUser(email, password, name) {
-  await new Promise(r => setTimeout(r, 800));
-
-  if (MOCK_USERS[email]) {
-    throw new Error('User already exists.');
-  }
+async function signupUser(email, password, name, profile = {}) {
+  const { user } = await authRequest('/register', { email, password, name, ...profile });
 
   return {
     success: true,
-    message: 'Account created! Please sign in.'
+    message: 'Account created! Please sign in.',
+    user
   };
 }
 
 /**
- * Check if user is authenticated and token is valid
+ * Check if user is authenticated and token is not expired
  */
 function isAuthenticated() {
   const token = localStorage.getItem('token');
   if (!token) return false;
 
   try {
-    const payload = JSON.parse(atob(token));
-    if (payload.exp < Date.now()) {
+    const payload = decodeToken(token);
+    // Expired access tokens are renewed by verifySession while a refresh token exists
+    if (payload.exp * 1000 < Date.now() && !localStorage.getItem('refreshToken')) {
       console.log('[Auth] Token expired');
       logoutUser();
       return false;
@@ -126,6 +95,49 @@ function isAuthenticated() {
   }
 }
 
+/**
+ * Swap the stored refresh token for a new access/refresh pair
+ */
+async function refreshSession() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  try {
+    const { token, refreshToken: nextRefreshToken } = await authRequest('/refresh', { refreshToken });
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', nextRefreshToken);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Confirm the stored token with the backend (call on page load)
+ */
+async function verifySession() {
+  const token = localStorage.getItem('token');
+  if (!token) return false;
+
+  const check = () => fetch(`${AUTH_API_URL}/verify`, {
+    headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+  });
+
+  let response = await check();
+  if (response.status === 401 && await refreshSession()) {
+    response = await check();
+  }
+
+  if (response.status === 401) {
+    logoutUser();
+    return false;
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+  return true;
+}
+
 /**
  * Get current logged-in user
  */
@@ -144,7 +156,19 @@ function getCurrentUser() {
  */
 function logoutUser() {
   console.log('[Auth] Logging out...');
+
+  // Revoke this device's refresh token on the server (best effort)
+  const token = localStorage.getItem('token');
+  if (token) {
+    fetch(`${AUTH_API_URL}/logout`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      keepalive: true
+    }).catch(() => {});
+  }
+
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
   localStorage.removeItem('rememberMe');
   window.location.href = 'login.html';
@@ -157,6 +181,8 @@ window.auth = {
   loginUser,
   signupUser,
   isAuthenticated,
+  refreshSession,
+  verifySession,
   getCurrentUser,
   logoutUser
 };
\ No newline at end of file